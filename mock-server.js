@@ -0,0 +1,199 @@
+/**
+ * DraftWise — mock AI provider
+ * A dependency-free, OpenAI-compatible chat completions endpoint for trying
+ * the AI provider settings without a network connection. It also serves
+ * the app itself, so the spell-check dictionary loads too.
+ *
+ *   node mock-server.js [port]        → http://localhost:8787
+ *                                       http://localhost:8787/tests/ runs the tests
+ *
+ * In DraftWise, choose "OpenAI-compatible endpoint" with the base URL
+ * http://localhost:8787/v1 and any model name. Environment variables:
+ *   MOCK_API_KEY=secret   reject requests without "Authorization: Bearer secret"
+ *   MOCK_FAIL=1           answer every completion with a 500, to try the fallback
+ *   MOCK_DELAY=30         milliseconds between streamed words
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const API_KEY = process.env.MOCK_API_KEY || '';
+const FAIL = process.env.MOCK_FAIL === '1';
+const DELAY = Number(process.env.MOCK_DELAY || 30);
+const ROOT = __dirname;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.aff': 'text/plain; charset=utf-8',
+  '.dic': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.css': 'text/css; charset=utf-8'
+};
+
+// Only the app's own files are served, never the rest of the checkout
+const PUBLIC_PATHS = ['/index.html', '/script.js', '/dictionaries/', '/tests/'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, type) {
+  sendJson(res, status, { error: { message, type, code: null } });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// The DraftWise tools send "<instruction>\n\nText:\n<text>". The mock
+// answers in the shape each instruction asks for, built from the text.
+function mockReply(messages) {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  const content = last && typeof last.content === 'string' ? last.content : '';
+  const [instruction, text = ''] = content.split(/\n\nText:\n/);
+  const source = text.trim() || instruction.trim();
+  const words = source.split(/\s+/).filter(Boolean);
+
+  if (/headlines/i.test(instruction)) {
+    const topic = words.slice(0, 5).join(' ').replace(/[.,;:!?]+$/, '');
+    return Array.from({ length: 10 }, (_, i) => `Mock headline ${i + 1}: ${topic}`).join('\n');
+  }
+  if (/alternative versions/i.test(instruction)) {
+    return [1, 2, 3].map(n => `[mock rewrite ${n}] ${source}`).join('\n---\n');
+  }
+  if (/reply with the word ok/i.test(instruction)) return 'OK';
+  return `[mock] ${source}`;
+}
+
+function completionId() {
+  return `chatcmpl-mock-${Date.now().toString(36)}`;
+}
+
+async function handleCompletion(req, res) {
+  if (API_KEY && req.headers.authorization !== `Bearer ${API_KEY}`) {
+    sendError(res, 401, 'Incorrect API key provided.', 'invalid_request_error');
+    return;
+  }
+  let request;
+  try {
+    request = JSON.parse(await readBody(req));
+  } catch (e) {
+    sendError(res, 400, 'The request body is not valid JSON.', 'invalid_request_error');
+    return;
+  }
+  if (!Array.isArray(request.messages)) {
+    sendError(res, 400, '"messages" must be an array.', 'invalid_request_error');
+    return;
+  }
+  if (FAIL) {
+    sendError(res, 500, 'The mock server is set to fail (MOCK_FAIL=1).', 'server_error');
+    return;
+  }
+
+  const model = request.model || 'mock';
+  const reply = mockReply(request.messages);
+  const id = completionId();
+  const created = Math.floor(Date.now() / 1000);
+
+  if (!request.stream) {
+    sendJson(res, 200, {
+      id,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }]
+    });
+    return;
+  }
+
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const send = (delta, finishReason = null) => {
+    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`);
+  };
+  send({ role: 'assistant' });
+  // Word by word, keeping the whitespace (and line breaks) after each word
+  for (const piece of reply.match(/\S+\s*|\s+/g) || []) {
+    if (res.destroyed) return;
+    send({ content: piece });
+    await new Promise(resolve => setTimeout(resolve, DELAY));
+  }
+  send({}, 'stop');
+  res.end('data: [DONE]\n\n');
+}
+
+function serveStatic(res, encodedPath) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(encodedPath);
+  } catch (e) {
+    sendError(res, 400, 'The request path is not valid.', 'invalid_request_error');
+    return;
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  const file = path.join(ROOT, pathname);
+  const relative = `/${path.relative(ROOT, file).split(path.sep).join('/')}`;
+  if (!PUBLIC_PATHS.some(allowed => (allowed.endsWith('/') ? relative.startsWith(allowed) : relative === allowed))) {
+    sendError(res, 403, 'Forbidden', 'invalid_request_error');
+    return;
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendError(res, 404, `No such file: ${pathname}`, 'invalid_request_error');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  let pathname;
+  try {
+    ({ pathname } = new URL(req.url, 'http://localhost'));
+  } catch (e) {
+    sendError(res, 400, 'The request path is not valid.', 'invalid_request_error');
+    return;
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else if (req.method === 'POST' && pathname === '/v1/chat/completions') {
+    handleCompletion(req, res).catch(err => {
+      if (!res.headersSent) sendError(res, 500, err.message, 'server_error');
+      else res.end();
+    });
+  } else if (req.method === 'GET' && pathname === '/v1/models') {
+    sendJson(res, 200, { object: 'list', data: [{ id: 'draftwise-mock', object: 'model', owned_by: 'draftwise' }] });
+  } else if (req.method === 'GET') {
+    serveStatic(res, pathname);
+  } else {
+    sendError(res, 405, 'Method not allowed', 'invalid_request_error');
+  }
+});
+
+// Local only: the server hands out the app and answers without a key
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`DraftWise mock provider on http://localhost:${PORT}`);
+  console.log(`  App:      http://localhost:${PORT}/`);
+  console.log(`  Base URL: http://localhost:${PORT}/v1`);
+});
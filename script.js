@@ -1,7 +1,8 @@
 /**
  * DraftWise — AI-Assisted Writing Tool
  * All text analysis runs locally in the browser.
- * No data is sent to external servers.
+ * No data is sent to external servers unless the user configures an
+ * AI provider for the writing tools.
  */
 
 (function () {
@@ -27,30 +28,157 @@
   const scoreDetails = document.getElementById('scoreDetails');
   const toneAnalysis = document.getElementById('toneAnalysis');
 
+  // ─── Tokenizer ─────────────────────────────────────────────
+  // The one segmentation every analyzer, the stats bar and the scores use.
+  // Paragraphs, sentences and words come back with start/end offsets into
+  // the text that was passed in, so positions agree everywhere.
+  const NON_FINAL_ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'mt', 'rev', 'gen', 'capt', 'lt', 'col', 'sgt', 'gov', 'sen', 'hon', 'pres', 'vs', 'cf', 'e.g', 'i.e', 'approx', 'fig', 'figs', 'no', 'nos', 'vol', 'eq', 'ch', 'pp', 'sec', 'dept']);
+  const FINAL_ABBREVIATIONS = new Set(['etc', 'inc', 'ltd', 'co', 'corp', 'jr', 'sr', 'al', 'a.m', 'p.m', 'u.s', 'u.k', 'bros']);
+  const TERMINATOR_PATTERN = /(?:\.{3,}|…|[.!?]+)["'”’)\]]*(?=\s|$)/g;
+  const WORD_PATTERN = /(?:https?:\/\/|www\.)\S+?(?=[.,;:!?)"'”’]*(?:\s|$))|[\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\p{L}\p{N}]+(?:['’.\-][\p{L}\p{N}]+)*/gu;
+  // A lone letter is a marker unless another initial follows: "J. K. Rowling"
+  const LIST_MARKER_PATTERN = /^\s*(?:[-*•]|\d+[.)]|[A-Za-z][.)](?!\s+\p{Lu}\.))\s+/u;
+
+  let tokenCache = { text: null, tokens: null };
+
+  function segmentParagraphs(text) {
+    const paragraphs = [];
+    let start = 0;
+    text.split('\n').forEach(line => {
+      if (line.trim()) paragraphs.push({ text: line, start, end: start + line.length });
+      start += line.length + 1;
+    });
+    return paragraphs;
+  }
+
+  // Decides whether the terminator at `match` ends a sentence, given the
+  // text of the sentence so far and the next non-space character.
+  function endsSentence(paragraph, match, sentenceStart) {
+    const next = paragraph.substring(match.index + match[0].length).trimStart().charAt(0);
+    if (!next) return true;
+    const nextIsLower = /\p{Ll}/u.test(next);
+    const isEllipsis = /^(?:\.{3}|…)/.test(match[0]);
+    // "Really? she asked" and "wait... then" carry on
+    if ((isEllipsis || match[0].charAt(0) !== '.') && nextIsLower) return false;
+    if (isEllipsis || match[0].charAt(0) !== '.') return true;
+
+    const before = paragraph.substring(sentenceStart, match.index);
+    const word = (before.match(/(\S+)$/) || ['', ''])[1].replace(/^[("'“‘[]+/, '');
+    const key = word.toLowerCase();
+    if (NON_FINAL_ABBREVIATIONS.has(key)) return false;
+    if (FINAL_ABBREVIATIONS.has(key) && nextIsLower) return false;
+    // Initials such as "J. K. Rowling"
+    if (/^\p{Lu}$/u.test(word)) return false;
+    // A list marker such as "1." on its own is not a sentence
+    if (/^\s*(?:\d+|[A-Za-z])$/.test(before)) return false;
+    return true;
+  }
+
+  function segmentSentences(paragraph) {
+    const sentences = [];
+    const marker = paragraph.text.match(LIST_MARKER_PATTERN);
+    let start = marker ? marker[0].length : 0;
+    const pattern = new RegExp(TERMINATOR_PATTERN.source, 'g');
+    pattern.lastIndex = start;
+    let match;
+
+    const push = (end) => {
+      const raw = paragraph.text.substring(start, end);
+      const lead = raw.length - raw.trimStart().length;
+      const text = raw.trim();
+      if (text) {
+        const absolute = paragraph.start + start + lead;
+        sentences.push({ text, start: absolute, end: absolute + text.length });
+      }
+    };
+
+    while ((match = pattern.exec(paragraph.text)) !== null) {
+      if (!endsSentence(paragraph.text, match, start)) continue;
+      const end = match.index + match[0].length;
+      push(end);
+      start = end;
+    }
+    push(paragraph.text.length);
+    return sentences;
+  }
+
+  function tokenize(text) {
+    if (tokenCache.text === text) return tokenCache.tokens;
+
+    const paragraphs = segmentParagraphs(text);
+    const sentences = paragraphs.flatMap(segmentSentences);
+    const words = [];
+    const pattern = new RegExp(WORD_PATTERN.source, WORD_PATTERN.flags);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      words.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+
+    // Word counts per sentence, walking both lists once
+    let w = 0;
+    sentences.forEach(sentence => {
+      while (w < words.length && words[w].start < sentence.start) w++;
+      let count = 0;
+      while (w + count < words.length && words[w + count].end <= sentence.end) count++;
+      sentence.wordCount = count;
+    });
+
+    const tokens = { paragraphs, sentences, words };
+    tokenCache = { text, tokens };
+    return tokens;
+  }
+
   // ─── Text Statistics ───────────────────────────────────────
+  // Same text the analyzers see, so offsets and counts line up
   function getPlainText() {
-    return editor.innerText || '';
+    return buildTextIndex().text;
   }
 
   function getWords(text) {
-    const trimmed = text.trim();
-    if (!trimmed) return [];
-    return trimmed.split(/\s+/).filter(w => w.length > 0);
+    return tokenize(text).words.map(word => word.text);
   }
 
   function getSentences(text) {
-    const trimmed = text.trim();
-    if (!trimmed) return [];
-    return trimmed.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    return tokenize(text).sentences.map(sentence => sentence.text);
   }
 
+  // Common words the vowel-group count gets wrong, with the counts the
+  // CMU Pronouncing Dictionary gives them. Reference readability tools
+  // count syllables from that dictionary, so the formulas agree with theirs.
+  const SYLLABLE_EXCEPTIONS = new Map(Object.entries({
+    ago: 2, any: 2, anyone: 3, area: 3, business: 2, client: 2, clothes: 1, create: 2, created: 3,
+    creative: 3, crooked: 2, cruel: 2, diet: 2, everyone: 3, everywhere: 3, giant: 2, hundred: 2,
+    icy: 2, idea: 3, ivy: 2, lion: 2, maybe: 2, naive: 2, naked: 2, people: 2, poem: 2, poet: 2, quiet: 2,
+    real: 1, science: 2, society: 4, anxiety: 4, variety: 4, via: 2, video: 3, radio: 3, period: 3,
+    violent: 3, violence: 3, wednesday: 2, wicked: 2, beauty: 2, beautiful: 3, acre: 2, cereal: 3,
+    family: 3, different: 3, camera: 3, general: 3
+  }));
+  // A silent "e" stays silent before these word endings and second halves
+  // of compounds: "statement", "homesick", "sometimes"
+  const SILENT_E_PATTERN = /([^aeiouy])e(?=(?:back|ball|berry|board|body|brow|bud|foot|fruit|head|how|less|let|ly|man|ment|ness|one|ful|shoe|sick|some|thing|time|times|ty|walk|way|ways|where|wife|work|yard)s?$)/;
+
   function getSyllableCount(word) {
+    // "didn't" and "wasn't" keep a syllable in the "n't"
+    const contraction = /[^aeiouy]n['’]t$/i.test(word);
     word = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (SYLLABLE_EXCEPTIONS.has(word)) return SYLLABLE_EXCEPTIONS.get(word);
     if (word.length <= 3) return 1;
-    word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-    word = word.replace(/^y/, '');
+    // The "u" of "qu" and a final "-gue" are not vowels
+    word = word.replace(/qu/g, 'q').replace(/gue$/, 'g').replace(SILENT_E_PATTERN, '$1');
+    // Silent endings: "-es" except after a sibilant, "-ed" except after
+    // "t" or "d", and a final "e" except in "-ble" and the like
+    word = word.replace(/(?:[^laeiouycgsxzh]es|(?<![td])ed|[^laeiouy]e|(?<=[aeiouy]l)es?)$/, '');
+    // The "ou" of "-ous" is one vowel, so "-ious" is at most two syllables
+    word = word.replace(/^y/, '').replace(/ous$/, 'os');
     const matches = word.match(/[aeiouy]{1,2}/g);
-    return matches ? matches.length : 1;
+    let count = matches ? matches.length : 1;
+    // Vowel pairs that are two syllables: "being", "radio", "actual",
+    // "medium", "chaos", "poetry", "ruin", "react", "Italian", "museum",
+    // "neon" (but not "pigeon" or "luncheon")
+    if (/[^aeiouy][aeiouy]ing/.test(word)) count++;
+    count += (word.match(/[^cgstxlnh]i[aou]|[^gq]ua|iu|ao|oet|[^gq]ui(?=[nd])|^rea(?=ct|dj|pp|ss)|[ln]ian(?=s?$)|eum(?=s?$)|(?<!g|ch)eon(?=s?$)/g) || []).length;
+    if (contraction) count++;
+    return Math.max(1, count);
   }
 
   function updateStats() {
@@ -68,34 +196,240 @@
 
   editor.addEventListener('input', updateStats);
 
+  // ─── Text Index ────────────────────────────────────────────
+  const BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'TABLE', 'TR']);
+  // Code, and links that show their own address, are not prose
+  const NON_PROSE_TAGS = new Set(['PRE', 'CODE', 'KBD', 'SAMP']);
+  const LINK_ADDRESS_PATTERN = /^(?:(?:https?|ftp|mailto):\S+|www\.\S+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)$/i;
+  // Left where inline code or an address was, so the words either side
+  // neither run together nor read as a double space
+  const NON_PROSE_MARK = '\uFFFC';
+
+  function isNonProse(element) {
+    return NON_PROSE_TAGS.has(element.tagName) || (element.tagName === 'A' && LINK_ADDRESS_PATTERN.test(element.textContent.trim()));
+  }
+
+  // Builds the text the analyzers see, plus a map from character offsets
+  // back to the editor text nodes they came from. Code and link addresses
+  // are left out unless `literal` asks for every character.
+  function buildTextIndex(root, { literal = false } = {}) {
+    const segments = [];
+    let text = '';
+
+    function lineBreak() {
+      if (text && !text.endsWith('\n')) text += '\n';
+    }
+
+    function walk(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        segments.push({ node, start: text.length, end: text.length + node.nodeValue.length });
+        text += node.nodeValue;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (node.tagName === 'BR') {
+        text += '\n';
+        return;
+      }
+      const isBlock = BLOCK_TAGS.has(node.tagName);
+      if (isBlock) lineBreak();
+      if (literal || !isNonProse(node)) node.childNodes.forEach(walk);
+      else if (!isBlock) text += NON_PROSE_MARK;
+      if (isBlock) lineBreak();
+    }
+
+    (root || editor).childNodes.forEach(walk);
+    return { text, segments };
+  }
+
   // ─── Formatting ────────────────────────────────────────────
   document.querySelectorAll('.format-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-      const format = btn.dataset.format;
-      switch (format) {
-        case 'bold':
-          document.execCommand('bold', false, null);
-          break;
-        case 'italic':
-          document.execCommand('italic', false, null);
-          break;
-        case 'underline':
-          document.execCommand('underline', false, null);
-          break;
-        case 'heading':
-          document.execCommand('formatBlock', false, '<h2>');
-          break;
-        case 'list':
-          document.execCommand('insertUnorderedList', false, null);
-          break;
-        case 'quote':
-          document.execCommand('formatBlock', false, '<blockquote>');
-          break;
+      if (markdownMode) {
+        formatMarkdownSource(btn.dataset.format);
+        return;
       }
-      editor.focus();
+      recordEdit('Formatting', () => {
+        const format = btn.dataset.format;
+        switch (format) {
+          case 'bold':
+            document.execCommand('bold', false, null);
+            break;
+          case 'italic':
+            document.execCommand('italic', false, null);
+            break;
+          case 'underline':
+            document.execCommand('underline', false, null);
+            break;
+          case 'heading':
+            document.execCommand('formatBlock', false, '<h2>');
+            break;
+          case 'list':
+            document.execCommand('insertUnorderedList', false, null);
+            break;
+          case 'quote':
+            document.execCommand('formatBlock', false, '<blockquote>');
+            break;
+        }
+        editor.focus();
+      });
     });
   });
 
+  // ─── Edit History ──────────────────────────────────────────
+  // Every change to the editor goes through a command holding the state
+  // before and after it. Typing is grouped into one command per burst, and
+  // the browser's own undo stack is bypassed because it can't see edits
+  // made through the DOM.
+  const btnUndo = document.getElementById('btnUndo');
+  const btnRedo = document.getElementById('btnRedo');
+  const MAX_HISTORY = 200;
+  const TYPING_IDLE_MS = 800;
+
+  const undoStack = [];
+  const redoStack = [];
+  let typingGroup = null;
+  let typingTimer;
+  let runningCommand = false;
+
+  function captureEditorState() {
+    return { html: getCleanHTML(), selection: getSelectionOffsets() };
+  }
+
+  function restoreEditorState(state) {
+    runningCommand = true;
+    editor.innerHTML = state.html;
+    restoreSelectionOffsets(state.selection);
+    // Let stats, autosave and live analysis react as they would to typing
+    editor.dispatchEvent(new Event('input'));
+    runningCommand = false;
+  }
+
+  function createEditCommand(label, before, after) {
+    return {
+      label,
+      undo: () => restoreEditorState(before),
+      redo: () => restoreEditorState(after)
+    };
+  }
+
+  function pushCommand(command) {
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) undoStack.shift();
+    redoStack.length = 0;
+    updateHistoryButtons();
+  }
+
+  function commitTyping() {
+    clearTimeout(typingTimer);
+    if (!typingGroup) return;
+    const after = captureEditorState();
+    if (after.html !== typingGroup.before.html) {
+      pushCommand(createEditCommand('Typing', typingGroup.before, after));
+    }
+    typingGroup = null;
+  }
+
+  // Runs a change to the editor as one undoable step
+  function recordEdit(label, change) {
+    commitTyping();
+    const before = captureEditorState();
+    runningCommand = true;
+    let result;
+    try {
+      result = change();
+    } finally {
+      runningCommand = false;
+    }
+    const after = captureEditorState();
+    if (after.html !== before.html) pushCommand(createEditCommand(label, before, after));
+    return result;
+  }
+
+  function undo() {
+    commitTyping();
+    const command = undoStack.pop();
+    if (!command) return;
+    command.undo();
+    redoStack.push(command);
+    updateHistoryButtons();
+  }
+
+  function redo() {
+    commitTyping();
+    const command = redoStack.pop();
+    if (!command) return;
+    command.redo();
+    undoStack.push(command);
+    updateHistoryButtons();
+  }
+
+  function clearEditHistory() {
+    clearTimeout(typingTimer);
+    typingGroup = null;
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateHistoryButtons();
+  }
+
+  function updateHistoryButtons() {
+    btnUndo.disabled = undoStack.length === 0 && !typingGroup;
+    btnRedo.disabled = redoStack.length === 0;
+    btnUndo.title = undoStack.length > 0 ? `Undo ${undoStack[undoStack.length - 1].label.toLowerCase()}` : 'Undo';
+    btnRedo.title = redoStack.length > 0 ? `Redo ${redoStack[redoStack.length - 1].label.toLowerCase()}` : 'Redo';
+  }
+
+  editor.addEventListener('beforeinput', (e) => {
+    if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+      e.preventDefault();
+      if (e.inputType === 'historyUndo') undo();
+      else redo();
+      return;
+    }
+    if (runningCommand) return;
+
+    // Inserting and deleting are separate steps, as are pastes and drops
+    const inputType = e.inputType || '';
+    const kind = inputType.startsWith('delete') ? 'delete'
+      : /Paste|Drop/.test(inputType) ? inputType
+        : 'insert';
+    if (typingGroup && typingGroup.kind !== kind) commitTyping();
+    if (!typingGroup) {
+      typingGroup = { kind, before: captureEditorState() };
+      updateHistoryButtons();
+    }
+  });
+
+  editor.addEventListener('input', () => {
+    if (runningCommand || !typingGroup) return;
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(commitTyping, TYPING_IDLE_MS);
+  });
+
+  editor.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  btnUndo.addEventListener('click', () => {
+    undo();
+    editor.focus();
+  });
+
+  btnRedo.addEventListener('click', () => {
+    redo();
+    editor.focus();
+  });
+
+  updateHistoryButtons();
+
   // ─── Analysis Engine ───────────────────────────────────────
 
   // Common issues database
@@ -103,6 +437,8 @@
     /\b(was|were|is|are|been|being|be)\s+(\w+ed|written|taken|given|shown|known|made|done|seen|found|told|thought|felt|become|begun|broken|chosen|driven|eaten|fallen|forgotten|frozen|gotten|hidden|ridden|risen|spoken|stolen|sworn|thrown|woken|worn)\b/gi
   ];
 
+  const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'shall', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'our', 'their', 'not', 'no', 'if', 'as', 'so']);
+
   const WEAK_WORDS = ['very', 'really', 'just', 'quite', 'rather', 'somewhat', 'basically', 'actually', 'literally', 'definitely', 'absolutely', 'totally', 'completely', 'honestly', 'frankly'];
 
   const FILLER_PHRASES = [
@@ -146,139 +482,422 @@
     'remuneration': 'pay / payment'
   };
 
-  function findPassiveVoice(text) {
-    const issues = [];
-    PASSIVE_PATTERNS.forEach(pattern => {
-      let match;
-      const regex = new RegExp(pattern.source, pattern.flags);
-      while ((match = regex.exec(text)) !== null) {
-        issues.push({
-          type: 'clarity',
-          category: 'Passive Voice',
-          text: match[0],
-          message: `Consider using active voice instead of "${match[0]}" for more direct, engaging writing.`,
-          position: match.index
-        });
-      }
-    });
-    return issues;
-  }
+  // Inclusive language: each term maps to the alternative offered first
+  const GENDERED_TERMS = {
+    'chairman': 'chair', 'chairmen': 'chairs', 'businessman': 'businessperson', 'businessmen': 'businesspeople',
+    'salesman': 'salesperson', 'salesmen': 'salespeople', 'spokesman': 'spokesperson', 'spokesmen': 'spokespeople',
+    'fireman': 'firefighter', 'firemen': 'firefighters', 'policeman': 'police officer', 'policemen': 'police officers',
+    'mailman': 'mail carrier', 'foreman': 'supervisor', 'middleman': 'intermediary', 'layman': 'layperson',
+    'laymen': 'laypeople', 'cameraman': 'camera operator', 'congressman': 'representative',
+    'stewardess': 'flight attendant', 'waitress': 'server', 'housewife': 'homemaker', 'mankind': 'humankind',
+    'manpower': 'workforce', 'man-made': 'artificial', 'man-hours': 'person-hours', 'manned': 'staffed',
+    'unmanned': 'uncrewed', 'forefathers': 'ancestors', 'you guys': 'you all', 'hi guys': 'hi everyone',
+    'hey guys': 'hi everyone', 'ladies and gentlemen': 'everyone', 'the common man': 'ordinary people',
+    'man up': 'step up'
+  };
 
-  function findWeakWords(text) {
-    const issues = [];
-    WEAK_WORDS.forEach(word => {
-      const regex = new RegExp(`\\b${word}\\b`, 'gi');
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        issues.push({
-          type: 'style',
-          category: 'Weak Word',
-          text: match[0],
-          message: `"${match[0]}" weakens your statement. Try removing it or using a stronger alternative.`,
-          position: match.index
-        });
-      }
-    });
-    return issues;
-  }
+  const ABLEIST_TERMS = {
+    'crazy': 'wild', 'insane': 'extreme', 'insanely': 'extremely', 'lame': 'unconvincing', 'dumb': 'silly',
+    'dumb down': 'simplify', 'crippled': 'hampered', 'crippling': 'severe', 'tone-deaf': 'out of touch',
+    'turn a blind eye': 'ignore', 'turned a blind eye': 'ignored', 'fall on deaf ears': 'go unheeded',
+    'fell on deaf ears': 'went unheeded', 'falls on deaf ears': 'goes unheeded', 'sanity check': 'quick check',
+    'confined to a wheelchair': 'uses a wheelchair', 'wheelchair-bound': 'wheelchair-using',
+    'handicapped': 'disabled', 'lunatic': 'reckless', 'psycho': 'erratic',
+    'retarded': 'foolish', 'so OCD': 'so meticulous', 'a bit OCD': 'a bit particular'
+  };
 
-  function findFillerPhrases(text) {
-    const issues = [];
-    FILLER_PHRASES.forEach(phrase => {
-      const regex = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        issues.push({
-          type: 'clarity',
-          category: 'Filler Phrase',
-          text: match[0],
-          message: `"${match[0]}" can likely be simplified or removed for conciseness.`,
-          position: match.index
-        });
-      }
-    });
-    return issues;
+  const EXCLUSIONARY_JARGON = {
+    'whitelist': 'allowlist', 'whitelists': 'allowlists', 'whitelisted': 'allowlisted',
+    'blacklist': 'denylist', 'blacklists': 'denylists', 'blacklisted': 'denylisted',
+    'master branch': 'main branch', 'master node': 'primary node', 'slave node': 'replica node',
+    'master/slave': 'primary/replica', 'grandfathered': 'exempted', 'grandfather clause': 'legacy clause',
+    'man-in-the-middle': 'machine-in-the-middle', 'dummy value': 'placeholder value', 'powwow': 'meeting',
+    'spirit animal': 'favorite', 'low man on the totem pole': 'most junior person', 'cakewalk': 'breeze',
+    'peanut gallery': 'audience', 'off the reservation': 'off-script'
+  };
+
+  // ─── Rule Engine ───────────────────────────────────────────
+  // Every detector is a rule: an id, category, type, severity, a pattern
+  // (phrase list or regex) or matcher function, a message template and an
+  // optional replacement. Built-in rules can be disabled or edited; team
+  // rules are added on top and shared as JSON rule packs.
+  const RULES_KEY = 'draftwise_rules';
+  const RULE_TYPES = ['clarity', 'style', 'grammar'];
+  const RULE_SEVERITIES = ['info', 'warning', 'error'];
+  const SEVERITY_WEIGHTS = { info: 1, warning: 3, error: 5 };
+  const EDITABLE_RULE_FIELDS = ['name', 'category', 'type', 'severity', 'phrases', 'pattern', 'flags', 'message', 'replacement'];
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
-  function findCliches(text) {
-    const issues = [];
-    CLICHE_PHRASES.forEach(phrase => {
-      const regex = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        issues.push({
-          type: 'style',
-          category: 'Cliche',
-          text: match[0],
-          message: `"${match[0]}" is a cliche. Consider replacing with more original language.`,
-          position: match.index
-        });
-      }
-    });
-    return issues;
+  function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (token, key) => (values[key] !== undefined ? values[key] : token));
   }
 
-  function findComplexWords(text) {
-    const issues = [];
-    Object.entries(COMPLEX_WORDS_MAP).forEach(([complex, simple]) => {
-      const regex = new RegExp(`\\b${complex}\\b`, 'gi');
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        issues.push({
-          type: 'clarity',
-          category: 'Complex Word',
-          text: match[0],
-          message: `"${match[0]}" could be simplified to "${simple}" for clearer communication.`,
-          position: match.index
-        });
-      }
-    });
-    return issues;
+  // A finding that covers a whole sentence; the card quotes its start
+  function sentenceMatch(sentence, values) {
+    return {
+      index: sentence.start,
+      length: sentence.text.length,
+      text: sentence.text.length > 60 ? `${sentence.text.substring(0, 60)}...` : sentence.text,
+      values
+    };
   }
 
-  function findLongSentences(text) {
-    const issues = [];
-    const sentences = text.split(/(?<=[.!?])\s+/);
-    sentences.forEach(sentence => {
-      const wordCount = getWords(sentence).length;
-      if (wordCount > 30) {
-        issues.push({
-          type: 'clarity',
-          category: 'Long Sentence',
-          text: sentence.substring(0, 60) + '...',
-          message: `This sentence has ${wordCount} words. Consider breaking it into shorter sentences for better readability.`,
-          position: text.indexOf(sentence)
-        });
-      }
-    });
-    return issues;
+  function matchLongSentences(text, rule) {
+    return tokenize(text).sentences
+      .filter(sentence => sentence.wordCount > rule.maxWords)
+      .map(sentence => sentenceMatch(sentence, { count: sentence.wordCount }));
   }
 
-  function findRepetition(text) {
-    const issues = [];
-    const words = getWords(text.toLowerCase());
-    const skipWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'shall', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'our', 'their', 'not', 'no', 'if', 'as', 'so']);
+  function matchRepetition(text) {
+    const matches = [];
+    const tokens = tokenize(text).words;
+    const words = tokens.map(token => token.text.toLowerCase());
     const freq = {};
     words.forEach(w => {
-      if (w.length > 3 && !skipWords.has(w)) {
+      if (w.length > 3 && !STOP_WORDS.has(w)) {
         freq[w] = (freq[w] || 0) + 1;
       }
     });
     Object.entries(freq).forEach(([word, count]) => {
       if (count >= 4 && words.length > 20) {
-        issues.push({
-          type: 'style',
-          category: 'Word Repetition',
+        matches.push({
+          index: tokens[words.indexOf(word)].start,
+          length: 0,
           text: word,
-          message: `"${word}" appears ${count} times. Consider using synonyms for variety.`,
-          position: 0
+          values: { count }
         });
       }
     });
-    return issues;
+    return matches;
+  }
+
+  const BUILTIN_RULES = [
+    {
+      id: 'passive-voice',
+      name: 'Passive voice',
+      category: 'Passive Voice',
+      type: 'clarity',
+      severity: 'warning',
+      pattern: PASSIVE_PATTERNS[0].source,
+      flags: 'gi',
+      message: 'Consider using active voice instead of "{match}" for more direct, engaging writing.'
+    },
+    {
+      id: 'weak-words',
+      name: 'Weak words',
+      category: 'Weak Word',
+      type: 'style',
+      severity: 'info',
+      phrases: WEAK_WORDS,
+      message: '"{match}" weakens your statement. Try removing it or using a stronger alternative.',
+      replacement: ''
+    },
+    {
+      id: 'filler-phrases',
+      name: 'Filler phrases',
+      category: 'Filler Phrase',
+      type: 'clarity',
+      severity: 'warning',
+      phrases: FILLER_PHRASES,
+      message: '"{match}" can likely be simplified or removed for conciseness.',
+      replacement: ''
+    },
+    {
+      id: 'cliches',
+      name: 'Cliches',
+      category: 'Cliche',
+      type: 'style',
+      severity: 'warning',
+      phrases: CLICHE_PHRASES,
+      message: '"{match}" is a cliche. Consider replacing with more original language.'
+    },
+    {
+      id: 'complex-words',
+      name: 'Complex words',
+      category: 'Complex Word',
+      type: 'clarity',
+      severity: 'info',
+      phrases: Object.keys(COMPLEX_WORDS_MAP),
+      replacements: COMPLEX_WORDS_MAP,
+      message: '"{match}" could be simplified to "{replacement}" for clearer communication.'
+    },
+    {
+      id: 'long-sentences',
+      name: 'Long sentences',
+      category: 'Long Sentence',
+      type: 'clarity',
+      severity: 'warning',
+      maxWords: 30,
+      matcher: matchLongSentences,
+      message: 'This sentence has {count} words. Consider breaking it into shorter sentences for better readability.'
+    },
+    {
+      id: 'repetition',
+      name: 'Word repetition',
+      category: 'Word Repetition',
+      type: 'style',
+      severity: 'info',
+      scope: 'document',
+      matcher: matchRepetition,
+      message: '"{match}" appears {count} times. Consider using synonyms for variety.'
+    },
+    {
+      id: 'negative-sentiment',
+      name: 'Strongly negative sentences',
+      category: 'Sentiment',
+      type: 'style',
+      severity: 'info',
+      matcher: matchNegativeSentences,
+      message: 'This sentence reads as strongly negative (compound {compound}). Check that this is the impression you want to leave.'
+    },
+    {
+      id: 'gendered-terms',
+      name: 'Gendered terms',
+      category: 'Inclusive Language',
+      type: 'style',
+      severity: 'warning',
+      phrases: Object.keys(GENDERED_TERMS),
+      replacements: GENDERED_TERMS,
+      message: '"{match}" assumes a gender. Try "{replacement}".'
+    },
+    {
+      id: 'ableist-language',
+      name: 'Ableist idioms',
+      category: 'Inclusive Language',
+      type: 'style',
+      severity: 'warning',
+      phrases: Object.keys(ABLEIST_TERMS),
+      replacements: ABLEIST_TERMS,
+      message: '"{match}" uses disability as a figure of speech or a label. Try "{replacement}".'
+    },
+    {
+      id: 'exclusionary-jargon',
+      name: 'Exclusionary jargon',
+      category: 'Inclusive Language',
+      type: 'style',
+      severity: 'warning',
+      phrases: Object.keys(EXCLUSIONARY_JARGON),
+      replacements: EXCLUSIONARY_JARGON,
+      message: '"{match}" is jargon with exclusionary connotations. Try "{replacement}".'
+    },
+    {
+      id: 'spelling',
+      name: 'Spelling',
+      category: 'Spelling',
+      type: 'grammar',
+      severity: 'error',
+      matcher: matchSpelling,
+      message: '"{match}" is not in the dictionary. {suggestions}'
+    },
+    {
+      id: 'agreement',
+      name: 'Subject–verb agreement',
+      category: 'Agreement',
+      type: 'grammar',
+      severity: 'error',
+      matcher: matchAgreement,
+      message: '"{match}" doesn\'t agree with its subject. Use "{replacement}".'
+    },
+    {
+      id: 'articles',
+      name: 'A and an',
+      category: 'Articles',
+      type: 'grammar',
+      severity: 'error',
+      matcher: matchArticles,
+      message: 'Use "{replacement}" before "{next}".'
+    },
+    {
+      id: 'repeated-words',
+      name: 'Repeated words',
+      category: 'Repeated Word',
+      type: 'grammar',
+      severity: 'error',
+      matcher: matchRepeatedWords,
+      message: '"{word}" appears twice in a row.'
+    },
+    {
+      id: 'confused-words',
+      name: 'Commonly confused words',
+      category: 'Word Choice',
+      type: 'grammar',
+      severity: 'error',
+      matcher: matchConfusables,
+      message: '"{match}" looks like the wrong word here. Did you mean "{replacement}"?'
+    },
+    {
+      id: 'comma-splices',
+      name: 'Comma splices',
+      category: 'Comma Splice',
+      type: 'grammar',
+      severity: 'warning',
+      matcher: matchCommaSplices,
+      message: 'This comma joins two complete sentences. Use a semicolon or full stop, or add a conjunction.'
+    },
+    {
+      id: 'introductory-commas',
+      name: 'Introductory commas',
+      category: 'Punctuation',
+      type: 'grammar',
+      severity: 'warning',
+      matcher: matchIntroductoryCommas,
+      message: 'Add a comma after the introductory word or clause.'
+    },
+    {
+      id: 'sentence-capitals',
+      name: 'Sentence capitals',
+      category: 'Capitalization',
+      type: 'grammar',
+      severity: 'error',
+      matcher: matchSentenceCapitals,
+      message: 'Start the sentence with a capital letter.'
+    },
+    {
+      id: 'double-spaces',
+      name: 'Double spaces',
+      category: 'Spacing',
+      type: 'grammar',
+      severity: 'warning',
+      pattern: '[ \\u00a0]{2,}',
+      flags: 'g',
+      replacement: ' ',
+      message: 'Use a single space between words.'
+    }
+  ];
+
+  function loadRuleSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(RULES_KEY));
+      if (saved) return { custom: saved.custom || [], overrides: saved.overrides || {} };
+    } catch (e) {
+      // Ignore parse errors
+    }
+    return { custom: [], overrides: {} };
+  }
+
+  let ruleSettings = loadRuleSettings();
+  let compiledRules = null;
+  let activeRules = null;
+
+  // Transforms applied on top of the configured rules when analysing, e.g.
+  // the document's style profile adding its own rules
+  const ruleLayers = [];
+
+  function invalidateRules() {
+    compiledRules = null;
+    activeRules = null;
+    paragraphCache.clear();
+  }
+
+  function saveRuleSettings() {
+    try {
+      localStorage.setItem(RULES_KEY, JSON.stringify(ruleSettings));
+    } catch (e) {
+      // localStorage might be full or unavailable
+    }
+    invalidateRules();
+  }
+
+  // Builds the regex a rule matches with, or null for matcher rules.
+  // Throws on an invalid user pattern.
+  function compileRulePattern(rule) {
+    if (rule.phrases) {
+      const phrases = rule.phrases
+        .map(p => p.trim())
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+      return phrases.length > 0 ? new RegExp(`\\b(?:${phrases.join('|')})\\b`, 'gi') : null;
+    }
+    if (rule.pattern) {
+      const flags = rule.flags || 'gi';
+      return new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`);
+    }
+    return null;
+  }
+
+  function getRules() {
+    if (!compiledRules) {
+      const builtins = BUILTIN_RULES.map(rule => ({ ...rule, builtin: true, ...ruleSettings.overrides[rule.id] }));
+      compiledRules = [...builtins, ...ruleSettings.custom.map(rule => ({ ...rule, builtin: false }))].map(rule => {
+        try {
+          return { ...rule, enabled: rule.enabled !== false, regex: compileRulePattern(rule), error: null };
+        } catch (e) {
+          return { ...rule, enabled: false, regex: null, error: e.message };
+        }
+      });
+    }
+    return compiledRules;
+  }
+
+  function getActiveRules() {
+    if (!activeRules) {
+      activeRules = ruleLayers.reduce((rules, layer) => layer(rules), getRules());
+    }
+    return activeRules;
+  }
+
+  function ruleReplacementFor(rule, match) {
+    if (rule.replacements) {
+      const key = Object.keys(rule.replacements).find(k => k.toLowerCase() === match.toLowerCase());
+      return key ? rule.replacements[key] : undefined;
+    }
+    return rule.replacement;
+  }
+
+  function runRule(rule, text) {
+    let matches = [];
+    if (rule.matcher) {
+      matches = rule.matcher(text, rule);
+    } else if (rule.regex) {
+      const regex = new RegExp(rule.regex.source, rule.regex.flags);
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        matches.push({ index: match.index, length: match[0].length, text: match[0], values: {} });
+      }
+    }
+
+    return matches.map(match => {
+      const suggestion = rule.matcher ? undefined : ruleReplacementFor(rule, match.text);
+      const issue = {
+        ruleId: rule.id,
+        type: RULE_TYPES.includes(rule.type) ? rule.type : 'style',
+        category: rule.category || rule.name,
+        severity: rule.severity || 'warning',
+        text: match.text,
+        message: fillTemplate(rule.message || '', { match: match.text, replacement: suggestion || '', ...match.values }),
+        position: match.index,
+        length: match.length
+      };
+      if (rule.tag) issue.tag = rule.tag;
+      if (match.replacement !== undefined) issue.replacement = match.replacement;
+      // "a / b" alternatives apply the first one
+      if (suggestion !== undefined) issue.replacement = suggestion.includes('/') ? suggestion.split('/')[0].trim() : suggestion;
+      return issue;
+    });
+  }
+
+  // Runs every enabled rule of a scope: 'paragraph' rules are cached per
+  // paragraph, 'document' rules see the whole text.
+  function runRules(text, scope) {
+    const issues = [];
+    getActiveRules().forEach(rule => {
+      if (!rule.enabled || (rule.scope || 'paragraph') !== scope) return;
+      issues.push(...runRule(rule, text));
+    });
+    return issues.filter(isIssueAllowed);
   }
 
-  // ─── Readability Score (Flesch-Kincaid) ────────────────────
+  // ─── Readability ───────────────────────────────────────────
+  // Flesch Reading Ease drives the Readability score; the other formulas
+  // are shown beside it in the score card for comparison.
   function calculateReadability(text) {
     const words = getWords(text);
     const sentences = getSentences(text);
@@ -293,39 +912,225 @@
     return Math.max(0, Math.min(100, Math.round(score)));
   }
 
+  // Flesch-Kincaid grade level: the US school grade that can follow the text
+  function gradeLevel(text) {
+    const words = getWords(text);
+    const sentences = getSentences(text);
+    if (words.length === 0 || sentences.length === 0) return 0;
+
+    const totalSyllables = words.reduce((sum, w) => sum + getSyllableCount(w), 0);
+    return Math.max(0, (0.39 * (words.length / sentences.length)) + (11.8 * (totalSyllables / words.length)) - 15.59);
+  }
+
+  // Dale-Chall counts the words missing from its list of 3,000 familiar
+  // words. The list is fetched like the spelling dictionary; until it
+  // loads, Dale-Chall has no score.
+  const FAMILIAR_WORDS_URL = 'dictionaries/dale-chall.txt';
+  let familiarWords = null;
+
+  async function loadFamiliarWords() {
+    try {
+      const list = await fetchText(FAMILIAR_WORDS_URL);
+      familiarWords = new Set(list.split('\n').map(word => word.trim()).filter(Boolean));
+    } catch (e) {
+      // Opened straight from disk; the other formulas still work
+      return;
+    }
+    if (lastAnalysis) runLiveAnalysis();
+  }
+
+  // Numbers and regular inflections of listed words count as familiar,
+  // as the Dale-Chall instructions ask: "cats", "played", "bigger".
+  function isFamiliarWord(word) {
+    const lower = word.toLowerCase().replace(/’/g, "'").replace(/'s$/, '');
+    if (/\d/.test(lower) || familiarWords.has(lower)) return true;
+    return [
+      lower.replace(/i(?:es|ed|er|est)$/, 'y'),
+      lower.replace(/(?:e?s|e?d|ing|e?r|e?st)$/, ''),
+      lower.replace(/(?:s|d|ing|r|st)$/, '').replace(/([^aeiou])$/, '$1e'),
+      lower.replace(/([^aeiou])\1(?:ed|ing|er|est)$/, '$1')
+    ].some(stem => stem !== lower && familiarWords.has(stem));
+  }
+
+  // Everything the formulas need, counted in one pass over the words
+  function readabilityCounts(text) {
+    const { sentences, words } = tokenize(text);
+    const sentenceStarts = new Set(sentences.map(sentence => sentence.start));
+    const counts = {
+      sentences: sentences.length,
+      words: words.length,
+      syllables: 0,
+      letters: 0,
+      characters: 0,
+      polysyllables: 0,
+      complexWords: 0,
+      unfamiliar: familiarWords ? 0 : null
+    };
+    words.forEach(word => {
+      const syllables = getSyllableCount(word.text);
+      const properNoun = /^\p{Lu}/u.test(word.text) && !sentenceStarts.has(word.start);
+      counts.syllables += syllables;
+      counts.letters += (word.text.match(/\p{L}/gu) || []).length;
+      counts.characters += (word.text.match(/[\p{L}\p{N}]/gu) || []).length;
+      if (syllables >= 3) counts.polysyllables++;
+      // Gunning Fog leaves out names, compounds and words that only reach
+      // three syllables with "-es", "-ed" or "-ing"
+      if (syllables >= 3 && !properNoun && !word.text.includes('-') &&
+          getSyllableCount(word.text.replace(/(?:es|ed|ing)$/i, '')) >= 3) {
+        counts.complexWords++;
+      }
+      if (familiarWords && !properNoun && !isFamiliarWord(word.text)) counts.unfamiliar++;
+    });
+    return counts;
+  }
+
+  function gradeLabel(grade) {
+    const rounded = Math.round(grade);
+    if (rounded <= 0) return 'Kindergarten';
+    if (rounded <= 12) return `Grade ${rounded}`;
+    return rounded <= 16 ? 'College' : 'Graduate';
+  }
+
+  const READABILITY_FORMULAS = [
+    {
+      id: 'flesch',
+      name: 'Flesch Reading Ease',
+      score: c => 206.835 - (1.015 * (c.words / c.sentences)) - (84.6 * (c.syllables / c.words)),
+      label: score => (score >= 90 ? 'Very easy' : score >= 80 ? 'Easy' : score >= 70 ? 'Fairly easy'
+        : score >= 60 ? 'Plain English' : score >= 50 ? 'Fairly difficult' : score >= 30 ? 'Difficult' : 'Very difficult')
+    },
+    {
+      id: 'flesch-kincaid',
+      name: 'Flesch-Kincaid',
+      grade: true,
+      score: c => (0.39 * (c.words / c.sentences)) + (11.8 * (c.syllables / c.words)) - 15.59
+    },
+    {
+      id: 'gunning-fog',
+      name: 'Gunning Fog',
+      grade: true,
+      score: c => 0.4 * ((c.words / c.sentences) + (100 * (c.complexWords / c.words)))
+    },
+    {
+      id: 'smog',
+      name: 'SMOG',
+      grade: true,
+      score: c => (1.043 * Math.sqrt(c.polysyllables * (30 / c.sentences))) + 3.1291,
+      note: c => (c.sentences < 30 ? 'SMOG is calibrated on samples of 30 sentences, so treat it as rough on shorter texts.' : '')
+    },
+    {
+      id: 'coleman-liau',
+      name: 'Coleman-Liau',
+      grade: true,
+      score: c => (0.0588 * (100 * c.letters / c.words)) - (0.296 * (100 * c.sentences / c.words)) - 15.8
+    },
+    {
+      id: 'ari',
+      name: 'Automated Readability',
+      grade: true,
+      score: c => (4.71 * (c.characters / c.words)) + (0.5 * (c.words / c.sentences)) - 21.43
+    },
+    {
+      id: 'dale-chall',
+      name: 'Dale-Chall',
+      score: (c) => {
+        if (c.unfamiliar === null) return null;
+        const difficult = 100 * c.unfamiliar / c.words;
+        return (0.1579 * difficult) + (0.0496 * (c.words / c.sentences)) + (difficult > 5 ? 3.6365 : 0);
+      },
+      label: score => (score < 5 ? 'Grade 4 and below' : score < 6 ? 'Grades 5–6' : score < 7 ? 'Grades 7–8'
+        : score < 8 ? 'Grades 9–10' : score < 9 ? 'Grades 11–12' : score < 10 ? 'College' : 'Graduate'),
+      note: c => (c.unfamiliar === null ? 'Needs the familiar-word list in dictionaries/dale-chall.txt. Open DraftWise from a web server to load it.' : '')
+    }
+  ];
+
+  // Hemingway-style sentence difficulty: sentences of ten words or more
+  // are hard from grade 10 and very hard from grade 14
+  const DIFFICULTY_MIN_WORDS = 10;
+  const DIFFICULTY_GRADES = { hard: 10, veryHard: 14 };
+
+  function sentenceDifficulties(text) {
+    return tokenize(text).sentences
+      .filter(sentence => sentence.wordCount >= DIFFICULTY_MIN_WORDS)
+      .map((sentence) => {
+        const grade = gradeLevel(sentence.text);
+        const level = grade >= DIFFICULTY_GRADES.veryHard ? 'very-hard' : grade >= DIFFICULTY_GRADES.hard ? 'hard' : null;
+        return { start: sentence.start, end: sentence.end, grade, level };
+      })
+      .filter(sentence => sentence.level);
+  }
+
+  function readabilityReport(text) {
+    const counts = readabilityCounts(text);
+    if (counts.words === 0 || counts.sentences === 0) return null;
+
+    const formulas = READABILITY_FORMULAS.map((formula) => {
+      const score = formula.score(counts);
+      return {
+        id: formula.id,
+        name: formula.name,
+        grade: Boolean(formula.grade),
+        value: score === null ? null : Math.round(score * 10) / 10,
+        label: score === null ? 'Unavailable' : formula.grade ? gradeLabel(score) : formula.label(score),
+        note: formula.note ? formula.note(counts) : ''
+      };
+    });
+    // The median grade is the usual consensus when the formulas disagree
+    const grades = formulas.filter(formula => formula.grade).map(formula => formula.value).sort((a, b) => a - b);
+    const difficulties = sentenceDifficulties(text);
+    return {
+      formulas,
+      consensus: grades[Math.floor(grades.length / 2)],
+      sentences: counts.sentences,
+      hard: difficulties.filter(sentence => sentence.level === 'hard').length,
+      veryHard: difficulties.filter(sentence => sentence.level === 'very-hard').length
+    };
+  }
+
   // ─── Score Calculation ─────────────────────────────────────
-  function calculateScores(text) {
+  const SCORED_RULES = ['passive-voice', 'filler-phrases', 'complex-words', 'long-sentences', 'weak-words', 'cliches', 'repetition'];
+
+  // When the current issue list is passed in, scores are derived from it
+  // instead of re-running the detectors, so applied or ignored suggestions
+  // count straight away.
+  function calculateScores(text, issues) {
     const words = getWords(text);
     const sentences = getSentences(text);
     if (words.length < 5) return null;
 
-    const readability = calculateReadability(text);
+    // With a grade goal, readability measures the distance from it
+    const target = goalGrade();
+    const readability = target ? gradeFitScore(gradeLevel(text), target) : calculateReadability(text);
+    const found = issues || collectIssues(text);
+    const count = (ruleId) => found.filter(issue => issue.ruleId === ruleId).length;
+    // Rules without a dedicated weight below count by severity
+    const extraPenalty = (type) => found
+      .filter(issue => issue.type === type && !SCORED_RULES.includes(issue.ruleId))
+      .reduce((sum, issue) => sum + (SEVERITY_WEIGHTS[issue.severity] || 1), 0);
 
     // Clarity: penalize passive voice, filler phrases, complex words, long sentences
-    const passiveCount = findPassiveVoice(text).length;
-    const fillerCount = findFillerPhrases(text).length;
-    const complexCount = findComplexWords(text).length;
-    const longSentCount = findLongSentences(text).length;
-    const clarityPenalty = Math.min(50, (passiveCount * 5) + (fillerCount * 4) + (complexCount * 3) + (longSentCount * 6));
+    const passiveCount = count('passive-voice');
+    const fillerCount = count('filler-phrases');
+    const complexCount = count('complex-words');
+    const longSentCount = count('long-sentences');
+    const clarityPenalty = Math.min(50, (passiveCount * 5) + (fillerCount * 4) + (complexCount * 3) + (longSentCount * 6) + extraPenalty('clarity'));
     const clarity = Math.max(10, 100 - clarityPenalty);
 
     // Engagement: reward varied sentence length, questions, strong openings
     const sentenceLengths = sentences.map(s => getWords(s).length);
     const hasVariedLength = sentenceLengths.length > 2 ? new Set(sentenceLengths.map(l => Math.round(l / 5))).size >= 2 : false;
     const hasQuestions = /\?/.test(text);
-    const weakCount = findWeakWords(text).length;
-    const clicheCount = findCliches(text).length;
-    const repetitionCount = findRepetition(text).length;
+    const weakCount = count('weak-words');
+    const clicheCount = count('cliches');
+    const repetitionCount = count('repetition');
     let engagement = 60;
     if (hasVariedLength) engagement += 15;
     if (hasQuestions) engagement += 10;
-    engagement -= Math.min(30, (weakCount * 2) + (clicheCount * 4) + (repetitionCount * 3));
+    engagement -= Math.min(30, (weakCount * 2) + (clicheCount * 4) + (repetitionCount * 3) + extraPenalty('style'));
     engagement = Math.max(10, Math.min(100, engagement));
 
-    // Grammar: estimate based on common patterns
-    const doubleSpaces = (text.match(/  +/g) || []).length;
-    const missingCapital = (text.match(/[.!?]\s+[a-z]/g) || []).length;
-    const grammarPenalty = Math.min(40, (doubleSpaces * 3) + (missingCapital * 5));
+    // Grammar: every grammar and spelling finding, weighted by severity
+    const grammarPenalty = Math.min(40, extraPenalty('grammar'));
     const grammar = Math.max(20, 100 - grammarPenalty);
 
     const overall = Math.round((readability * 0.25) + (clarity * 0.30) + (engagement * 0.20) + (grammar * 0.25));
@@ -335,44 +1140,123 @@
       readability,
       clarity,
       engagement,
-      grammar
+      grammar,
+      formulas: readabilityReport(text),
+      sentiment: sentimentReport(text, found),
+      goals: buildGoalReport(text, found)
     };
   }
 
   // ─── Tone Analysis ─────────────────────────────────────────
-  function analyzeTone(text) {
-    const lower = text.toLowerCase();
-    const words = getWords(lower);
-    if (words.length < 5) return null;
+  // Tones are scored sentence by sentence from marker words and phrases.
+  // A negation shortly before a marker ("not urgent") counts against its
+  // tone, and an intensifier or softener right before it scales it.
+  // Paragraph and document tones add up their sentences.
+  const TONES = ['Formal', 'Casual', 'Confident', 'Analytical', 'Friendly', 'Urgent'];
+  const TONE_MARKERS = {
+    Formal: ['therefore', 'consequently', 'furthermore', 'moreover', 'nevertheless', 'regarding', 'pursuant', 'accordingly', 'whereas', 'hereby', 'hereafter', 'therein', 'shall', 'ought'],
+    Casual: ['hey', 'cool', 'awesome', 'gonna', 'wanna', 'kinda', 'yeah', 'nope', 'ok', 'okay', 'yep', 'btw', 'lol', 'tbh', 'imo', 'fyi', 'super', 'totally', 'stuff', 'things', 'pretty much'],
+    Confident: ['will', 'must', 'certainly', 'undoubtedly', 'clearly', 'proven', 'guaranteed', 'ensures', 'always', 'never', 'definitely', 'absolutely', 'without doubt', 'exactly'],
+    Analytical: ['analysis', 'data', 'evidence', 'research', 'study', 'findings', 'statistics', 'correlation', 'significant', 'indicates', 'suggests', 'demonstrates', 'measures', 'factors', 'results', 'methodology', 'hypothesis', 'variable'],
+    Friendly: ['thanks', 'please', 'welcome', 'appreciate', 'glad', 'happy', 'enjoy', 'wonderful', 'great', 'love', 'excited', 'amazing', 'fantastic', 'together', 'share', 'hope', 'wish', 'kind'],
+    Urgent: ['immediately', 'urgent', 'asap', 'critical', 'deadline', 'now', 'hurry', 'quickly', 'fast', 'rush', 'important', 'priority', 'essential', 'emergency', 'time-sensitive', 'act now', "don't delay"]
+  };
+  const TONE_NEGATIONS = new Set(['not', 'no', 'nothing', 'hardly', 'barely', 'without', 'neither', 'nor']);
+  const TONE_MODIFIERS = {
+    very: 1.5, really: 1.5, so: 1.5, truly: 1.5, highly: 1.5, extremely: 2, incredibly: 2, especially: 1.5,
+    slightly: 0.5, somewhat: 0.5, fairly: 0.5, rather: 0.5, quite: 0.75, 'a bit': 0.5, 'a little': 0.5, 'kind of': 0.5
+  };
+  // How many words a negation reaches: "not at all urgent"
+  const NEGATION_SCOPE = 3;
+  // One plain marker; sentences and paragraphs below it have no tone
+  const MARKER_WEIGHT = 2;
+
+  // Markers and modifiers keyed by their first word, longest phrase first
+  function phraseIndex(entries) {
+    const index = new Map();
+    entries.forEach(([phrase, value]) => {
+      const words = phrase.split(' ');
+      if (!index.has(words[0])) index.set(words[0], []);
+      index.get(words[0]).push({ words, value });
+    });
+    index.forEach(list => list.sort((a, b) => b.words.length - a.words.length));
+    return index;
+  }
 
-    const tones = {
-      Formal: 0,
-      Casual: 0,
-      Confident: 0,
-      Analytical: 0,
-      Friendly: 0,
-      Urgent: 0
-    };
+  const toneMarkerIndex = phraseIndex(Object.entries(TONE_MARKERS).flatMap(([tone, markers]) => markers.map(marker => [marker, tone])));
+  const toneModifierIndex = phraseIndex(Object.entries(TONE_MODIFIERS));
 
-    const formalWords = ['therefore', 'consequently', 'furthermore', 'moreover', 'nevertheless', 'regarding', 'pursuant', 'accordingly', 'whereas', 'hereby', 'hereafter', 'therein', 'shall', 'ought'];
-    const casualWords = ['hey', 'cool', 'awesome', 'gonna', 'wanna', 'kinda', 'yeah', 'nope', 'ok', 'okay', 'yep', 'btw', 'lol', 'tbh', 'imo', 'fyi', 'super', 'totally', 'stuff', 'things', 'pretty much'];
-    const confidentWords = ['will', 'must', 'certainly', 'undoubtedly', 'clearly', 'proven', 'guaranteed', 'ensures', 'always', 'never', 'definitely', 'absolutely', 'without doubt', 'exactly'];
-    const analyticalWords = ['analysis', 'data', 'evidence', 'research', 'study', 'findings', 'statistics', 'correlation', 'significant', 'indicates', 'suggests', 'demonstrates', 'measures', 'factors', 'results', 'methodology', 'hypothesis', 'variable'];
-    const friendlyWords = ['thanks', 'please', 'welcome', 'appreciate', 'glad', 'happy', 'enjoy', 'wonderful', 'great', 'love', 'excited', 'amazing', 'fantastic', 'together', 'share', 'hope', 'wish', 'kind'];
-    const urgentWords = ['immediately', 'urgent', 'asap', 'critical', 'deadline', 'now', 'hurry', 'quickly', 'fast', 'rush', 'important', 'priority', 'essential', 'emergency', 'time-sensitive', 'act now', 'dont delay'];
+  function matchPhrase(index, words, i) {
+    return (index.get(words[i]) || []).find(entry => entry.words.every((word, j) => words[i + j] === word)) || null;
+  }
 
-    words.forEach(w => {
-      if (formalWords.includes(w)) tones.Formal += 2;
-      if (casualWords.includes(w)) tones.Casual += 2;
-      if (confidentWords.includes(w)) tones.Confident += 2;
-      if (analyticalWords.includes(w)) tones.Analytical += 2;
-      if (friendlyWords.includes(w)) tones.Friendly += 2;
-      if (urgentWords.includes(w)) tones.Urgent += 2;
+  function emptyTones() {
+    return Object.fromEntries(TONES.map(tone => [tone, 0]));
+  }
+
+  function scoreToneSentence(sentence) {
+    const scores = emptyTones();
+    const words = getWords(sentence.toLowerCase().replace(/’/g, "'"));
+    let negation = 0;
+    let modifier = 1;
+
+    for (let i = 0; i < words.length; i++) {
+      const marker = matchPhrase(toneMarkerIndex, words, i);
+      if (marker) {
+        scores[marker.value] += MARKER_WEIGHT * modifier * (negation > 0 ? -0.5 : 1);
+        i += marker.words.length - 1;
+        negation = 0;
+        modifier = 1;
+        continue;
+      }
+      const intensity = matchPhrase(toneModifierIndex, words, i);
+      if (intensity) {
+        modifier *= intensity.value;
+        i += intensity.words.length - 1;
+        continue;
+      }
+      modifier = 1;
+      if (TONE_NEGATIONS.has(words[i]) || /n't$/.test(words[i])) negation = NEGATION_SCOPE;
+      else if (negation > 0) negation--;
+    }
+
+    if (/!/.test(sentence)) { scores.Casual += 1; scores.Urgent += 1; }
+    if (/\?/.test(sentence)) { scores.Friendly += 0.5; scores.Analytical += 0.5; }
+    // A negated marker takes its tone away, but never below none
+    TONES.forEach(tone => {
+      scores[tone] = Math.max(0, scores[tone]);
+    });
+    return scores;
+  }
+
+  function addTones(total, scores) {
+    TONES.forEach(tone => {
+      total[tone] += scores[tone];
+    });
+    return total;
+  }
+
+  // The strongest tone, if it reaches a full marker
+  function dominantTone(scores) {
+    const [tone, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return score >= MARKER_WEIGHT ? tone : null;
+  }
+
+  function toneSentences(text) {
+    return tokenize(text).sentences.map((sentence) => {
+      const scores = scoreToneSentence(sentence.text);
+      return { start: sentence.start, end: sentence.end, text: sentence.text, scores, tone: dominantTone(scores) };
     });
+  }
+
+  function analyzeTone(text) {
+    const words = getWords(text);
+    if (words.length < 5) return null;
+
+    const tones = toneSentences(text).reduce((total, sentence) => addTones(total, sentence.scores), emptyTones());
 
     // Structural signals
     if (/[!]{2,}/.test(text)) { tones.Casual += 3; tones.Urgent += 2; }
-    if (/\?/.test(text)) { tones.Friendly += 1; tones.Analytical += 1; }
     if (text.match(/[.]/g)?.length > 5) tones.Formal += 2;
 
     // Average sentence length signals
@@ -389,12 +1273,259 @@
     return result;
   }
 
-  // ─── Render Scores ─────────────────────────────────────────
-  function renderScores(scores) {
-    if (!scores) return;
+  // What each choice in the toolbar's tone menu is met by, and which
+  // sentence tones clash with it
+  const TONE_TARGETS = {
+    professional: { name: 'Professional', fits: ['Formal', 'Confident', 'Analytical', 'Friendly'], clashes: ['Casual'] },
+    casual: { name: 'Casual', fits: ['Casual', 'Friendly', 'Confident'], clashes: ['Formal'] },
+    academic: { name: 'Academic', fits: ['Analytical', 'Formal'], clashes: ['Casual', 'Urgent'] },
+    creative: { name: 'Creative', fits: TONES, clashes: [] },
+    persuasive: { name: 'Persuasive', fits: ['Confident', 'Urgent', 'Friendly', 'Analytical'], clashes: ['Casual'] }
+  };
 
-    scoreEmpty.classList.add('hidden');
-    scoreDetails.classList.remove('hidden');
+  // Tone paragraph by paragraph, or sentence by sentence for a single
+  // paragraph, with each point where it moves to a different tone
+  function toneTimeline(text) {
+    const sentences = toneSentences(text);
+    const paragraphs = tokenize(text).paragraphs;
+    const byParagraph = paragraphs.length > 1;
+    const segments = !byParagraph ? sentences : paragraphs.map((paragraph) => {
+      const scores = sentences
+        .filter(sentence => sentence.start >= paragraph.start && sentence.end <= paragraph.end)
+        .reduce((total, sentence) => addTones(total, sentence.scores), emptyTones());
+      return { start: paragraph.start, end: paragraph.end, text: paragraph.text, scores, tone: dominantTone(scores) };
+    });
+
+    const shifts = [];
+    let previous = null;
+    segments.forEach((segment, i) => {
+      if (!segment.tone) return;
+      if (previous && segment.tone !== previous.tone) shifts.push({ from: previous.tone, to: segment.tone, position: i + 1 });
+      previous = segment;
+    });
+
+    const target = TONE_TARGETS[toneSelect.value];
+    // The leading tone of the document, as the tone bars show it
+    const tones = analyzeTone(text);
+    const [overall, share] = tones ? Object.entries(tones).sort((a, b) => b[1] - a[1])[0] : [null, 0];
+    return {
+      unit: byParagraph ? 'paragraph' : 'sentence',
+      segments: segments.map(({ start, end, tone }) => ({ start, end, tone })),
+      shifts,
+      target: target ? {
+        name: target.name,
+        overall: share > 0 ? overall : null,
+        fits: !share || target.fits.includes(overall),
+        clashes: sentences.filter(sentence => target.clashes.includes(sentence.tone)).length
+      } : null
+    };
+  }
+
+  function matchToneClashes(text, rule) {
+    return toneSentences(text)
+      .filter(sentence => rule.clashes.includes(sentence.tone))
+      .map(sentence => sentenceMatch(sentence, { tone: sentence.tone, target: rule.target }));
+  }
+
+  ruleLayers.push(rules => {
+    const target = TONE_TARGETS[toneSelect.value];
+    if (!target || target.clashes.length === 0) return rules;
+    return [...rules, {
+      id: 'tone-clash',
+      name: `Clashes with the ${target.name} tone`,
+      category: 'Tone',
+      type: 'style',
+      severity: 'info',
+      builtin: false,
+      enabled: true,
+      tag: `Tone · ${target.name}`,
+      target: target.name,
+      clashes: target.clashes,
+      matcher: matchToneClashes,
+      message: 'This sentence reads as {tone}, which clashes with the {target} tone set for this document.'
+    }];
+  });
+
+  toneSelect.addEventListener('change', () => {
+    invalidateRules();
+    if (lastAnalysis || liveToggle.checked) runLiveAnalysis();
+  });
+
+  // ─── Sentiment ─────────────────────────────────────────────
+  // Lexicon-based sentiment in the manner of VADER: each word carries a
+  // valence from -4 to 4, boosted or damped by the words just before it,
+  // flipped by a negation and weighted around "but". A sentence's sum is
+  // squashed into a compound score between -1 and 1.
+  const SENTIMENT_LEXICON = {
+    good: 1.9, great: 3.1, excellent: 2.7, amazing: 2.8, awesome: 3.1, wonderful: 2.7, fantastic: 2.6,
+    love: 3.2, loved: 2.9, lovely: 2.8, happy: 2.7, glad: 2.0, pleased: 1.9, delighted: 3.2, enjoy: 2.2,
+    enjoyed: 2.3, thanks: 1.9, thank: 1.5, grateful: 2.0, appreciate: 1.7, appreciated: 2.3, best: 3.2,
+    better: 1.9, nice: 1.8, beautiful: 2.9, brilliant: 2.8, success: 2.7, successful: 2.8, win: 2.8,
+    won: 2.7, benefit: 2.0, improve: 1.9, improved: 2.1, helpful: 1.8, help: 1.7, easy: 1.9, perfect: 2.7,
+    positive: 2.6, proud: 2.1, excited: 1.4, exciting: 2.2, fun: 2.3, hope: 1.9, hopeful: 1.6,
+    impressive: 2.3, kind: 2.4, friendly: 2.2, safe: 1.9, strong: 2.3, support: 1.7, welcome: 2.0,
+    agree: 1.5, calm: 1.3, celebrate: 2.7, comfortable: 1.5, confident: 2.2, effective: 2.1,
+    efficient: 1.8, fair: 1.3, favorite: 2.0, generous: 2.3, honest: 2.3, ideal: 2.4, interesting: 1.7,
+    joy: 2.8, lucky: 1.8, outstanding: 3.0, recommend: 1.5, relief: 2.1, reward: 2.0, smart: 1.7,
+    thrilled: 2.8, trust: 2.3, valuable: 2.1, wow: 2.8, yes: 1.7, cool: 1.3, ok: 0.9, okay: 0.9,
+    bad: -2.5, terrible: -2.1, awful: -2.0, horrible: -2.5, worst: -3.1, worse: -2.1, hate: -2.7,
+    hated: -3.2, angry: -2.3, sad: -2.1, unhappy: -1.8, disappointed: -1.9, disappointing: -2.2,
+    fail: -2.5, failed: -2.3, failure: -2.3, problem: -1.7, problems: -1.7, wrong: -2.1, poor: -2.1,
+    broken: -2.1, delay: -1.3, delayed: -0.9, difficult: -1.5, annoying: -1.7, annoyed: -1.6,
+    frustrated: -2.0, frustrating: -1.9, worried: -1.2, worry: -1.9, fear: -2.2, afraid: -2.2,
+    risk: -1.1, danger: -2.4, dangerous: -2.1, damage: -2.2, loss: -1.3, lose: -1.7, lost: -1.3,
+    pain: -2.3, painful: -1.9, unfortunately: -1.5, unfortunate: -2.0, complaint: -1.5, complain: -1.5,
+    crisis: -3.1, disaster: -3.1, error: -1.7, mistake: -1.4, mistakes: -1.5, ugly: -2.3, stupid: -2.4,
+    useless: -1.8, weak: -1.9, waste: -1.8, wasted: -2.2, upset: -1.6, stress: -1.8, reject: -1.7,
+    rejected: -2.2, confused: -1.3, unacceptable: -2.0, boring: -1.3, tired: -1.9, missed: -1.2,
+    blame: -1.4, hurt: -2.4, cancelled: -1.0, canceled: -1.0, threat: -2.4, attack: -2.1, kill: -3.7,
+    dead: -3.3, sorry: -0.3
+  };
+  const SENTIMENT_NEGATIONS = new Set([...TONE_NEGATIONS, 'never', 'none', 'nobody', 'nowhere', 'rarely', 'seldom']);
+  // VADER's empirically derived constants
+  const SENTIMENT_BOOST = 0.293;
+  const SENTIMENT_CAPS_BOOST = 0.733;
+  const SENTIMENT_NEGATION = -0.74;
+  const SENTIMENT_EXCLAMATION = 0.292;
+  const SENTIMENT_ALPHA = 15;
+  // Compound scores past these read as positive or negative
+  const SENTIMENT_THRESHOLD = 0.05;
+  const STRONG_NEGATIVE = -0.5;
+
+  function isNegation(word) {
+    return SENTIMENT_NEGATIONS.has(word) || /n't$/.test(word);
+  }
+
+  function scoreSentiment(sentence) {
+    const tokens = getWords(sentence.replace(/’/g, "'"));
+    const words = tokens.map(token => token.toLowerCase());
+    // Capitals only add emphasis when the rest of the sentence isn't shouting
+    const mixedCase = tokens.some(token => /\p{Ll}/u.test(token));
+    const butIndex = words.indexOf('but');
+
+    const valences = words.map((word, i) => {
+      let valence = SENTIMENT_LEXICON[word] || 0;
+      if (!valence) return 0;
+      if (mixedCase && tokens[i].length > 1 && tokens[i] === tokens[i].toUpperCase()) {
+        valence += Math.sign(valence) * SENTIMENT_CAPS_BOOST;
+      }
+      // Intensifiers and softeners up to three words back, fading with distance
+      for (let back = 1; back <= 3 && i - back >= 0; back++) {
+        const modifier = TONE_MODIFIERS[words[i - back]];
+        if (modifier && modifier !== 1) {
+          const boost = modifier > 1 ? SENTIMENT_BOOST : -SENTIMENT_BOOST;
+          valence += Math.sign(valence) * boost * (1 - 0.05 * (back - 1));
+        }
+      }
+      if (words.slice(Math.max(0, i - 3), i).some(isNegation)) valence *= SENTIMENT_NEGATION;
+      // "The food was fine, but the service was awful" leans on the second half
+      if (butIndex !== -1) valence *= i < butIndex ? 0.5 : 1.5;
+      return valence;
+    });
+
+    let sum = valences.reduce((total, valence) => total + valence, 0);
+    const exclamations = Math.min(4, (sentence.match(/!/g) || []).length);
+    if (sum !== 0) sum += Math.sign(sum) * exclamations * SENTIMENT_EXCLAMATION;
+
+    const compound = sum / Math.sqrt((sum * sum) + SENTIMENT_ALPHA);
+    const positive = valences.filter(v => v > 0).reduce((total, v) => total + v + 1, 0);
+    const negative = valences.filter(v => v < 0).reduce((total, v) => total + Math.abs(v - 1), 0);
+    const neutral = valences.filter(v => v === 0).length;
+    const total = (positive + negative + neutral) || 1;
+    return {
+      compound: Math.round(compound * 1000) / 1000,
+      positive: Math.round((positive / total) * 1000) / 1000,
+      negative: Math.round((negative / total) * 1000) / 1000,
+      neutral: Math.round((neutral / total) * 1000) / 1000
+    };
+  }
+
+  function sentimentLabel(compound) {
+    if (compound >= SENTIMENT_THRESHOLD) return 'Positive';
+    return compound <= -SENTIMENT_THRESHOLD ? 'Negative' : 'Neutral';
+  }
+
+  function matchNegativeSentences(text) {
+    return tokenize(text).sentences
+      .map(sentence => ({ sentence, score: scoreSentiment(sentence.text) }))
+      .filter(({ score }) => score.compound <= STRONG_NEGATIVE)
+      .map(({ sentence, score }) => sentenceMatch(sentence, { compound: score.compound.toFixed(2) }));
+  }
+
+  const INCLUSIVE_RULES = {
+    'gendered-terms': 'Gendered terms',
+    'ableist-language': 'Ableist idioms',
+    'exclusionary-jargon': 'Exclusionary jargon'
+  };
+
+  // Sentence sentiment and the inclusive-language findings, for the
+  // Sentiment & Inclusion card
+  function sentimentReport(text, issues) {
+    const sentences = tokenize(text).sentences.map(sentence => ({ text: sentence.text, start: sentence.start, ...scoreSentiment(sentence.text) }));
+    if (sentences.length === 0) return null;
+
+    const compound = sentences.reduce((total, sentence) => total + sentence.compound, 0) / sentences.length;
+    const count = (label) => sentences.filter(sentence => sentimentLabel(sentence.compound) === label).length;
+    const findings = issues.filter(issue => issue.ruleId in INCLUSIVE_RULES);
+    const terms = new Map();
+    findings.forEach(issue => {
+      const key = issue.text.toLowerCase();
+      if (!terms.has(key)) terms.set(key, { text: issue.text, replacement: issue.replacement || '', count: 0 });
+      terms.get(key).count++;
+    });
+    return {
+      compound: Math.round(compound * 100) / 100,
+      label: sentimentLabel(compound),
+      positive: count('Positive'),
+      neutral: count('Neutral'),
+      negative: count('Negative'),
+      lowest: sentences
+        .filter(sentence => sentence.compound <= -SENTIMENT_THRESHOLD)
+        .sort((a, b) => a.compound - b.compound)
+        .slice(0, 3)
+        .map(sentence => ({ text: sentence.text, start: sentence.start, compound: sentence.compound })),
+      inclusive: Object.entries(INCLUSIVE_RULES).map(([ruleId, name]) => ({
+        name,
+        count: findings.filter(issue => issue.ruleId === ruleId).length
+      })),
+      terms: [...terms.values()]
+    };
+  }
+
+  // ─── Render Scores ─────────────────────────────────────────
+  const formulaReport = document.getElementById('formulaReport');
+
+  function renderFormulaReport(report) {
+    if (!report) {
+      formulaReport.classList.add('hidden');
+      formulaReport.innerHTML = '';
+      return;
+    }
+    formulaReport.innerHTML = `
+      <div class="flex items-center justify-between mb-2">
+        <p class="text-xs font-semibold text-surface-700">Readability formulas</p>
+        <span class="text-xs text-surface-500">Consensus <span class="font-mono">${report.consensus}</span> · ${gradeLabel(report.consensus)}</span>
+      </div>
+      <div class="grid grid-cols-2 gap-1.5">
+        ${report.formulas.map(formula => `
+          <div class="bg-surface-50 rounded-lg px-2 py-1.5 border border-surface-100"${formula.note ? ` title="${escapeHtml(formula.note)}"` : ''}>
+            <p class="text-xs text-surface-500 truncate">${formula.name}${formula.note ? ' *' : ''}</p>
+            <p class="text-xs text-surface-500"><span class="font-semibold font-mono text-surface-900">${formula.value === null ? '—' : formula.value}</span> ${formula.label}</p>
+          </div>`).join('')}
+      </div>
+      <div class="flex items-center gap-3 text-xs text-surface-500 mt-2">
+        <span class="flex items-center gap-1"><span class="difficulty-hard w-2.5 h-2.5 rounded-sm"></span>${report.hard} hard</span>
+        <span class="flex items-center gap-1"><span class="difficulty-very-hard w-2.5 h-2.5 rounded-sm"></span>${report.veryHard} very hard</span>
+        <span class="text-surface-400">of ${report.sentences} sentence${report.sentences !== 1 ? 's' : ''}</span>
+      </div>`;
+    formulaReport.classList.remove('hidden');
+  }
+
+  function renderScores(scores) {
+    if (!scores) return;
+
+    scoreEmpty.classList.add('hidden');
+    scoreDetails.classList.remove('hidden');
 
     const ring = document.getElementById('scoreRingActive');
     const circumference = 264;
@@ -420,51 +1551,114 @@
       document.getElementById(`${m.id}Score`).textContent = m.value;
       document.getElementById(`${m.id}Bar`).style.width = `${m.value}%`;
     });
+
+    renderFormulaReport(scores.formulas || null);
+    renderGoalReport(scores.goals || null);
+    renderSentiment(scores.sentiment || null);
   }
 
   // ─── Render Tone ───────────────────────────────────────────
-  function renderTone(tones) {
-    if (!tones) return;
+  const TONE_COLORS = {
+    Formal: 'bg-indigo-500',
+    Casual: 'bg-emerald-500',
+    Confident: 'bg-amber-500',
+    Analytical: 'bg-blue-500',
+    Friendly: 'bg-pink-500',
+    Urgent: 'bg-red-500'
+  };
 
-    const colors = {
-      Formal: 'bg-indigo-500',
-      Casual: 'bg-emerald-500',
-      Confident: 'bg-amber-500',
-      Analytical: 'bg-blue-500',
-      Friendly: 'bg-pink-500',
-      Urgent: 'bg-red-500'
-    };
+  const TONE_DOT_COLORS = {
+    Formal: 'bg-indigo-400',
+    Casual: 'bg-emerald-400',
+    Confident: 'bg-amber-400',
+    Analytical: 'bg-blue-400',
+    Friendly: 'bg-pink-400',
+    Urgent: 'bg-red-400'
+  };
 
-    const dotColors = {
-      Formal: 'bg-indigo-400',
-      Casual: 'bg-emerald-400',
-      Confident: 'bg-amber-400',
-      Analytical: 'bg-blue-400',
-      Friendly: 'bg-pink-400',
-      Urgent: 'bg-red-400'
-    };
+  // Shifts past this many are summed up, so sentence-by-sentence
+  // timelines stay readable
+  const MAX_LISTED_SHIFTS = 3;
+
+  function renderToneTimeline(timeline) {
+    const existing = toneAnalysis.querySelector('[data-tone-timeline]');
+    if (existing) existing.remove();
+    if (!timeline) return;
+
+    const unit = timeline.unit === 'paragraph' ? 'Paragraph' : 'Sentence';
+    const listed = timeline.shifts.slice(0, MAX_LISTED_SHIFTS);
+    const more = timeline.shifts.length - listed.length;
+    const target = timeline.target;
+    let targetHtml = '';
+    if (target) {
+      const clashes = target.clashes > 0 ? ` ${target.clashes} sentence${target.clashes !== 1 ? 's' : ''} clash${target.clashes === 1 ? 'es' : ''} with it.` : '';
+      targetHtml = target.fits && target.clashes === 0
+        ? `<p class="text-xs text-emerald-700">Reads as ${target.overall || 'neutral'}, which suits the ${target.name} tone.</p>`
+        : `<p class="text-xs text-amber-700">${target.fits ? `Mostly suits the ${target.name} tone.` : `Reads as ${target.overall}, not ${target.name}.`}${clashes}</p>`;
+    }
+
+    toneAnalysis.insertAdjacentHTML('beforeend', `
+      <div data-tone-timeline class="pt-3 mt-3 border-t border-surface-100 space-y-2">
+        <div class="flex items-center justify-between text-xs">
+          <span class="font-semibold text-surface-700">Tone by ${unit.toLowerCase()}</span>
+          <span class="text-surface-400">${timeline.shifts.length} shift${timeline.shifts.length !== 1 ? 's' : ''}</span>
+        </div>
+        <div class="flex gap-0.5">
+          ${timeline.segments.map((segment, i) => `
+            <button type="button" class="flex-1 h-2.5 rounded-sm ${segment.tone ? TONE_COLORS[segment.tone] : 'bg-surface-200'} hover:opacity-75" title="${unit} ${i + 1} · ${segment.tone || 'No clear tone'}" data-tone-start="${segment.start}" data-tone-end="${segment.end}"></button>`).join('')}
+        </div>
+        ${listed.map(shift => `
+          <p class="text-xs text-surface-600">Turns <span class="font-medium text-surface-900">${shift.to}</span> in ${unit.toLowerCase()} ${shift.position}, after ${shift.from}.</p>`).join('')}
+        ${more > 0 ? `<p class="text-xs text-surface-400">${more} more shift${more !== 1 ? 's' : ''}</p>` : ''}
+        ${targetHtml}
+      </div>`);
+  }
+
+  // Clicking a timeline segment selects its text in the editor
+  toneAnalysis.addEventListener('click', (e) => {
+    const segment = e.target.closest('[data-tone-start]');
+    if (segment) selectEditorRange(Number(segment.dataset.toneStart), Number(segment.dataset.toneEnd));
+  });
+
+  function renderTone(tones, options = {}) {
+    if (!tones) return;
 
     const sorted = Object.entries(tones).sort((a, b) => b[1] - a[1]);
 
-    let html = '<div class="space-y-3">';
+    // Live updates move the existing rows so the bars glide to their new width
+    const list = toneAnalysis.querySelector('[data-tone-list]');
+    if (options.animate === false && list) {
+      sorted.forEach(([tone, percentage]) => {
+        const row = list.querySelector(`[data-tone="${tone}"]`);
+        if (!row) return;
+        row.querySelector('.tone-percent').textContent = `${percentage}%`;
+        row.querySelector('.tone-bar').style.width = `${percentage}%`;
+        list.appendChild(row);
+      });
+      renderToneTimeline(options.timeline);
+      return;
+    }
+
+    let html = '<div class="space-y-3" data-tone-list>';
     sorted.forEach(([tone, percentage], i) => {
       html += `
-        <div class="slide-up" style="animation-delay: ${i * 0.05}s">
+        <div class="slide-up" style="animation-delay: ${i * 0.05}s" data-tone="${tone}">
           <div class="flex items-center justify-between text-xs mb-1.5">
             <div class="flex items-center gap-1.5">
-              <span class="w-2 h-2 rounded-full ${dotColors[tone]}"></span>
+              <span class="w-2 h-2 rounded-full ${TONE_DOT_COLORS[tone]}"></span>
               <span class="font-medium text-surface-700">${tone}</span>
             </div>
-            <span class="text-surface-500 font-mono">${percentage}%</span>
+            <span class="tone-percent text-surface-500 font-mono">${percentage}%</span>
           </div>
           <div class="h-1.5 bg-surface-100 rounded-full overflow-hidden">
-            <div class="tone-bar h-full ${colors[tone]} rounded-full" style="width: ${percentage}%"></div>
+            <div class="tone-bar h-full ${TONE_COLORS[tone]} rounded-full" style="width: ${percentage}%"></div>
           </div>
         </div>`;
     });
     html += '</div>';
 
     toneAnalysis.innerHTML = html;
+    renderToneTimeline(options.timeline);
 
     // Animate bars
     requestAnimationFrame(() => {
@@ -474,8 +1668,127 @@
     });
   }
 
+  // ─── Render Sentiment ──────────────────────────────────────
+  const sentimentAnalysis = document.getElementById('sentimentAnalysis');
+  const SENTIMENT_EMPTY_HTML = '<div class="text-center py-4"><p class="text-sm text-surface-400">Analyze your text to see sentiment and inclusive-language checks</p></div>';
+
+  function renderSentiment(report) {
+    if (!report) {
+      sentimentAnalysis.innerHTML = SENTIMENT_EMPTY_HTML;
+      return;
+    }
+    const total = Math.max(1, report.positive + report.neutral + report.negative);
+    const labelColors = { Positive: 'text-emerald-600', Neutral: 'text-surface-600', Negative: 'text-red-600' };
+    const findings = report.inclusive.reduce((sum, kind) => sum + kind.count, 0);
+
+    sentimentAnalysis.innerHTML = `
+      <div class="space-y-3">
+        <div class="flex items-center justify-between text-xs">
+          <span class="text-surface-600 font-medium">Sentiment</span>
+          <span class="${labelColors[report.label]} font-medium">${report.label} <span class="font-mono text-surface-500">${report.compound > 0 ? '+' : ''}${report.compound.toFixed(2)}</span></span>
+        </div>
+        <div class="flex h-1.5 rounded-full overflow-hidden bg-surface-100" title="${report.positive} positive, ${report.neutral} neutral, ${report.negative} negative sentences">
+          <div class="bg-emerald-500" style="width: ${(report.positive / total) * 100}%"></div>
+          <div class="bg-surface-300" style="width: ${(report.neutral / total) * 100}%"></div>
+          <div class="bg-red-500" style="width: ${(report.negative / total) * 100}%"></div>
+        </div>
+        <p class="text-xs text-surface-500">${report.positive} positive · ${report.neutral} neutral · ${report.negative} negative sentence${report.negative !== 1 ? 's' : ''}</p>
+        ${report.lowest.length > 0 ? `
+        <details class="text-xs">
+          <summary class="cursor-pointer text-surface-600 font-medium">Most negative</summary>
+          <ul class="mt-1.5 space-y-1">
+            ${report.lowest.map(sentence => `
+              <li class="text-surface-600 leading-relaxed cursor-pointer hover:text-surface-900" data-sentiment-start="${sentence.start}" data-sentiment-end="${sentence.start + sentence.text.length}"><span class="font-mono text-red-500">${sentence.compound.toFixed(2)}</span> ${escapeHtml(sentence.text)}</li>`).join('')}
+          </ul>
+        </details>` : ''}
+        <div class="pt-3 border-t border-surface-100 space-y-1.5">
+          <div class="flex items-center justify-between text-xs">
+            <span class="text-surface-600 font-medium">Inclusive language</span>
+            <span class="${findings ? 'text-amber-700' : 'text-emerald-600'}">${findings ? `${findings} to review` : 'Nothing flagged'}</span>
+          </div>
+          ${report.inclusive.filter(kind => kind.count > 0).map(kind => `
+            <div class="flex items-center justify-between text-xs text-surface-500">
+              <span>${kind.name}</span>
+              <span class="font-mono">${kind.count}</span>
+            </div>`).join('')}
+          ${report.terms.length > 0 ? `
+          <ul class="pt-1 space-y-1">
+            ${report.terms.map(term => `
+              <li class="text-xs text-surface-600">"${escapeHtml(term.text)}"${term.replacement ? ` → <span class="text-surface-900">${escapeHtml(term.replacement)}</span>` : ''}${term.count > 1 ? ` <span class="text-surface-400">×${term.count}</span>` : ''}</li>`).join('')}
+          </ul>` : ''}
+        </div>
+      </div>`;
+  }
+
+  // Select a listed sentence in the editor
+  sentimentAnalysis.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-sentiment-start]');
+    if (item) selectEditorRange(Number(item.dataset.sentimentStart), Number(item.dataset.sentimentEnd));
+  });
+
   // ─── Render Suggestions ────────────────────────────────────
-  function renderSuggestions(issues) {
+  // Long documents can raise hundreds of issues, so cards are rendered a
+  // page at a time and a live pass never builds them all
+  const SUGGESTION_PAGE_SIZE = 100;
+
+  const SUGGESTION_TYPE_ICONS = {
+    grammar: `<svg class="w-3.5 h-3.5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.732-.833-2.5 0L4.268 16.5c-.77.833.192 2.5 1.732 2.5z"/></svg>`,
+    clarity: `<svg class="w-3.5 h-3.5 text-amber-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"/></svg>`,
+    style: `<svg class="w-3.5 h-3.5 text-brand-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01"/></svg>`
+  };
+
+  const SUGGESTION_BADGE_COLORS = {
+    grammar: 'bg-red-50 text-red-600 border-red-200',
+    clarity: 'bg-amber-50 text-amber-600 border-amber-200',
+    style: 'bg-brand-50 text-brand-600 border-brand-200'
+  };
+
+  function suggestionCardHtml(issue, i, animate) {
+    return `
+      <div class="suggestion-card px-5 py-3.5 hover:bg-surface-50 cursor-pointer ${animate ? 'slide-up' : ''}" style="${animate ? `animation-delay: ${i * 0.03}s` : ''}" data-issue-index="${i}">
+        <div class="flex items-start gap-3">
+          <div class="mt-0.5 flex-shrink-0">${SUGGESTION_TYPE_ICONS[issue.type] || SUGGESTION_TYPE_ICONS.style}</div>
+          <div class="flex-1 min-w-0">
+            <div class="flex items-center gap-2 mb-1">
+              <span class="text-xs font-semibold px-1.5 py-0.5 rounded border ${SUGGESTION_BADGE_COLORS[issue.type] || SUGGESTION_BADGE_COLORS.style}">${escapeHtml(issue.category)}</span>
+              ${issue.severity ? `<span class="text-xs text-surface-400">${issue.severity}</span>` : ''}
+            </div>
+            ${issue.tag ? `<div class="text-xs text-brand-600 mb-1 flex items-center gap-1"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"/></svg>${escapeHtml(issue.tag)}</div>` : ''}
+            <p class="text-xs text-surface-600 leading-relaxed">${escapeHtml(issue.message)}</p>
+            ${issue.text ? `<div class="mt-1.5 text-xs font-mono text-surface-400 bg-surface-50 px-2 py-1 rounded border border-surface-100 truncate">"${escapeHtml(issue.text.substring(0, 80))}"</div>` : ''}
+            <div class="flex items-center gap-1 mt-2 -ml-2">
+              ${issue.replacement !== undefined ? `<button data-action="apply" class="text-xs text-brand-600 hover:text-brand-700 font-medium px-2 py-0.5 hover:bg-brand-50 rounded transition-colors" title="${issue.replacement ? `Replace with &quot;${escapeHtml(issue.replacement)}&quot;` : 'Remove from text'}">Apply</button>` : ''}
+              <button data-action="ignore" class="text-xs text-surface-500 hover:text-surface-700 font-medium px-2 py-0.5 hover:bg-surface-100 rounded transition-colors">Ignore</button>
+              <details class="relative">
+                <summary class="list-none text-xs text-surface-500 hover:text-surface-700 font-medium px-2 py-0.5 hover:bg-surface-100 rounded transition-colors cursor-pointer">More</summary>
+                <div class="absolute left-0 mt-1 z-10 w-56 bg-white border border-surface-200 rounded-lg shadow-lg py-1">
+                  ${issue.ruleId === 'spelling' ? `
+                  <button data-ignore="dictionary" class="block w-full text-left text-xs text-surface-700 px-3 py-1.5 hover:bg-surface-50">Add "${escapeHtml(issue.text)}" to dictionary</button>` : ''}
+                  ${issue.length ? `
+                  <button data-ignore="word-document" class="block w-full text-left text-xs text-surface-700 px-3 py-1.5 hover:bg-surface-50">Ignore "${escapeHtml(issue.text.substring(0, 30))}" in this document</button>
+                  <button data-ignore="word-global" class="block w-full text-left text-xs text-surface-700 px-3 py-1.5 hover:bg-surface-50">Ignore "${escapeHtml(issue.text.substring(0, 30))}" everywhere</button>` : ''}
+                  ${issue.ruleId ? `
+                  <button data-ignore="rule-document" class="block w-full text-left text-xs text-surface-700 px-3 py-1.5 hover:bg-surface-50">Turn off this rule in this document</button>
+                  <button data-ignore="rule-global" class="block w-full text-left text-xs text-surface-700 px-3 py-1.5 hover:bg-surface-50">Turn off this rule everywhere</button>` : ''}
+                </div>
+              </details>
+            </div>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  // Cards from `start` on, followed by a button for the next page
+  function suggestionCardsHtml(issues, start, animate) {
+    const end = Math.min(issues.length, start + SUGGESTION_PAGE_SIZE);
+    const cards = issues.slice(start, end).map((issue, i) => suggestionCardHtml(issue, start + i, animate)).join('');
+    const rest = issues.length - end;
+    return rest > 0 ? `${cards}
+        <button data-show-more="${end}" class="w-full px-5 py-3 text-xs text-brand-600 hover:text-brand-700 hover:bg-surface-50 font-medium transition-colors">Show ${Math.min(rest, SUGGESTION_PAGE_SIZE)} more of ${rest}</button>` : cards;
+  }
+
+  function renderSuggestions(issues, options = {}) {
+    const animate = options.animate !== false;
     if (issues.length === 0) {
       suggestionsPanel.innerHTML = `
         <div class="px-5 py-8 text-center">
@@ -492,77 +1805,178 @@
     }
 
     suggestionCount.textContent = `${issues.length} item${issues.length !== 1 ? 's' : ''}`;
+    suggestionsPanel.innerHTML = suggestionCardsHtml(issues, 0, animate);
+  }
 
-    const typeIcons = {
-      grammar: `<svg class="w-3.5 h-3.5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.732-.833-2.5 0L4.268 16.5c-.77.833.192 2.5 1.732 2.5z"/></svg>`,
-      clarity: `<svg class="w-3.5 h-3.5 text-amber-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"/></svg>`,
-      style: `<svg class="w-3.5 h-3.5 text-brand-500" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01"/></svg>`
-    };
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
 
-    const typeBadgeColors = {
-      grammar: 'bg-red-50 text-red-600 border-red-200',
-      clarity: 'bg-amber-50 text-amber-600 border-amber-200',
-      style: 'bg-brand-50 text-brand-600 border-brand-200'
-    };
+  // ─── Editor Highlights ─────────────────────────────────────
+  const HIGHLIGHT_CLASS = 'dw-highlight';
+  const difficultyToggle = document.getElementById('difficultyTints');
+  const DIFFICULTY_KEY = 'draftwise_difficulty_tints';
+
+  function highlightClassFor(type) {
+    return ['grammar', 'clarity', 'style'].includes(type) ? `highlight-${type}` : 'highlight-style';
+  }
+
+  // Wraps the text between two offsets of the indexed text in highlight
+  // spans, one per text node the range touches. Wrapping splits text
+  // nodes but never changes the text, so the index's segments are split
+  // to match and the same index serves every later wrap.
+  function wrapTextRange(index, start, end, className, issueIndex) {
+    const { segments } = index;
+    for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      if (seg.end <= start) continue;
+      if (seg.start >= end) break;
+      const from = Math.max(start, seg.start) - seg.start;
+      const to = Math.min(end, seg.end) - seg.start;
+      if (!seg.node.nodeValue.slice(from, to).trim()) continue;
+
+      let target = seg.node;
+      const after = to < target.nodeValue.length ? target.splitText(to) : null;
+      if (from > 0) target = target.splitText(from);
+
+      const span = document.createElement('span');
+      span.className = `${HIGHLIGHT_CLASS} ${className}`;
+      if (issueIndex !== undefined) span.dataset.issueIndex = issueIndex;
+      span.dataset.highlightText = target.nodeValue;
+      target.parentNode.insertBefore(span, target);
+      span.appendChild(target);
+
+      const pieces = [];
+      if (from > 0) pieces.push({ node: seg.node, start: seg.start, end: seg.start + from });
+      pieces.push({ node: target, start: seg.start + from, end: seg.start + to });
+      if (after) pieces.push({ node: after, start: seg.start + to, end: seg.end });
+      segments.splice(i, 1, ...pieces);
+      i += pieces.length - 1;
+    }
+  }
+
+  function clearHighlights(root) {
+    const container = root || editor;
+    container.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach(span => {
+      span.replaceWith(...span.childNodes);
+    });
+    container.normalize();
+  }
 
-    let html = '';
+  function applyHighlights(issues) {
+    clearHighlights();
+    const index = buildTextIndex();
+    // Sentence tints go on first, so issue marks nest inside them
+    if (difficultyToggle.checked) {
+      sentenceDifficulties(index.text).forEach(sentence => {
+        wrapTextRange(index, sentence.start, sentence.end, `difficulty-${sentence.level}`);
+      });
+    }
     issues.forEach((issue, i) => {
-      html += `
-        <div class="suggestion-card px-5 py-3.5 hover:bg-surface-50 cursor-pointer slide-up" style="animation-delay: ${i * 0.03}s" data-issue-index="${i}">
-          <div class="flex items-start gap-3">
-            <div class="mt-0.5 flex-shrink-0">${typeIcons[issue.type] || typeIcons.style}</div>
-            <div class="flex-1 min-w-0">
-              <div class="flex items-center gap-2 mb-1">
-                <span class="text-xs font-semibold px-1.5 py-0.5 rounded border ${typeBadgeColors[issue.type] || typeBadgeColors.style}">${issue.category}</span>
-              </div>
-              <p class="text-xs text-surface-600 leading-relaxed">${issue.message}</p>
-              ${issue.text ? `<div class="mt-1.5 text-xs font-mono text-surface-400 bg-surface-50 px-2 py-1 rounded border border-surface-100 truncate">"${escapeHtml(issue.text.substring(0, 80))}"</div>` : ''}
-            </div>
-          </div>
-        </div>`;
+      if (!issue.length) return;
+      wrapTextRange(index, issue.position, issue.position + issue.length, highlightClassFor(issue.type), i);
     });
+  }
 
-    suggestionsPanel.innerHTML = html;
+  // Drops highlights whose text was edited, so stale marks never linger.
+  function pruneStaleHighlights() {
+    let removed = false;
+    editor.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach(span => {
+      if (span.textContent !== span.dataset.highlightText) {
+        span.replaceWith(...span.childNodes);
+        removed = true;
+      }
+    });
+    if (removed) editor.normalize();
   }
 
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  editor.addEventListener('input', pruneStaleHighlights);
+
+  difficultyToggle.addEventListener('change', () => {
+    try {
+      localStorage.setItem(DIFFICULTY_KEY, difficultyToggle.checked ? '1' : '0');
+    } catch (e) {
+      // Preference is optional
+    }
+    // Only re-mark a text that has been analysed
+    if (!lastAnalysis) return;
+    const caret = getSelectionOffsets();
+    applyHighlights(currentIssues);
+    restoreSelectionOffsets(caret);
+  });
+
+  try {
+    difficultyToggle.checked = localStorage.getItem(DIFFICULTY_KEY) !== '0';
+  } catch (e) {
+    // Preference is optional
+  }
+
+  // Editor markup with all analysis highlights removed, for save and export.
+  function getCleanHTML() {
+    const clone = editor.cloneNode(true);
+    clearHighlights(clone);
+    return clone.innerHTML;
+  }
+
+  // ─── Paragraph Cache ───────────────────────────────────────
+  // Detector results keyed by paragraph text, with positions relative to
+  // the paragraph. Unchanged paragraphs are never analysed twice.
+  const paragraphCache = new Map();
+
+  function analyzeParagraph(paragraph) {
+    if (!paragraphCache.has(paragraph)) {
+      paragraphCache.set(paragraph, runRules(paragraph, 'paragraph'));
+    }
+    return paragraphCache.get(paragraph);
+  }
+
+  function collectIssues(text) {
+    const issues = [];
+    const seen = new Set();
+
+    tokenize(text).paragraphs.forEach(paragraph => {
+      seen.add(paragraph.text);
+      analyzeParagraph(paragraph.text).forEach(issue => {
+        issues.push({ ...issue, position: issue.position + paragraph.start });
+      });
+    });
+
+    // Forget paragraphs that are no longer in the document
+    paragraphCache.forEach((_, paragraph) => {
+      if (!seen.has(paragraph)) paragraphCache.delete(paragraph);
+    });
+
+    // Document-wide rules such as repetition are never cached
+    issues.push(...runRules(text, 'document'));
+    return issues.sort((a, b) => a.position - b.position);
   }
 
   // ─── Full Analysis ─────────────────────────────────────────
   function runAnalysis() {
-    const text = getPlainText();
+    const text = buildTextIndex().text;
     if (text.trim().length < 10) {
       showToolMessage('Write at least a few sentences to get meaningful analysis.', 'info');
       return;
     }
 
     // Gather all issues
-    const issues = [
-      ...findPassiveVoice(text),
-      ...findWeakWords(text),
-      ...findFillerPhrases(text),
-      ...findCliches(text),
-      ...findComplexWords(text),
-      ...findLongSentences(text),
-      ...findRepetition(text)
-    ];
-
-    // Sort by position
-    issues.sort((a, b) => a.position - b.position);
+    const issues = collectIssues(text);
 
     // Calculate scores
-    const scores = calculateScores(text);
+    const scores = calculateScores(text, issues);
     renderScores(scores);
 
     // Tone analysis
     const tones = analyzeTone(text);
-    renderTone(tones);
+    renderTone(tones, { timeline: toneTimeline(text) });
 
-    // Render suggestions
+    // Render suggestions and mark them in the editor
+    currentIssues = issues;
     renderSuggestions(issues);
+    applyHighlights(issues);
+    recordAnalysis(text, scores, tones, issues);
 
     // Show summary in tool output
     if (scores) {
@@ -587,10 +2001,11 @@
                 <p class="text-lg font-bold text-surface-900">${issues.length}</p>
               </div>
               <div class="bg-white rounded-lg p-2.5 border border-surface-100">
-                <p class="text-xs text-surface-500">Reading Level</p>
-                <p class="text-lg font-bold text-surface-900">${scores.readability >= 70 ? 'Easy' : scores.readability >= 50 ? 'Medium' : 'Hard'}</p>
+                <p class="text-xs text-surface-500">Reading Level${scores.goals && scores.goals.target ? ` · goal ${scores.goals.target}` : ''}</p>
+                <p class="text-lg font-bold text-surface-900">${scores.goals && scores.goals.target ? `Grade ${scores.goals.grade}` : scores.readability >= 70 ? 'Easy' : scores.readability >= 50 ? 'Medium' : 'Hard'}</p>
               </div>
             </div>
+            ${spellerState === 'unavailable' ? '<p class="text-xs text-surface-500 mt-3">Spell check is off: the dictionary could not be loaded. Open DraftWise from a web server to enable it.</p>' : ''}
           </div>
           <p class="text-xs text-surface-400 mt-3 flex items-center gap-1">
             <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -605,15 +2020,243 @@
 
   btnAnalyze.addEventListener('click', runAnalysis);
 
-  // ─── AI Writing Tools ──────────────────────────────────────
+  // ─── Live Analysis ─────────────────────────────────────────
+  const liveToggle = document.getElementById('liveAnalysis');
+  const LIVE_KEY = 'draftwise_live_analysis';
+  let liveTimer;
+
+  // Caret position as offsets into the indexed text, so it can be put back
+  // after highlights have split the text nodes it pointed into.
+  function getSelectionOffsets() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !editor.contains(selection.anchorNode)) return null;
+    const range = selection.getRangeAt(0);
+    const index = buildTextIndex();
+
+    const toOffset = (node, offset) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const seg = index.segments.find(s => s.node === node);
+        return seg ? seg.start + offset : null;
+      }
+      const child = node.childNodes[offset];
+      const seg = child
+        ? index.segments.find(s => s.node === child || child.contains(s.node))
+        : [...index.segments].reverse().find(s => node.contains(s.node));
+      if (!seg) return null;
+      return child ? seg.start : seg.end;
+    };
+
+    const start = toOffset(range.startContainer, range.startOffset);
+    const end = toOffset(range.endContainer, range.endOffset);
+    return start === null || end === null ? null : { start, end };
+  }
+
+  function restoreSelectionOffsets(offsets) {
+    if (!offsets) return;
+    const range = rangeFromOffsets(buildTextIndex(), offsets.start, offsets.end);
+    if (!range) return;
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  function runLiveAnalysis() {
+    const text = buildTextIndex().text;
+    if (text.trim().length < 10) {
+      // Results for text that has since been deleted would only mislead
+      if (!lastAnalysis && currentIssues.length === 0) return;
+      const caret = getSelectionOffsets();
+      clearHighlights();
+      restoreSelectionOffsets(caret);
+      lastAnalysis = null;
+      resetAnalysisPanels();
+      return;
+    }
+
+    const issues = collectIssues(text);
+    const scores = calculateScores(text, issues);
+    const tones = analyzeTone(text);
+    renderScores(scores);
+    renderTone(tones, { animate: false, timeline: toneTimeline(text) });
+    recordAnalysis(text, scores, tones, issues);
+
+    currentIssues = issues;
+    renderSuggestions(issues, { animate: false });
+
+    const caret = getSelectionOffsets();
+    applyHighlights(issues);
+    restoreSelectionOffsets(caret);
+  }
+
+  editor.addEventListener('input', () => {
+    if (!liveToggle.checked) return;
+    clearTimeout(liveTimer);
+    liveTimer = setTimeout(runLiveAnalysis, 600);
+  });
+
+  liveToggle.addEventListener('change', () => {
+    try {
+      localStorage.setItem(LIVE_KEY, liveToggle.checked ? '1' : '0');
+    } catch (e) {
+      // Preference is optional
+    }
+    if (liveToggle.checked) runLiveAnalysis();
+  });
+
+  try {
+    liveToggle.checked = localStorage.getItem(LIVE_KEY) === '1';
+  } catch (e) {
+    // Preference is optional
+  }
+
+  // ─── Suggestion Actions ────────────────────────────────────
+  let currentIssues = [];
+
+  // Creates a DOM range for two offsets of the indexed text.
+  function rangeFromOffsets(index, start, end) {
+    const locate = (offset, preferNext) => {
+      const seg = index.segments.find(s => preferNext
+        ? offset >= s.start && offset < s.end
+        : offset > s.start && offset <= s.end) || index.segments.find(s => offset >= s.start && offset <= s.end);
+      return seg ? { node: seg.node, offset: offset - seg.start } : null;
+    };
+    const to = locate(end, false);
+    const from = start === end ? to : locate(start, true);
+    if (!from || !to) return null;
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    return range;
+  }
+
+  // Selects text offsets in the editor and scrolls them into view
+  function selectEditorRange(start, end) {
+    const range = rangeFromOffsets(buildTextIndex(), start, end);
+    if (!range) return;
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    const target = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer.parentElement : range.startContainer;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  function locateIssue(issue) {
+    const length = issue.length || (issue.text || '').length;
+    selectEditorRange(issue.position, issue.position + length);
+  }
+
+  // Replaces the issue's text in the editor. Deletions also take one
+  // neighbouring space so no double spaces are left behind.
+  function applyIssueFix(issue) {
+    clearHighlights();
+    const index = buildTextIndex();
+    const { text } = index;
+    let start = issue.position;
+    let end = issue.position + issue.length;
+    if (text.slice(start, end).toLowerCase() !== issue.text.toLowerCase()) return false;
+
+    let replacement = issue.replacement;
+    const original = text.slice(start, end);
+    if (replacement) {
+      if (/^[A-Z]/.test(original)) replacement = replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    } else if (text[end] === ' ') {
+      end += 1;
+    } else if (text[start - 1] === ' ') {
+      start -= 1;
+    }
 
-  // Tool tab switching
-  document.querySelectorAll('.tool-tab').forEach(tab => {
-    tab.addEventListener('click', () => {
-      document.querySelectorAll('.tool-tab').forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      handleToolAction(tab.dataset.tool);
+    const range = rangeFromOffsets(index, start, end);
+    if (!range) return false;
+    range.deleteContents();
+
+    // A removed sentence opener hands its capital letter to the next word.
+    const capitalizeNext = !replacement && /^[A-Z]/.test(original);
+    const next = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer : null;
+    if (replacement) {
+      range.insertNode(document.createTextNode(replacement));
+    } else if (capitalizeNext && next) {
+      const offset = range.startOffset;
+      next.nodeValue = next.nodeValue.slice(0, offset) + next.nodeValue.charAt(offset).toUpperCase() + next.nodeValue.slice(offset + 1);
+    }
+    editor.normalize();
+
+    const delta = replacement.length - (end - start);
+    currentIssues = currentIssues.filter(other => {
+      if (other === issue) return false;
+      const otherEnd = other.position + (other.length || 0);
+      if (other.position >= end) {
+        other.position += delta;
+        return true;
+      }
+      if (otherEnd <= start) return true;
+      // Issues that contain the edit (e.g. a long sentence) just change size.
+      if (other.position <= start && otherEnd >= end && other.length) {
+        other.length += delta;
+        return true;
+      }
+      return false;
     });
+    return true;
+  }
+
+  // Refreshes scores, list and highlights from the current issue list
+  // without running the detectors again.
+  function refreshAfterIssueChange() {
+    const text = buildTextIndex().text;
+    const scores = calculateScores(text, currentIssues);
+    renderScores(scores);
+    renderSuggestions(currentIssues, { animate: false });
+    applyHighlights(currentIssues);
+    updateStats();
+    recordAnalysis(text, scores, lastAnalysis ? lastAnalysis.tones : analyzeTone(text), currentIssues);
+  }
+
+  suggestionsPanel.addEventListener('click', (e) => {
+    const more = e.target.closest('[data-show-more]');
+    if (more) {
+      more.outerHTML = suggestionCardsHtml(currentIssues, Number(more.dataset.showMore), false);
+      return;
+    }
+    const card = e.target.closest('.suggestion-card');
+    if (!card) return;
+    const issue = currentIssues[Number(card.dataset.issueIndex)];
+    if (!issue) return;
+    const ignore = e.target.closest('[data-ignore]');
+    if (ignore) {
+      handleIgnoreAction(ignore.dataset.ignore, issue);
+      return;
+    }
+    if (e.target.closest('details')) return;
+
+    const action = e.target.closest('[data-action]');
+    if (!action) {
+      locateIssue(issue);
+      return;
+    }
+
+    if (action.dataset.action === 'apply') {
+      if (!recordEdit('Suggestion fix', () => applyIssueFix(issue))) {
+        showToolMessage('The text for this suggestion has changed. Run Analyze again to refresh it.', 'info');
+        applyHighlights(currentIssues);
+        return;
+      }
+      recordAcceptedSuggestion();
+      scheduleSave(1000);
+    } else if (action.dataset.action === 'ignore') {
+      currentIssues = currentIssues.filter(other => other !== issue);
+    }
+    refreshAfterIssueChange();
+  });
+
+  // ─── AI Writing Tools ──────────────────────────────────────
+
+  // Tool tab switching; custom tool tabs are added later, so delegate
+  document.getElementById('toolTabs').addEventListener('click', (e) => {
+    const tab = e.target.closest('.tool-tab');
+    if (!tab) return;
+    document.querySelectorAll('.tool-tab').forEach(t => t.classList.remove('active'));
+    tab.classList.add('active');
+    handleToolAction(tab.dataset.tool);
   });
 
   function getSelectedText() {
@@ -628,6 +2271,11 @@
     const selectedText = getSelectedText();
     const fullText = getPlainText().trim();
 
+    if (toolRequest) {
+      toolRequest.abort();
+      toolRequest = null;
+    }
+
     if (!selectedText && !fullText) {
       showToolMessage('Write or paste some text to use AI writing tools.', 'info');
       return;
@@ -635,6 +2283,15 @@
 
     const text = selectedText || fullText;
 
+    if (isRemoteProvider() && (TOOL_PROMPTS[tool] || findCustomTool(tool))) {
+      runRemoteTool(tool, text);
+      return;
+    }
+    runLocalTool(tool, text);
+  }
+
+  // The offline heuristics behind each tool
+  function runLocalTool(tool, text) {
     switch (tool) {
       case 'rewrite':
         showRewrite(text);
@@ -654,6 +2311,8 @@
       case 'headlines':
         showHeadlines(text);
         break;
+      default:
+        showCustomTool(tool, text);
     }
   }
 
@@ -671,12 +2330,12 @@
       </div>`;
   }
 
-  function renderToolResult(title, results, originalText) {
+  function renderToolResult(title, results, originalText, intro) {
     let html = `
       <div class="slide-up">
         <div class="flex items-center justify-between mb-3">
           <div class="flex items-center gap-2">
-            <h3 class="text-sm font-semibold text-surface-900">${title}</h3>
+            <h3 class="text-sm font-semibold text-surface-900">${escapeHtml(title)}</h3>
             <span class="text-xs bg-amber-50 text-amber-700 px-2 py-0.5 rounded-full border border-amber-200 font-medium flex items-center gap-1">
               <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"/>
@@ -686,16 +2345,23 @@
           </div>
         </div>
         ${originalText ? `<div class="text-xs text-surface-400 mb-3 bg-surface-50 px-3 py-2 rounded-lg border border-surface-100"><span class="font-medium text-surface-500">Original:</span> "${escapeHtml(originalText.substring(0, 120))}${originalText.length > 120 ? '...' : ''}"</div>` : ''}
+        ${intro || ''}
         <div class="space-y-2">`;
 
-    results.forEach((result, i) => {
+    let number = 0;
+    results.forEach(result => {
+      if (result.note) {
+        html += `
+          <div class="rounded-xl p-3.5 border border-dashed border-surface-200 text-xs text-surface-500 leading-relaxed">${escapeHtml(result.note)}</div>`;
+        return;
+      }
       html += `
-          <div class="suggestion-card bg-surface-50 rounded-xl p-3.5 border border-surface-100 hover:border-brand-200 cursor-pointer transition-all" onclick="applyResult(this)" data-text="${escapeHtml(result.text)}">
+          <div class="suggestion-card bg-surface-50 rounded-xl p-3.5 border border-surface-100 hover:border-brand-200 cursor-pointer transition-all" onclick="applyResult(this)" data-tool="${escapeAttribute(title)}" data-text="${escapeHtml(result.text)}"${result.target ? ` data-target="${escapeHtml(result.target)}"` : ''}>
             <div class="flex items-start gap-2">
-              <span class="text-xs font-bold text-brand-600 bg-brand-50 w-5 h-5 rounded-md flex items-center justify-center flex-shrink-0 mt-0.5">${i + 1}</span>
+              <span class="text-xs font-bold text-brand-600 bg-brand-50 w-5 h-5 rounded-md flex items-center justify-center flex-shrink-0 mt-0.5">${++number}</span>
               <div class="flex-1">
                 <p class="text-sm text-surface-800 leading-relaxed">${escapeHtml(result.text)}</p>
-                ${result.label ? `<span class="text-xs text-surface-400 mt-1 inline-block">${result.label}</span>` : ''}
+                ${result.label ? `<span class="text-xs text-surface-400 mt-1 inline-block">${escapeHtml(result.label)}</span>` : ''}
               </div>
               <button class="text-xs text-brand-600 hover:text-brand-700 font-medium flex-shrink-0 mt-0.5 px-2 py-0.5 hover:bg-brand-50 rounded transition-colors">Use</button>
             </div>
@@ -719,46 +2385,583 @@
   window.applyResult = function (el) {
     const text = el.dataset.text;
     if (text) {
-      const selection = window.getSelection();
-      if (selection.rangeCount > 0 && editor.contains(selection.anchorNode)) {
-        const range = selection.getRangeAt(0);
-        range.deleteContents();
-        range.insertNode(document.createTextNode(text));
-      } else {
-        editor.innerHTML += `<p>${escapeHtml(text)}</p>`;
-      }
+      takeSnapshot('insert');
+      const before = buildTextIndex().text;
+      recordEdit('AI insertion', () => {
+        // Per-sentence suggestions replace the sentence they were made for
+        const target = el.dataset.target;
+        const index = target ? buildTextIndex() : null;
+        const start = target ? index.text.indexOf(target) : -1;
+        const targetRange = start !== -1 ? rangeFromOffsets(index, start, start + target.length) : null;
+        const selection = window.getSelection();
+        if (targetRange) {
+          targetRange.deleteContents();
+          targetRange.insertNode(document.createTextNode(text));
+          editor.normalize();
+        } else if (selection.rangeCount > 0 && editor.contains(selection.anchorNode)) {
+          const range = selection.getRangeAt(0);
+          range.deleteContents();
+          range.insertNode(document.createTextNode(text));
+        } else {
+          editor.innerHTML += `<p>${escapeHtml(text)}</p>`;
+        }
+      });
+      recordInsertion(text, el.dataset.tool || 'AI tools', before);
       updateStats();
     }
   };
 
-  // ─── Tool Implementations ─────────────────────────────────
+  // ─── Active Voice ──────────────────────────────────────────
+  // Turns "The report was written by Sara." into "Sara wrote the report."
+  // The passive subject becomes the object, the "by" phrase becomes the
+  // subject, and the auxiliary decides the tense of the new verb.
+  const IRREGULAR_VERBS = [
+    'be was been', 'bear bore borne', 'beat beat beaten', 'become became become', 'begin began begun', 'bite bit bitten',
+    'blow blew blown', 'break broke broken', 'bring brought brought', 'build built built', 'buy bought bought',
+    'catch caught caught', 'choose chose chosen', 'cut cut cut', 'do did done', 'draw drew drawn', 'drink drank drunk',
+    'drive drove driven', 'eat ate eaten', 'fall fell fallen', 'feed fed fed', 'feel felt felt', 'find found found',
+    'fly flew flown', 'forget forgot forgotten', 'forgive forgave forgiven', 'freeze froze frozen', 'get got gotten',
+    'give gave given', 'grow grew grown', 'hang hung hung', 'hear heard heard', 'hide hid hidden', 'hit hit hit',
+    'hold held held', 'hurt hurt hurt', 'keep kept kept', 'know knew known', 'lay laid laid', 'lead led led',
+    'leave left left', 'lend lent lent', 'let let let', 'lose lost lost', 'make made made', 'mean meant meant',
+    'meet met met', 'overcome overcame overcome', 'pay paid paid', 'put put put', 'read read read', 'ride rode ridden',
+    'ring rang rung', 'rise rose risen', 'run ran run', 'say said said', 'see saw seen', 'sell sold sold', 'send sent sent',
+    'set set set', 'shake shook shaken', 'shoot shot shot', 'show showed shown', 'shut shut shut', 'sing sang sung',
+    'speak spoke spoken', 'spend spent spent', 'split split split', 'spread spread spread', 'stand stood stood',
+    'steal stole stolen', 'strike struck struck', 'swear swore sworn', 'sweep swept swept', 'swim swam swum',
+    'take took taken', 'teach taught taught', 'tear tore torn', 'tell told told', 'think thought thought',
+    'throw threw thrown', 'understand understood understood', 'undertake undertook undertaken', 'wake woke woken',
+    'wear wore worn', 'win won won', 'withdraw withdrew withdrawn', 'write wrote written'
+  ].map(entry => entry.split(' '));
+
+  const PARTICIPLE_TO_VERB = new Map(IRREGULAR_VERBS.map(([base, past, participle]) => [participle, { base, past }]));
+
+  const AGENT_PRONOUNS = { me: 'I', him: 'he', her: 'she', us: 'we', them: 'they', you: 'you', it: 'it', whom: 'who' };
+  const OBJECT_PRONOUNS = { i: 'me', he: 'him', she: 'her', we: 'us', they: 'them', you: 'you', it: 'it', who: 'whom' };
+
+  const PASSIVE_CLAUSE = /^(.*?)\b((?:am|is|are|was|were) being|has been|have been|had been|will be|(?:can|could|should|would|must|may|might) be|am|is|are|was|were)\s+(?:(not)\s+)?(?:(\w+ly)\s+)?(\w+(?:ed|en|wn|t)|[a-z]+)\b(.*)$/i;
+  const TIME_WORDS = /^(?:\d|(?:mon|tues|wednes|thurs|fri|satur|sun)day\b|(?:january|february|march|april|may|june|july|august|september|october|november|december)\b|(?:then|now|noon|midnight|tonight|tomorrow|next|the end)\b)/i;
+  const RELATIVE_PRONOUNS = ['that', 'which', 'who', 'whom', 'whose'];
+  const AGENT_STOP_WORDS = /^(?:in|on|at|for|with|from|during|after|before|because|since|while|when|if|to|into|over|under|until|without|via|per|last|yesterday|today|tomorrow|this|next|every|each|daily|weekly|again|here|there|now|then|soon|later|already|as|so|but|which|who|that|where)$/i;
+
+  // "used" → "use", "stopped" → "stop", "carried" → "carry". The spell
+  // checker settles ambiguous stems once its dictionary has loaded.
+  function regularBaseForm(participle) {
+    const stem = participle.replace(/ed$/, '');
+    if (/ied$/.test(participle)) return `${participle.slice(0, -3)}y`;
+    const candidates = [`${stem}e`, stem];
+    if (/([^aeiouls])\1$/.test(stem)) candidates.unshift(stem.slice(0, -1));
+    if (speller) {
+      const known = candidates.find(candidate => speller.check(candidate));
+      if (known) return known;
+    }
+    if (/([^aeiouls])\1$/.test(stem)) return stem.slice(0, -1);
+    return /(?:at|iz|is|us|ur|v|c|dg|bl|pl|tl|ag|ok)$/.test(stem) ? `${stem}e` : stem;
+  }
 
-  function showRewrite(text) {
-    const tone = toneSelect.value;
-    const sentences = getSentences(text);
-    const results = [];
+  function verbForms(participle) {
+    const lower = participle.toLowerCase();
+    if (PARTICIPLE_TO_VERB.has(lower)) return { ...PARTICIPLE_TO_VERB.get(lower), participle: lower };
+    if (!/ed$/.test(lower)) return null;
+    return { base: regularBaseForm(lower), past: lower, participle: lower };
+  }
 
-    const toneTransforms = {
-      professional: {
-        starters: ['Furthermore,', 'Additionally,', 'It is worth noting that', 'In this context,'],
-        style: 'formal and precise'
-      },
-      casual: {
-        starters: ['So basically,', 'Here\'s the thing —', 'Look,', 'The way I see it,'],
-        style: 'relaxed and conversational'
-      },
-      academic: {
-        starters: ['Research indicates that', 'It can be observed that', 'Evidence suggests that', 'From this perspective,'],
-        style: 'scholarly and measured'
-      },
-      creative: {
-        starters: ['Picture this:', 'Imagine', 'What if', 'There\'s something remarkable about'],
-        style: 'vivid and imaginative'
-      },
-      persuasive: {
-        starters: ['Consider this:', 'The evidence is clear —', 'Without question,', 'It\'s time to recognize that'],
-        style: 'compelling and direct'
-      }
+  function presentParticiple(base) {
+    if (/ie$/.test(base)) return `${base.slice(0, -2)}ying`;
+    if (/[^e]e$/.test(base) && base !== 'be') return `${base.slice(0, -1)}ing`;
+    if (/^[^aeiou]*[aeiou][^aeiouwxy]$/.test(base)) return `${base}${base.slice(-1)}ing`;
+    return `${base}ing`;
+  }
+
+  function isPluralAgent(agent) {
+    const lower = agent.toLowerCase();
+    if (/\band\b/.test(lower) || ['i', 'you', 'we', 'they'].includes(lower)) return true;
+    const head = lower.split(/\s+/).pop();
+    if (['people', 'children', 'men', 'women', 'police', 'staff', 'feet', 'teeth', 'mice'].includes(head)) return true;
+    return /[^s]s$/.test(head) && !SINGULAR_S_NOUNS.includes(head) && !/(?:us|is)$/.test(head);
+  }
+
+  // Builds the active verb phrase for the auxiliary the passive used.
+  function activeVerb(aux, forms, agentIsPlural, negated) {
+    const auxiliary = aux.toLowerCase().replace(/\s+/g, ' ');
+    const not = negated ? ' not' : '';
+    const singular = !agentIsPlural;
+    if (/ being$/.test(auxiliary)) {
+      const be = auxiliary.split(' ')[0];
+      const past = be === 'was' || be === 'were';
+      const agreed = past ? (singular ? 'was' : 'were') : (singular ? 'is' : 'are');
+      return `${agreed}${not} ${presentParticiple(forms.base)}`;
+    }
+    if (/^(?:has|have) been$/.test(auxiliary)) return `${singular ? 'has' : 'have'}${not} ${forms.participle}`;
+    if (auxiliary === 'had been') return `had${not} ${forms.participle}`;
+    if (/ be$/.test(auxiliary)) return `${auxiliary.split(' ')[0]}${not} ${forms.base}`;
+    if (auxiliary === 'was' || auxiliary === 'were') return negated ? `did not ${forms.base}` : forms.past;
+    if (negated) return `${singular ? 'does' : 'do'} not ${forms.base}`;
+    return singular ? thirdPersonForm(forms.base) : forms.base;
+  }
+
+  function isProperNoun(word) {
+    return /^[A-Z]/.test(word) && !POS_LEXICON.has(word.toLowerCase()) && word !== word.toUpperCase();
+  }
+
+  // The tagger doesn't know most irregular past forms ("paid")
+  const IRREGULAR_PAST_FORMS = new Set(IRREGULAR_VERBS.flatMap(([, past, participle]) => [past, participle]));
+
+  function startsClause(text) {
+    return /\bby\b/i.test(text) || tokenizeForGrammar(text).some(tokens => tokens
+      .some(token => /^(?:VB|MD)/.test(token.tag) || IRREGULAR_PAST_FORMS.has(token.lower)));
+  }
+
+  // Returns { active } for a rewritable sentence, { missingAgent } for a
+  // passive without a "by" phrase, or null when the sentence is active or
+  // can't be rewritten safely.
+  function toActiveVoice(sentence) {
+    const trimmed = sentence.trim();
+    const punctuation = (trimmed.match(/[.!?]+$/) || [''])[0];
+    const body = trimmed.slice(0, trimmed.length - punctuation.length);
+    const match = body.match(PASSIVE_CLAUSE);
+    if (!match) return null;
+
+    const [, before, aux, negation, adverb, participle, after] = match;
+    const forms = verbForms(participle);
+    if (!forms || !before.trim()) return null;
+
+    // Keep an opening phrase such as "Last year, " in front
+    const lastComma = before.lastIndexOf(',');
+    const intro = lastComma === -1 ? '' : before.slice(0, lastComma + 1) + ' ';
+    const subject = (lastComma === -1 ? before : before.slice(lastComma + 1)).trim();
+    if (!subject) return null;
+    // "If the form is signed…" and "The book that was written…" are
+    // clauses inside a larger sentence; their subject can't be moved
+    if (subject.toLowerCase().split(/\s+/).some(word => SUBORDINATORS.includes(word) || RELATIVE_PRONOUNS.includes(word))) return null;
+
+    const byMatch = after.match(/^\s+by\s+(.+)$/i);
+    if (!byMatch) return { missingAgent: true, passive: `${subject} ${aux} ${participle}` };
+
+    const agentWords = [];
+    const rest = byMatch[1].split(/(\s+|,)/);
+    let i = 0;
+    for (; i < rest.length; i++) {
+      const word = rest[i];
+      if (word === ',' || (word.trim() && agentWords.join('').trim() && AGENT_STOP_WORDS.test(word))) break;
+      // "by Sara and reviewed by Tom" coordinates a second passive, which
+      // the rewrite would leave behind; "by Sara and Tom" is one agent
+      if (/^(?:and|or)$/i.test(word) && agentWords.join('').trim() && startsClause(rest.slice(i + 1).join(''))) return null;
+      agentWords.push(word);
+    }
+    let agent = agentWords.join('').trim();
+    // "by the board which met…" describes the agent; moved after the
+    // object it would describe that instead
+    if (RELATIVE_PRONOUNS.includes((rest[i] || '').toLowerCase())) return null;
+    const remainder = rest.slice(i).join('');
+    const tail = remainder && !/^[\s,]/.test(remainder) ? ` ${remainder}` : remainder;
+    // "finished by Friday" names a deadline, not an agent
+    if (!agent || TIME_WORDS.test(agent)) return { missingAgent: true, passive: `${subject} ${aux} ${participle}` };
+
+    const agentPronoun = AGENT_PRONOUNS[agent.toLowerCase()];
+    if (agentPronoun) agent = agentPronoun;
+    const subjectPronoun = OBJECT_PRONOUNS[subject.toLowerCase()];
+    const firstWord = subject.split(/\s+/)[0];
+    const object = subjectPronoun
+      || (isProperNoun(firstWord) ? subject : subject.charAt(0).toLowerCase() + subject.slice(1));
+
+    let verb = activeVerb(aux, forms, isPluralAgent(agent), Boolean(negation));
+    if (adverb) verb = verb.includes(' ') ? verb.replace(' ', ` ${adverb} `) : `${adverb} ${verb}`;
+
+    let subjectText = agent;
+    if (!intro) subjectText = agent.charAt(0).toUpperCase() + agent.slice(1);
+    else if (!isProperNoun(agent.split(/\s+/)[0]) && agent !== 'I') subjectText = agent.charAt(0).toLowerCase() + agent.slice(1);
+
+    const active = `${intro.trimStart()}${subjectText} ${verb} ${object}${tail.replace(/\s+$/, '')}${punctuation}`;
+    return { active: active.replace(/\s{2,}/g, ' ') };
+  }
+
+  // ─── Summarizer ────────────────────────────────────────────
+  // Extractive summaries: TextRank over TF-IDF sentence vectors ranks the
+  // sentences, then the best ones are kept, in their original order,
+  // until the word budget the user picked is spent.
+  const SUMMARY_RATIO_KEY = 'draftwise_summary_ratio';
+  const TEXTRANK_DAMPING = 0.85;
+  const TEXTRANK_ITERATIONS = 30;
+
+  function summaryTerms(sentence) {
+    return getWords(sentence.toLowerCase())
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d/.test(word))
+      .map(word => (word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word));
+  }
+
+  function tfidfVectors(sentences) {
+    const termLists = sentences.map(summaryTerms);
+    const documentFrequency = new Map();
+    termLists.forEach(terms => new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+    return termLists.map(terms => {
+      const vector = new Map();
+      terms.forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+      vector.forEach((count, term) => {
+        const idf = Math.log((1 + sentences.length) / (1 + documentFrequency.get(term))) + 1;
+        vector.set(term, (count / terms.length) * idf);
+      });
+      return vector;
+    });
+  }
+
+  function cosineSimilarity(a, b) {
+    let dot = 0;
+    a.forEach((weight, term) => {
+      if (b.has(term)) dot += weight * b.get(term);
+    });
+    const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator ? dot / denominator : 0;
+  }
+
+  function textRank(vectors) {
+    const n = vectors.length;
+    const weights = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 0 : cosineSimilarity(a, b))));
+    const outgoing = weights.map(row => row.reduce((sum, w) => sum + w, 0));
+    let scores = new Array(n).fill(1);
+
+    for (let iteration = 0; iteration < TEXTRANK_ITERATIONS; iteration++) {
+      scores = scores.map((_, i) => (1 - TEXTRANK_DAMPING) + TEXTRANK_DAMPING * weights.reduce(
+        (sum, row, j) => (outgoing[j] ? sum + (row[i] / outgoing[j]) * scores[j] : sum), 0));
+    }
+    return scores;
+  }
+
+  // Returns every sentence with its score and whether the summary keeps it.
+  function summarize(text, ratio) {
+    const { sentences, paragraphs } = tokenize(text);
+    const vectors = tfidfVectors(sentences.map(sentence => sentence.text));
+    const ranks = textRank(vectors);
+    const leads = new Set(paragraphs.map(paragraph => sentences.find(sentence => sentence.start >= paragraph.start)));
+
+    const ranked = sentences.map((sentence, i) => ({
+      ...sentence,
+      // Unconnected sentences fall back to how much they say; paragraph
+      // openers get a small nudge because they tend to carry the point
+      score: (ranks[i] + [...vectors[i].values()].reduce((sum, w) => sum + w, 0) * 0.1) * (leads.has(sentence) ? 1.1 : 1),
+      kept: false
+    }));
+
+    const totalWords = ranked.reduce((sum, sentence) => sum + sentence.wordCount, 0);
+    const budget = Math.round(totalWords * ratio);
+    let used = 0;
+    // Stop at the first sentence that doesn't fit rather than padding the
+    // budget with short, low-ranked ones
+    [...ranked].sort((a, b) => b.score - a.score).every(sentence => {
+      if (used > 0 && used + sentence.wordCount > budget) return false;
+      sentence.kept = true;
+      used += sentence.wordCount;
+      return true;
+    });
+
+    return { sentences: ranked, totalWords, keptWords: used };
+  }
+
+  function loadSummaryRatio() {
+    const saved = Number(localStorage.getItem(SUMMARY_RATIO_KEY));
+    return saved >= 0.1 && saved <= 0.9 ? saved : 0.4;
+  }
+
+  function renderSummary(panel, text, ratio) {
+    const summary = summarize(text, ratio);
+    const kept = summary.sentences.filter(sentence => sentence.kept);
+    const summaryText = kept.map(sentence => sentence.text).join(' ');
+
+    panel.querySelector('[data-summary-label]').textContent =
+      `${Math.round(ratio * 100)}% · ${kept.length} of ${summary.sentences.length} sentences · ${summary.keptWords} words`;
+    panel.querySelector('[data-summary-body]').innerHTML = `
+      <ol class="space-y-1 my-3">
+        ${summary.sentences.map(sentence => `
+          <li class="text-xs leading-relaxed flex gap-1.5 ${sentence.kept ? 'text-surface-800' : 'text-surface-300 line-through'}">
+            <span class="flex-shrink-0 w-3">${sentence.kept ? '✓' : ''}</span>
+            <span>${escapeHtml(sentence.text)}</span>
+          </li>`).join('')}
+      </ol>
+      <div class="suggestion-card bg-surface-50 rounded-xl p-3 border border-surface-100 hover:border-brand-200 cursor-pointer transition-all flex items-center justify-between gap-2" onclick="applyResult(this)" data-tool="Summary" data-text="${escapeHtml(summaryText)}">
+        <span class="text-xs text-surface-600">Insert this ${Math.round((summary.keptWords / Math.max(1, summary.totalWords)) * 100)}% summary</span>
+        <button class="text-xs text-brand-600 hover:text-brand-700 font-medium px-2 py-0.5 hover:bg-brand-50 rounded transition-colors">Use</button>
+      </div>`;
+  }
+
+  function summaryPanelHtml(ratio) {
+    return `
+      <div class="bg-white rounded-xl p-3.5 border border-brand-200 mb-3" data-summary>
+        <div class="flex items-center justify-between mb-2">
+          <p class="text-xs font-semibold text-surface-700">Key sentences</p>
+          <span class="text-xs text-surface-500" data-summary-label></span>
+        </div>
+        <input type="range" min="10" max="90" step="5" value="${Math.round(ratio * 100)}" data-summary-ratio class="w-full accent-brand-600" aria-label="Summary length">
+        <div data-summary-body></div>
+      </div>`;
+  }
+
+  // ─── Headlines ─────────────────────────────────────────────
+  // Keyphrases are noun phrases from the tagger, ranked by how often they
+  // appear and how early they first show up. Headlines fill templates with
+  // them and are scored on length, power words and clarity.
+  const TITLE_MINOR_WORDS = new Set(['a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'so', 'yet', 'as', 'at', 'by', 'in', 'of', 'off', 'on', 'per', 'to', 'up', 'via', 'vs']);
+  const POWER_WORDS = ['essential', 'proven', 'simple', 'ultimate', 'complete', 'secret', 'free', 'new', 'easy', 'powerful', 'surprising', 'mistakes', 'avoid', 'stop', 'why', 'how', 'future', 'guide', 'explained', 'need', 'best', 'fast', 'better', 'smarter', 'now', 'today', 'worth'];
+  const HEADLINE_LIMITS = [
+    { name: 'SEO title', max: 60 },
+    { name: 'Social card', max: 70 }
+  ];
+  const HEADLINE_TEMPLATES = [
+    { pattern: 'The Complete Guide to {topic}', label: 'Guide' },
+    { pattern: '{topic}: A Beginner\'s Guide', label: 'Guide' },
+    { pattern: '{topic}, Explained', label: 'Explainer' },
+    { pattern: 'What {is} {topic}, and Why {does} {it} Matter?', label: 'Question' },
+    { pattern: '{is} {topic} Worth It?', label: 'Question' },
+    { pattern: 'How to Get More Out of {topic}', label: 'How-to' },
+    { pattern: 'How {topic} {is} Changing {secondary}', label: 'How-to' },
+    { pattern: '{count} Things You Need to Know About {topic}', label: 'Listicle' },
+    { pattern: '{count} Ways {topic} Can Improve {secondary}', label: 'Listicle' },
+    { pattern: '{count} {topic} Mistakes to Avoid', label: 'Listicle' },
+    { pattern: 'Why {topic} {matters} More Than Ever', label: 'Thought leadership' },
+    { pattern: 'The Future of {topic}', label: 'Thought leadership' },
+    { pattern: '{topic} and {secondary}: What You Need to Know', label: 'Direct' },
+    { pattern: 'Rethinking {topic}', label: 'Direct' },
+    { pattern: 'Stop Ignoring {topic}', label: 'Action' },
+    { pattern: 'Use {topic} to Improve {secondary}', label: 'Action' }
+  ];
+
+  const NOUN_SUFFIX_PATTERN = /(?:tion|sion|ment|ness|ity|ance|ence|ship|ism|ist|ure|age|ery|dom|hood)$/;
+
+  function isVerbForm(word) {
+    return COMMON_VERBS.includes(word) || THIRD_PERSON.has(word) || IRREGULAR_VERBS.some(forms => forms.includes(word));
+  }
+
+  function extractKeyphrases(text) {
+    const sentences = tokenizeForGrammar(text);
+    const phrases = new Map();
+
+    const addPhrase = (run, sentenceIndex) => {
+      // Trim until the phrase ends on a noun, and keep at most four words
+      while (run.length && !/^NN/.test(run[run.length - 1].tag)) run.pop();
+      const words = run.slice(-4);
+      if (!words.length || (words.length === 1 && words[0].text.length < 4)) return;
+      const key = words.map(token => token.lower).join(' ');
+      const entry = phrases.get(key) || {
+        key,
+        text: words.map(token => token.text).join(' '),
+        plural: words[words.length - 1].tag === 'NNS',
+        count: 0,
+        first: sentenceIndex,
+        length: words.length,
+        // How the text writes it away from the start of a sentence:
+        // true once seen in lower case, false if only ever capitalized
+        common: undefined
+      };
+      entry.count++;
+      if (!words[0].sentenceStart && entry.common !== true) entry.common = /^\p{Ll}/u.test(words[0].text);
+      phrases.set(key, entry);
+    };
+
+    sentences.forEach((tokens, sentenceIndex) => {
+      let run = [];
+      tokens.forEach((token, i) => {
+        // "is growing" is a verb, "growing demand" a phrase
+        const progressive = token.tag === 'VBG' && i > 0 && /^(?:is|are|was|were|be|been|am)$/.test(tokens[i - 1].lower);
+        const isPhraseWord = /^(?:JJ|NNS?|NNP|VBG)$/.test(token.tag) && !progressive
+          && !STOP_WORDS.has(token.lower) && !/'/.test(token.lower)
+          // Verb forms only count where the tagger retagged them as nouns: "remote work"
+          && (!isVerbForm(token.lower) || (/^NN/.test(token.tag) && /^VB/.test(POS_LEXICON.get(token.lower) || '')));
+        const last = run[run.length - 1];
+        if (isPhraseWord && last && last.tag === 'NNS') {
+          // A plural is the head of its phrase; a guessed noun straight after
+          // it is usually the verb: "managers worry", "teams operate"
+          addPhrase(run, sentenceIndex);
+          run = [];
+          if (token.tag === 'NN' && !POS_LEXICON.has(token.lower) && !NOUN_SUFFIX_PATTERN.test(token.lower)) return;
+        }
+        if (isPhraseWord) {
+          run.push(token);
+        } else {
+          addPhrase(run, sentenceIndex);
+          run = [];
+        }
+      });
+      addPhrase(run, sentenceIndex);
+    });
+
+    const total = Math.max(1, sentences.length);
+    return [...phrases.values()]
+      .map(entry => ({
+        ...entry,
+        score: entry.count * (1 + 0.3 * (entry.length - 1)) * (1.5 - entry.first / total)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Chicago-style title case; acronyms and brand casing ("iPhone") stay
+  function toTitleCase(text) {
+    const words = text.split(/\s+/);
+    return words.map((word, i) => {
+      const afterColon = i > 0 && /:$/.test(words[i - 1]);
+      const lower = word.toLowerCase();
+      if (i > 0 && i < words.length - 1 && !afterColon && TITLE_MINOR_WORDS.has(lower)) return lower;
+      return word.split('-').map(part => (/[A-Z]/.test(part.slice(1)) ? part : part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())).join('-');
+    }).join(' ');
+  }
+
+  function scoreHeadline(headline, topic) {
+    const words = getWords(headline);
+    const chars = headline.length;
+
+    // Length: 40–60 characters reads well in search results and feeds
+    const lengthScore = chars >= 40 && chars <= 60 ? 40 : Math.max(0, 40 - Math.abs(chars - (chars < 40 ? 40 : 60)));
+
+    const powerCount = words.filter(word => POWER_WORDS.includes(word.toLowerCase())).length;
+    const powerScore = powerCount >= 2 ? 30 : powerCount === 1 ? 20 : 5;
+
+    // Clarity: the topic near the front, short words, nothing vague
+    const topicFirst = headline.toLowerCase().indexOf(topic.toLowerCase()) <= chars / 2 ? 10 : 0;
+    const avgSyllables = words.reduce((sum, word) => sum + getSyllableCount(word), 0) / Math.max(1, words.length);
+    const plainWords = avgSyllables <= 1.8 ? 10 : avgSyllables <= 2.2 ? 5 : 0;
+    const vague = words.some(word => WEAK_WORDS.includes(word.toLowerCase())) ? 0 : 10;
+
+    return {
+      score: Math.min(100, lengthScore + powerScore + topicFirst + plainWords + vague),
+      chars,
+      limits: HEADLINE_LIMITS.map(limit => ({ ...limit, fits: chars <= limit.max }))
+    };
+  }
+
+  // ─── Expansion ─────────────────────────────────────────────
+  // Builds expansions from the writer's own text: elaboration scaffolds for
+  // the key claims, placeholders where a claim has no support, and
+  // transitions that bridge adjacent paragraphs.
+  const EVIDENCE_CLAIM_PATTERN = /\d(?:\.\d+)?\s*%|\b(?:\d+(?:\.\d+)?\s*percent|studies|research|data|evidence|experts?|surveys?|statistics|proven|shows? that|found that|according to)\b/i;
+  const GENERAL_CLAIM_PATTERN = /\b(?:always|never|every|everyone|all|most|many|often|best|worst|only|clearly|obviously|undoubtedly|significantly|dramatically|everybody|nobody|no one)\b/i;
+  const SUPPORT_PATTERN = /\b(?:for example|for instance|such as|e\.g\.|according to|cited|source|https?:\/\/)|\(\d{4}\)|\[(?:\d+|example needed|source needed)\]|["“][^"”]{12,}["”]/i;
+  const CONTRAST_OPENERS = /^(?:however|but|yet|although|though|still|instead|on the other hand|in contrast|despite)\b/i;
+
+  // The words a keyphrase matched, as tagged in one sentence, form a noun
+  // phrase: modifiers ending on a noun. A clause-initial "flexibility
+  // matters" is a subject and its verb.
+  function isNounPhrase(words, before, after) {
+    const head = words[words.length - 1];
+    if (!words.every(token => /^(?:JJ|NNS?|NNP|VBG)$/.test(token.tag)) || !/^NN/.test(head.tag)) return false;
+    if (isVerbForm(words[0].lower) && !/^NN/.test(words[0].tag)) return false;
+    const clauseStart = !before || before.punct || /^(?:CC|SUB)$/.test(before.tag);
+    const verbLike = head.tag === 'NNS' && !POS_LEXICON.has(head.lower) && (!after || after.punct || /^(?:RB|IN|DT|PRP\$)$/.test(after.tag));
+    return !(words.length > 1 && clauseStart && verbLike);
+  }
+
+  // The top-ranked noun-phrase keyphrase that a sentence mentions, in
+  // running-text case
+  function sentenceTopic(sentence, keyphrases) {
+    const tokens = tokenizeForGrammar(sentence).flat();
+    let match = null;
+    const candidate = keyphrases.find(phrase => {
+      match = sentence.match(new RegExp(`\\b${escapeRegExp(phrase.key)}\\b`, 'i'));
+      if (!match) return false;
+      const end = match.index + match[0].length;
+      const first = tokens.findIndex(token => token.index >= match.index);
+      const words = tokens.filter(token => token.index >= match.index && token.index < end);
+      return words.length > 0 && isNounPhrase(words, tokens[first - 1], tokens[first + words.length]);
+    });
+    if (!candidate) return null;
+
+    // A capital that only marks the start of the sentence is dropped. The
+    // text's own mid-sentence spelling decides; failing that the
+    // dictionary, and without one the phrase is taken as a common noun.
+    const startsSentence = !/\p{L}/u.test(sentence.slice(0, match.index));
+    const [first, ...rest] = match[0].split(' ');
+    const titled = rest.some(word => /^\p{Lu}/u.test(word));
+    if (!startsSentence || titled || !/^\p{Lu}\p{Ll}/u.test(first)) return match[0];
+    const common = candidate.common !== undefined
+      ? candidate.common
+      : !speller || speller.check(first.toLowerCase());
+    return common ? match[0].charAt(0).toLowerCase() + match[0].slice(1) : match[0];
+  }
+
+  function findUnsupportedClaims(text) {
+    const { sentences } = tokenize(text);
+    return sentences
+      .map((sentence, i) => {
+        if (!/[.!]["'”’)]*$/.test(sentence.text)) return null;
+        const following = sentences[i + 1] ? sentences[i + 1].text : '';
+        if (SUPPORT_PATTERN.test(sentence.text) || SUPPORT_PATTERN.test(following)) return null;
+        if (EVIDENCE_CLAIM_PATTERN.test(sentence.text)) return { sentence, placeholder: '[source needed]' };
+        if (GENERAL_CLAIM_PATTERN.test(sentence.text)) return { sentence, placeholder: '[example needed]' };
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  // Sentences that assert something, ranked by how central they are
+  function findKeyClaims(text, limit) {
+    const declarative = new Set(tokenizeForGrammar(text)
+      .filter(tokens => tokens.some(token => /^(?:VB[ZPD]|MD)$/.test(token.tag)) && tokens[tokens.length - 1].text !== '?')
+      .map(tokens => tokens[0].index));
+    return summarize(text, 1).sentences
+      .filter(sentence => declarative.has(sentence.start))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  function elaborationFor(claim, topic) {
+    const subject = topic || 'this';
+    return {
+      prompts: [
+        `Why is this true? Name the cause behind ${subject}.`,
+        `What does this look like in practice? Add one concrete case involving ${subject}.`,
+        `So what? Say what changes for your reader because of ${subject}.`
+      ],
+      scaffold: `${claim.text} This is because [explain the cause behind ${subject}]. For example, [a specific case of ${subject}]. For the reader, this means [what changes for them].`
+    };
+  }
+
+  function transitionBetween(previous, next, keyphrases) {
+    const lastSentence = getSentences(previous.text).pop() || previous.text;
+    const firstSentence = getSentences(next.text)[0] || next.text;
+    const from = sentenceTopic(lastSentence, keyphrases) || sentenceTopic(previous.text, keyphrases);
+    const to = sentenceTopic(firstSentence, keyphrases) || sentenceTopic(next.text, keyphrases);
+    if (!from || !to) return null;
+
+    let bridge;
+    if (CONTRAST_OPENERS.test(firstSentence)) {
+      bridge = `That is only part of the picture, though.`;
+    } else if (/\d/.test(next.text) || /\b(?:for example|for instance|such as)\b/i.test(next.text)) {
+      bridge = `Here is what that looks like in practice.`;
+    } else if (from.toLowerCase() === to.toLowerCase()) {
+      bridge = `There is more to ${to} than that.`;
+    } else {
+      bridge = `With ${from} in mind, consider ${to}.`;
+    }
+    return { bridge, firstSentence, from, to };
+  }
+
+  // ─── Tool Implementations ─────────────────────────────────
+
+  function showRewrite(text) {
+    const tone = toneSelect.value;
+    const sentences = getSentences(text);
+    const results = [];
+
+    const toneTransforms = {
+      professional: {
+        starters: ['Furthermore,', 'Additionally,', 'It is worth noting that', 'In this context,'],
+        style: 'formal and precise'
+      },
+      casual: {
+        starters: ['So basically,', 'Here\'s the thing —', 'Look,', 'The way I see it,'],
+        style: 'relaxed and conversational'
+      },
+      academic: {
+        starters: ['Research indicates that', 'It can be observed that', 'Evidence suggests that', 'From this perspective,'],
+        style: 'scholarly and measured'
+      },
+      creative: {
+        starters: ['Picture this:', 'Imagine', 'What if', 'There\'s something remarkable about'],
+        style: 'vivid and imaginative'
+      },
+      persuasive: {
+        starters: ['Consider this:', 'The evidence is clear —', 'Without question,', 'It\'s time to recognize that'],
+        style: 'compelling and direct'
+      }
     };
 
     const transform = toneTransforms[tone] || toneTransforms.professional;
@@ -790,27 +2993,24 @@
       });
     }
 
-    // Rewrite 3: Active voice version
-    let active = text;
-    PASSIVE_PATTERNS.forEach(pattern => {
-      active = active.replace(pattern, (match) => {
-        return match;
-      });
+    // Rewrite 3: Active voice, one suggestion per passive sentence
+    sentences.forEach(sentence => {
+      const rewrite = toActiveVoice(sentence);
+      if (!rewrite) return;
+      if (rewrite.active) {
+        results.push({ text: rewrite.active, target: sentence, label: 'Active voice — replaces this sentence' });
+      } else {
+        results.push({ note: `"${rewrite.passive}" is passive but doesn't say who did it, so there is no agent to make the subject. Name who did it, or rewrite the sentence yourself.` });
+      }
     });
+
     // Swap sentence structure for variety
     if (sentences.length > 1) {
-      const reversed = [...sentences].reverse().join('. ').trim();
-      if (!reversed.endsWith('.')) {
-        results.push({
-          text: reversed + '.',
-          label: 'Restructured flow'
-        });
-      } else {
-        results.push({
-          text: reversed,
-          label: 'Restructured flow'
-        });
-      }
+      const reversed = [...sentences].reverse().map(s => (/[.!?]["'”’)]*$/.test(s) ? s : `${s}.`)).join(' ');
+      results.push({
+        text: reversed,
+        label: 'Restructured flow'
+      });
     }
 
     if (results.length === 0) {
@@ -822,26 +3022,41 @@
 
   function showExpand(text) {
     const results = [];
-    const sentences = getSentences(text);
+    const keyphrases = extractKeyphrases(text);
+    const excerpt = (sentence) => (sentence.length > 50 ? `${sentence.substring(0, 50)}…` : sentence);
 
-    // Expansion 1: Add context
-    results.push({
-      text: `${text} This is particularly significant because it highlights the key aspects that merit further consideration. Understanding these elements provides valuable context for making informed decisions.`,
-      label: 'Added supporting context'
+    // Expansion 1: Placeholders after claims nothing supports
+    findUnsupportedClaims(text).slice(0, 5).forEach(({ sentence, placeholder }) => {
+      results.push({
+        text: `${sentence.text} ${placeholder}`,
+        target: sentence.text,
+        label: `${placeholder === '[source needed]' ? 'Cites data or research without a source' : 'Generalises without an example'}: "${excerpt(sentence.text)}"`
+      });
     });
 
-    // Expansion 2: Add examples
-    results.push({
-      text: `${text} For example, this can be seen in practice when organizations apply these principles to their everyday operations. The results consistently demonstrate measurable improvements across multiple dimensions.`,
-      label: 'Added examples and evidence'
+    // Expansion 2: Questions and a scaffold for each key claim
+    findKeyClaims(text, 3).forEach(claim => {
+      const elaboration = elaborationFor(claim, sentenceTopic(claim.text, keyphrases));
+      results.push({ note: `Key claim: "${excerpt(claim.text)}" — ${elaboration.prompts.join(' ')}` });
+      results.push({ text: elaboration.scaffold, target: claim.text, label: 'Elaboration scaffold — fill in the brackets' });
     });
 
-    // Expansion 3: Add analysis
-    results.push({
-      text: `${text} When we examine this more closely, several important factors emerge. First, the underlying dynamics reveal patterns that inform our understanding. Second, the broader implications extend well beyond the immediate context, suggesting opportunities for further exploration.`,
-      label: 'Added deeper analysis'
+    // Expansion 3: Transitions between adjacent paragraphs
+    const { paragraphs } = tokenize(text);
+    paragraphs.slice(1).forEach((paragraph, i) => {
+      const transition = transitionBetween(paragraphs[i], paragraph, keyphrases);
+      if (!transition) return;
+      results.push({
+        text: `${transition.bridge} ${transition.firstSentence}`,
+        target: transition.firstSentence,
+        label: `Transition from paragraph ${i + 1} to ${i + 2}: ${transition.from} → ${transition.to}`
+      });
     });
 
+    if (results.length === 0) {
+      results.push({ note: 'Nothing to build on yet. Select a paragraph that makes a clear claim, or write a few sentences first.' });
+    }
+
     renderToolResult('Expanded Versions', results, text);
   }
 
@@ -869,33 +3084,30 @@
       });
     }
 
-    // Shortened 2: First and last sentences (summary)
-    if (sentences.length > 2) {
-      const summary = `${sentences[0].trim()}. ${sentences[sentences.length - 1].trim()}.`.replace(/\.\./g, '.');
-      results.push({
-        text: summary,
-        label: 'Key points only'
-      });
-    }
-
-    // Shortened 3: Cut to half by taking key sentences
-    if (sentences.length > 3) {
-      const half = sentences.slice(0, Math.ceil(sentences.length / 2)).join('. ').trim();
-      const cleanHalf = half.endsWith('.') ? half : half + '.';
-      results.push({
-        text: cleanHalf,
-        label: 'First half retained'
-      });
-    }
+    // Shortened 2: Extractive summary with an adjustable length
+    const canSummarize = sentences.length > 2;
 
-    if (results.length === 0) {
+    if (results.length === 0 && !canSummarize) {
       results.push({
         text: text,
         label: 'Text is already concise'
       });
     }
 
-    renderToolResult('Shortened Versions', results, text);
+    renderToolResult('Shortened Versions', results, text, canSummarize ? summaryPanelHtml(loadSummaryRatio()) : '');
+    if (!canSummarize) return;
+
+    const panel = toolOutput.querySelector('[data-summary]');
+    renderSummary(panel, text, loadSummaryRatio());
+    panel.querySelector('[data-summary-ratio]').addEventListener('input', (e) => {
+      const ratio = Number(e.target.value) / 100;
+      try {
+        localStorage.setItem(SUMMARY_RATIO_KEY, String(ratio));
+      } catch (err) {
+        // localStorage might be full or unavailable
+      }
+      renderSummary(panel, text, ratio);
+    });
   }
 
   function showGrammarFix(text) {
@@ -933,6 +3145,7 @@
     };
 
     Object.entries(typos).forEach(([wrong, right]) => {
+      if (isKnownWord(wrong)) return;
       const regex = new RegExp(`\\b${wrong}\\b`, 'gi');
       if (regex.test(fixed)) {
         fixed = fixed.replace(regex, right);
@@ -990,56 +3203,242 @@
   }
 
   function showHeadlines(text) {
-    const words = getWords(text);
-    const keyWords = words.filter(w => w.length > 4 && !WEAK_WORDS.includes(w.toLowerCase())).slice(0, 5);
-    const topic = keyWords.slice(0, 3).join(' ');
-
-    const templates = [
-      { pattern: `How to ${topic.charAt(0).toUpperCase() + topic.slice(1)} Effectively`, label: 'How-to format' },
-      { pattern: `The Complete Guide to ${topic.charAt(0).toUpperCase() + topic.slice(1)}`, label: 'Guide format' },
-      { pattern: `Why ${topic.charAt(0).toUpperCase() + topic.slice(1)} Matters More Than Ever`, label: 'Thought leadership' },
-      { pattern: `${keyWords.length} Things You Need to Know About ${topic.charAt(0).toUpperCase() + topic.slice(1)}`, label: 'Listicle format' },
-      { pattern: `${topic.charAt(0).toUpperCase() + topic.slice(1)}: A Modern Approach`, label: 'Clean & direct' },
-      { pattern: `Rethinking ${topic.charAt(0).toUpperCase() + topic.slice(1)} for Better Results`, label: 'Action-oriented' }
-    ];
-
-    const results = templates.map(t => ({
-      text: t.pattern,
-      label: t.label
-    }));
+    const keyphrases = extractKeyphrases(text);
+    if (keyphrases.length === 0) {
+      showToolMessage('Couldn\'t find a clear topic. Write a few sentences about your subject first.', 'info');
+      return;
+    }
 
-    renderToolResult('Headline Suggestions', results, null);
+    const topic = toTitleCase(keyphrases[0].text);
+    // The runner-up must add something: "new iPhone camera" doesn't
+    const main = keyphrases[0].key;
+    const runnerUp = keyphrases.find(phrase => !phrase.key.includes(main) && !main.includes(phrase.key));
+    const secondary = runnerUp ? toTitleCase(runnerUp.text) : '';
+    // Listicles need at least three phrases the text comes back to
+    const count = Math.min(10, keyphrases.filter(phrase => phrase.count > 1).length);
+    // Verbs and pronouns that agree with the topic
+    const plural = keyphrases[0].plural;
+    const agreement = plural
+      ? { is: 'Are', does: 'Do', it: 'They', matters: 'Matter' }
+      : { is: 'Is', does: 'Does', it: 'It', matters: 'Matters' };
+
+    const results = HEADLINE_TEMPLATES
+      .filter(template => secondary || !template.pattern.includes('{secondary}'))
+      .filter(template => count >= 3 || !template.pattern.includes('{count}'))
+      .map(template => {
+        const headline = toTitleCase(fillTemplate(template.pattern, { topic, secondary, count, ...agreement }));
+        const rating = scoreHeadline(headline, topic);
+        const limits = rating.limits.map(limit => (limit.fits ? `✓ ${limit.name}` : `✗ ${limit.name} (${rating.chars - limit.max} over)`)).join(' · ');
+        return {
+          text: headline,
+          score: rating.score,
+          label: `${template.label} · Score ${rating.score} · ${rating.chars} chars · ${limits}`
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+
+    const chips = keyphrases.slice(0, 6).map(phrase => `<span class="text-xs bg-brand-50 text-brand-700 border border-brand-200 px-2 py-0.5 rounded-full">${escapeHtml(phrase.text)}</span>`).join('');
+    renderToolResult('Headline Suggestions', results, null, `<div class="flex flex-wrap items-center gap-1.5 mb-3"><span class="text-xs text-surface-500 mr-1">Key phrases</span>${chips}</div>`);
   }
 
   // ─── New Document ──────────────────────────────────────────
+  // Earlier drafts stay in the document library.
   btnNewDoc.addEventListener('click', () => {
-    if (getPlainText().trim().length > 0) {
-      if (!confirm('Start a new document? Current content will be cleared.')) return;
+    newDocument();
+  });
+
+  // ─── Provenance ────────────────────────────────────────────
+  // Text inserted from an AI tool's result is recorded with the tool that
+  // produced it, minus sentences the document already had (a summary
+  // repeats the author's own). A paragraph counts as AI-suggested while a
+  // recorded sentence is still in it word for word; once the author
+  // rewrites it, or undoes the insertion, it counts as their own again.
+  // Accepted rule suggestions are only counted.
+  const DISCLOSURE_POLICY_KEY = 'draftwise_disclosure_policy';
+  const DISCLOSURE_TEMPLATE_KEY = 'draftwise_disclosure_template';
+  const DISCLOSURE_MANIFEST_KEY = 'draftwise_disclosure_manifest';
+  // Shorter sentences ("Thank you.") prove nothing about where they came from
+  const MIN_TRACKED_WORDS = 3;
+  const MAX_TRACKED_INSERTIONS = 500;
+
+  // Templates are filled from the provenance report; `used` applies when
+  // AI-suggested text remains, `unused` when none does, `untracked` instead
+  // of `unused` when tracking began after the document was created, and
+  // `corrections` is added when the author accepted rule suggestions
+  const DISCLOSURE_POLICIES = {
+    general: {
+      name: 'General',
+      used: 'AI disclosure: {aiParagraphs} of {paragraphs} paragraphs contain AI-suggested text ({percent}% of the words), inserted with DraftWise ({tools}). The rest was written by the author.',
+      unused: 'AI disclosure: This document contains no AI-suggested text.',
+      untracked: 'AI disclosure: No AI-suggested text has been inserted with DraftWise since tracking began on {since}. Earlier edits are not covered.',
+      corrections: 'Automated grammar and style suggestions accepted by the author: {suggestions}.'
+    },
+    academic: {
+      name: 'Academic',
+      used: 'Use of generative AI: text produced by AI writing tools ({tools}) remains in {aiParagraphs} of {paragraphs} paragraphs, about {percent}% of the words. The author is responsible for all content.',
+      unused: 'Use of generative AI: no AI-generated text was included in this work.',
+      untracked: 'Use of generative AI: no AI-generated text was inserted with DraftWise since tracking began on {since}; earlier drafting is not covered by this statement.',
+      corrections: 'Automated grammar and style corrections accepted by the author: {suggestions}.'
+    },
+    publishing: {
+      name: 'Publishing',
+      used: 'Editor’s note: {aiParagraphs} of {paragraphs} paragraphs in this piece include text suggested by AI tools and selected by the author.',
+      unused: 'This piece was written without AI-generated text.',
+      untracked: 'No AI-suggested text has been added to this piece since tracking began on {since}.',
+      corrections: ''
+    },
+    brief: {
+      name: 'Brief',
+      used: 'AI-assisted: {percent}% of this text came from AI suggestions.',
+      unused: 'Written without AI-generated text.',
+      untracked: 'No AI-generated text added since {since}.',
+      corrections: ''
+    },
+    custom: {
+      name: 'Custom'
+    },
+    none: {
+      name: 'No disclosure'
     }
-    editor.innerHTML = '';
-    docTitle.value = 'Untitled Document';
-    updateStats();
+  };
+  const DEFAULT_DISCLOSURE_TEMPLATE = '{aiParagraphs} of {paragraphs} paragraphs ({percent}% of the words) contain AI-suggested text. Tools: {tools}. Accepted suggestions: {suggestions}.';
 
-    // Reset analysis
-    scoreEmpty.classList.remove('hidden');
-    scoreDetails.classList.add('hidden');
-    toneAnalysis.innerHTML = '<div class="text-center py-4"><p class="text-sm text-surface-400">Analyze your text to see tone breakdown</p></div>';
-    suggestionsPanel.innerHTML = '<div class="px-5 py-6 text-center"><p class="text-sm text-surface-400">Click Analyze to get writing suggestions</p></div>';
-    suggestionCount.textContent = '0 items';
-    toolOutput.innerHTML = `
-      <div class="text-center py-8">
-        <div class="w-12 h-12 rounded-2xl bg-surface-100 flex items-center justify-center mx-auto mb-3">
-          <svg class="w-6 h-6 text-surface-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"/>
-          </svg>
-        </div>
-        <p class="text-sm text-surface-500 mb-1">Select text in the editor, then choose a tool</p>
-        <p class="text-xs text-surface-400">Or write some content and click Analyze for full feedback</p>
-      </div>`;
-  });
+  let docProvenance = emptyProvenance();
+
+  function emptyProvenance(since = Date.now()) {
+    return { since, insertions: [], suggestions: 0 };
+  }
+
+  function recordInsertion(text, tool, before) {
+    const sentences = tokenize(text).sentences
+      .filter(sentence => sentence.wordCount >= MIN_TRACKED_WORDS && !before.includes(sentence.text))
+      .map(sentence => sentence.text);
+    if (sentences.length === 0) return;
+    docProvenance.insertions.push({ sentences, tool, at: Date.now() });
+    if (docProvenance.insertions.length > MAX_TRACKED_INSERTIONS) docProvenance.insertions.shift();
+  }
+
+  function recordAcceptedSuggestion() {
+    docProvenance.suggestions++;
+  }
+
+  function listNames(names) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  function provenanceReport(text) {
+    const passages = docProvenance.insertions.flatMap(insertion => insertion.sentences
+      .map(sentence => ({ text: sentence, tool: insertion.tool, at: insertion.at })));
+    const paragraphs = tokenize(text).paragraphs;
+    const found = [];
+    let aiWords = 0;
+
+    paragraphs.forEach((paragraph, i) => {
+      const seen = new Set();
+      passages.forEach((passage) => {
+        if (seen.has(passage.text) || !paragraph.text.includes(passage.text)) return;
+        seen.add(passage.text);
+        aiWords += getWords(passage.text).length;
+        found.push({ paragraph: i + 1, ...passage });
+      });
+    });
+
+    const words = getWords(text).length;
+    const tools = [...new Set(found.map(passage => passage.tool))];
+    return {
+      since: docProvenance.since,
+      // Text from before tracking began can't be accounted for
+      partial: Boolean(currentDoc && docProvenance.since > currentDoc.created),
+      paragraphs: paragraphs.length,
+      aiParagraphs: new Set(found.map(passage => passage.paragraph)).size,
+      words,
+      aiWords: Math.min(aiWords, words),
+      percent: words ? Math.round((Math.min(aiWords, words) / words) * 100) : 0,
+      tools,
+      suggestions: docProvenance.suggestions,
+      passages: found
+    };
+  }
+
+  function disclosureStatement(report, policyId, customTemplate) {
+    if (policyId === 'none') return '';
+    const policy = DISCLOSURE_POLICIES[policyId] || DISCLOSURE_POLICIES.general;
+    const values = {
+      ...report,
+      since: new Date(report.since).toISOString().slice(0, 10),
+      tools: listNames(report.tools) || 'none',
+      title: docTitle.value || 'Untitled Document'
+    };
+    if (policyId === 'custom') return fillTemplate(customTemplate || DEFAULT_DISCLOSURE_TEMPLATE, values).trim();
+    const unused = report.partial ? policy.untracked : policy.unused;
+    const statement = fillTemplate(report.aiParagraphs > 0 ? policy.used : unused, values);
+    return report.suggestions > 0 && policy.corrections ? `${statement} ${fillTemplate(policy.corrections, values)}` : statement;
+  }
+
+  async function sha256(content) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const bytes = content instanceof Blob ? await content.arrayBuffer() : new TextEncoder().encode(content);
+    const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // A machine-readable record of the disclosure. The hash covers the exact
+  // bytes of the exported file, so anyone holding that file can check it is
+  // the one the statement describes. A PDF export goes through the print
+  // dialog and never passes through here as a file, so it has no hash.
+  async function disclosureManifest(report, statement, policyId, file) {
+    const output = file
+      ? { file: file.name, sha256: await sha256(file.content) }
+      : { output: 'print' };
+    return JSON.stringify({
+      format: 'draftwise-ai-disclosure',
+      version: 1,
+      generator: 'DraftWise',
+      exported: new Date().toISOString(),
+      document: {
+        title: docTitle.value || 'Untitled Document',
+        ...output,
+        paragraphs: report.paragraphs,
+        words: report.words
+      },
+      policy: policyId,
+      statement,
+      tracking: {
+        since: new Date(report.since).toISOString(),
+        complete: !report.partial,
+        method: 'Sentences inserted from AI tool results that are still present verbatim'
+      },
+      ai: {
+        paragraphs: report.aiParagraphs,
+        words: report.aiWords,
+        percent: report.percent,
+        tools: report.tools,
+        acceptedSuggestions: report.suggestions,
+        passages: report.passages.map(passage => ({
+          paragraph: passage.paragraph,
+          tool: passage.tool,
+          inserted: new Date(passage.at).toISOString(),
+          text: passage.text
+        }))
+      }
+    }, null, 2);
+  }
 
   // ─── Export ────────────────────────────────────────────────
+  const exportReportToggle = document.getElementById('exportReport');
+  const EXPORT_REPORT_KEY = 'draftwise_export_report';
+  const disclosurePolicy = document.getElementById('disclosurePolicy');
+  const disclosureTemplate = document.getElementById('disclosureTemplate');
+  const disclosureTemplateHelp = document.getElementById('disclosureTemplateHelp');
+  const disclosurePreview = document.getElementById('disclosurePreview');
+  const exportManifestToggle = document.getElementById('exportManifest');
+  // Suggestions listed one by one in a report; the rest are only counted
+  const REPORT_SUGGESTION_LIMIT = 25;
+
   btnExport.addEventListener('click', () => {
+    renderDisclosurePreview();
     exportModal.classList.remove('hidden');
   });
 
@@ -1053,30 +3452,185 @@
     }
   });
 
-  document.querySelectorAll('.export-option').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const format = btn.dataset.export;
-      const title = docTitle.value || 'Untitled Document';
-      const content = getPlainText();
-      const disclosure = '\n\n---\nAI Disclosure: This document was drafted with AI-assisted writing tools (DraftWise). AI algorithms were used to analyze and suggest improvements to the text. All content has been reviewed and approved by the author. The AI tools provided suggestions for grammar, clarity, tone, and style — final editorial decisions were made by the human author.';
+  exportReportToggle.addEventListener('change', () => {
+    try {
+      localStorage.setItem(EXPORT_REPORT_KEY, exportReportToggle.checked ? '1' : '0');
+    } catch (e) {
+      // Preference is optional
+    }
+  });
 
-      let output = '';
-      let mimeType = '';
-      let extension = '';
+  try {
+    exportReportToggle.checked = localStorage.getItem(EXPORT_REPORT_KEY) === '1';
+  } catch (e) {
+    // Preference is optional
+  }
 
-      switch (format) {
-        case 'txt':
-          output = `${title}\n${'='.repeat(title.length)}\n\n${content}${disclosure}`;
-          mimeType = 'text/plain';
-          extension = 'txt';
-          break;
-        case 'md':
-          output = `# ${title}\n\n${content}${disclosure}`;
-          mimeType = 'text/markdown';
-          extension = 'md';
-          break;
-        case 'html':
-          output = `<!DOCTYPE html>
+  disclosurePolicy.innerHTML = Object.entries(DISCLOSURE_POLICIES)
+    .map(([id, policy]) => `<option value="${id}">${policy.name}</option>`).join('');
+
+  // The statement the export will carry, worked out from the text as it is now
+  function currentDisclosure() {
+    const provenance = provenanceReport(buildTextIndex().text);
+    return {
+      provenance,
+      policy: disclosurePolicy.value,
+      statement: disclosureStatement(provenance, disclosurePolicy.value, disclosureTemplate.value),
+      assisted: provenance.aiParagraphs > 0
+    };
+  }
+
+  function renderDisclosurePreview() {
+    const custom = disclosurePolicy.value === 'custom';
+    disclosureTemplate.classList.toggle('hidden', !custom);
+    disclosureTemplateHelp.classList.toggle('hidden', !custom);
+    const { statement } = currentDisclosure();
+    disclosurePreview.textContent = statement || 'Exports will not include a disclosure.';
+    disclosurePreview.classList.toggle('italic', !statement);
+  }
+
+  function saveDisclosurePreferences() {
+    try {
+      localStorage.setItem(DISCLOSURE_POLICY_KEY, disclosurePolicy.value);
+      localStorage.setItem(DISCLOSURE_TEMPLATE_KEY, disclosureTemplate.value);
+      localStorage.setItem(DISCLOSURE_MANIFEST_KEY, exportManifestToggle.checked ? '1' : '0');
+    } catch (e) {
+      // Preference is optional
+    }
+  }
+
+  [disclosurePolicy, disclosureTemplate].forEach(control => {
+    control.addEventListener(control === disclosureTemplate ? 'input' : 'change', () => {
+      saveDisclosurePreferences();
+      renderDisclosurePreview();
+    });
+  });
+  exportManifestToggle.addEventListener('change', saveDisclosurePreferences);
+
+  try {
+    disclosurePolicy.value = localStorage.getItem(DISCLOSURE_POLICY_KEY) || 'general';
+    disclosureTemplate.value = localStorage.getItem(DISCLOSURE_TEMPLATE_KEY) || DEFAULT_DISCLOSURE_TEMPLATE;
+    exportManifestToggle.checked = localStorage.getItem(DISCLOSURE_MANIFEST_KEY) === '1';
+  } catch (e) {
+    // Preference is optional
+  }
+  if (!disclosurePolicy.value) disclosurePolicy.value = 'general';
+
+  // The analysis of the text being exported, as titled sections of
+  // label/value rows and list items that each format lays out its own way
+  function buildExportReport() {
+    const text = buildTextIndex().text;
+    const issues = collectIssues(text);
+    const scores = calculateScores(text, issues);
+    if (!scores) return null;
+
+    const sections = [{
+      title: 'Scores',
+      rows: [
+        ['Overall', `${scores.overall}/100`],
+        ['Readability', `${scores.readability}/100`],
+        ['Clarity', `${scores.clarity}/100`],
+        ['Engagement', `${scores.engagement}/100`],
+        ['Grammar', `${scores.grammar}/100`]
+      ]
+    }];
+
+    const formulas = scores.formulas;
+    if (formulas) {
+      sections.push({
+        title: 'Reading level',
+        rows: [
+          ['Consensus', `${formulas.consensus} · ${gradeLabel(formulas.consensus)}`],
+          ...formulas.formulas.map(formula => [formula.name, formula.value === null ? formula.label : `${formula.value} · ${formula.label}`]),
+          ['Hard sentences', `${formulas.hard} hard, ${formulas.veryHard} very hard of ${formulas.sentences}`]
+        ]
+      });
+    }
+
+    const tones = analyzeTone(text);
+    if (tones) {
+      sections.push({
+        title: 'Tone',
+        rows: Object.entries(tones)
+          .filter(([, value]) => value > 0)
+          .sort((a, b) => b[1] - a[1])
+          .map(([tone, value]) => [tone, `${value}%`])
+      });
+    }
+
+    const sentiment = scores.sentiment;
+    if (sentiment) {
+      sections.push({
+        title: 'Sentiment',
+        rows: [
+          ['Overall', `${sentiment.label} (${sentiment.compound > 0 ? '+' : ''}${sentiment.compound.toFixed(2)})`],
+          ['Sentences', `${sentiment.positive} positive, ${sentiment.neutral} neutral, ${sentiment.negative} negative`],
+          ...sentiment.inclusive.filter(kind => kind.count > 0).map(kind => [kind.name, String(kind.count)])
+        ]
+      });
+    }
+
+    const categories = new Map();
+    issues.forEach(issue => categories.set(issue.category, (categories.get(issue.category) || 0) + 1));
+    sections.push({
+      title: 'Suggestions',
+      rows: [['Total', String(issues.length)], ...[...categories].sort((a, b) => b[1] - a[1]).map(([category, count]) => [category, String(count)])],
+      items: issues.slice(0, REPORT_SUGGESTION_LIMIT).map(issue => `${issue.category}: "${issue.text}" — ${issue.message}`),
+      more: Math.max(0, issues.length - REPORT_SUGGESTION_LIMIT)
+    });
+
+    return { date: new Date().toLocaleString(), sections };
+  }
+
+  function moreSuggestions(section) {
+    return `…and ${section.more} more suggestion${section.more !== 1 ? 's' : ''}`;
+  }
+
+  function reportText(report) {
+    const lines = ['', '', 'Analysis Report', '---------------', `Generated by DraftWise on ${report.date}`];
+    report.sections.forEach(section => {
+      lines.push('', section.title);
+      section.rows.forEach(([label, value]) => lines.push(`  ${label}: ${value}`));
+      (section.items || []).forEach(item => lines.push(`  - ${item}`));
+      if (section.more) lines.push(`  ${moreSuggestions(section)}`);
+    });
+    return lines.join('\n');
+  }
+
+  function reportMarkdown(report) {
+    const cell = (value) => escapeMarkdownText(value).replace(/\|/g, '\\|');
+    const parts = ['', '', '## Analysis report', '', `*Generated by DraftWise on ${escapeMarkdownText(report.date)}*`];
+    report.sections.forEach(section => {
+      parts.push('', `### ${section.title}`, '', '| Measure | Value |', '| --- | --- |');
+      section.rows.forEach(([label, value]) => parts.push(`| ${cell(label)} | ${cell(value)} |`));
+      if (section.items && section.items.length > 0) {
+        parts.push('');
+        section.items.forEach(item => parts.push(`- ${escapeMarkdownText(item)}`));
+      }
+      if (section.more) parts.push('', moreSuggestions(section));
+    });
+    return parts.join('\n');
+  }
+
+  function reportHtml(report) {
+    return `
+  <section class="analysis-report">
+    <h2>Analysis report</h2>
+    <p class="report-date">Generated by DraftWise on ${escapeHtml(report.date)}</p>
+    ${report.sections.map(section => `
+    <h3>${escapeHtml(section.title)}</h3>
+    <table>
+      <tbody>${section.rows.map(([label, value]) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</tbody>
+    </table>${section.items && section.items.length > 0 ? `
+    <ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}${section.more ? `
+    <p>${moreSuggestions(section)}</p>` : ''}`).join('')}
+  </section>`;
+  }
+
+  // A standalone page with the editor's markup, styled for screen and
+  // print so the same file backs the HTML and PDF exports
+  function exportHtmlDocument(title, report, disclosure) {
+    return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
@@ -1085,39 +3639,353 @@
   <style>
     body { font-family: 'Georgia', serif; max-width: 680px; margin: 2rem auto; padding: 0 1rem; line-height: 1.7; color: #333; }
     h1 { font-size: 2rem; margin-bottom: 1.5rem; }
+    h1, h2, h3, h4, h5, h6 { line-height: 1.3; color: #111; }
+    a { color: #4263eb; }
+    blockquote { margin: 1rem 0; padding-left: 1rem; border-left: 3px solid #d1d5db; color: #555; font-style: italic; }
+    code { font-family: 'SFMono-Regular', Menlo, Consolas, monospace; font-size: 0.875em; background: #f1f3f5; padding: 1px 4px; border-radius: 4px; }
+    pre { background: #f1f3f5; padding: 0.75rem 1rem; border-radius: 6px; overflow-x: auto; line-height: 1.5; }
+    pre code { background: none; padding: 0; }
+    table { border-collapse: collapse; margin: 1rem 0; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 10px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    hr { border: none; border-top: 1px solid #e5e7eb; margin: 2rem 0; }
+    li.task-list-item { list-style: none; }
+    img { max-width: 100%; }
+    .analysis-report { margin-top: 3rem; padding-top: 1rem; border-top: 1px solid #e5e7eb; font-family: -apple-system, 'Segoe UI', sans-serif; font-size: 0.875rem; }
+    .analysis-report table { width: 100%; }
+    .analysis-report th { width: 40%; font-weight: 500; }
+    .report-date { color: #6b7280; }
     .ai-disclosure { margin-top: 3rem; padding: 1rem; border-top: 1px solid #e5e7eb; font-size: 0.85rem; color: #6b7280; }
     .ai-badge { display: inline-flex; align-items: center; gap: 4px; background: #f0f4ff; color: #4263eb; padding: 2px 8px; border-radius: 12px; font-size: 0.75rem; font-weight: 600; margin-bottom: 8px; }
+    @page { margin: 2cm; }
+    @media print {
+      body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+      a { color: inherit; }
+      h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+      pre, blockquote, table, img { break-inside: avoid; }
+      .analysis-report { break-before: page; border-top: none; }
+      .ai-badge { border: 1px solid #4263eb; }
+    }
   </style>
 </head>
 <body>
   <h1>${escapeHtml(title)}</h1>
-  ${editor.innerHTML}
-  <div class="ai-disclosure">
-    <div class="ai-badge">⚡ AI-Assisted</div>
-    <p>This document was drafted with AI-assisted writing tools (DraftWise). AI algorithms were used to analyze and suggest improvements to the text. All content has been reviewed and approved by the author.</p>
-  </div>
+  ${getCleanHTML()}${report ? reportHtml(report) : ''}${disclosure.statement ? `
+  <div class="ai-disclosure">${disclosure.assisted ? `
+    <div class="ai-badge">⚡ AI-Assisted</div>` : ''}
+    <p>${escapeHtml(disclosure.statement)}</p>
+  </div>` : ''}
 </body>
 </html>`;
-          mimeType = 'text/html';
-          extension = 'html';
-          break;
-      }
+  }
+
+  // Prints through a hidden frame, where the browser's print dialog
+  // offers "Save as PDF" and the page's print stylesheet applies
+  function printDocument(html) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+    frame.addEventListener('load', () => {
+      frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+    });
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  }
+
+  document.querySelectorAll('.export-option').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const format = btn.dataset.export;
+      const title = docTitle.value || 'Untitled Document';
+      const report = exportReportToggle.checked ? buildExportReport() : null;
+      const disclosure = currentDisclosure();
+      const footer = disclosure.statement ? `\n\n---\n${disclosure.statement}` : '';
+      const filename = slugify(title);
 
-      // Download
-      const blob = new Blob([output], { type: mimeType });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${title.replace(/[^a-zA-Z0-9\s-]/g, '').replace(/\s+/g, '-').toLowerCase()}.${extension}`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      let file = null;
+      switch (format) {
+        case 'txt':
+          file = { name: `${filename}.txt`, content: `${title}\n${'='.repeat(title.length)}\n\n${buildTextIndex(null, { literal: true }).text}${report ? reportText(report) : ''}${footer}`, type: 'text/plain' };
+          break;
+        case 'md':
+          file = { name: `${filename}.md`, content: `# ${title}\n\n${getMarkdown()}${report ? reportMarkdown(report) : ''}${footer}`, type: 'text/markdown' };
+          break;
+        case 'html':
+          file = { name: `${filename}.html`, content: exportHtmlDocument(title, report, disclosure), type: 'text/html' };
+          break;
+        case 'docx':
+          file = { name: `${filename}.docx`, content: buildDocx(title, report, disclosure) };
+          break;
+        case 'pdf':
+          printDocument(exportHtmlDocument(title, report, disclosure));
+          break;
+      }
+      if (file) downloadFile(file.name, file.content, file.type);
 
       exportModal.classList.add('hidden');
+      if (exportManifestToggle.checked) {
+        const manifest = await disclosureManifest(disclosure.provenance, disclosure.statement, disclosure.policy, file);
+        downloadFile(`${filename}.disclosure.json`, manifest, 'application/json');
+      }
     });
   });
 
+  // ─── Word Export ───────────────────────────────────────────
+  // A .docx file is a zip of WordprocessingML parts. Editor blocks become
+  // paragraphs with Word's built-in styles, lists become numbering
+  // instances and links become external relationships, so the document
+  // opens with real headings, lists and tables in Word, Pages or Docs.
+  const WORD_NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  // Sizes in half-points, indents and widths in twentieths of a point
+  const WORD_HEADING_SIZES = [40, 32, 28, 26, 24, 22];
+  const WORD_LIST_INDENT = 720;
+  const WORD_TEXT_WIDTH = 9360;
+  const WORD_BULLETS = ['•', '◦', '▪'];
+  const WORD_NUMBER_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+  const WORD_RUN_TAGS = {
+    B: { bold: true }, STRONG: { bold: true }, I: { italic: true }, EM: { italic: true },
+    U: { underline: true }, INS: { underline: true }, S: { strike: true }, DEL: { strike: true }, STRIKE: { strike: true },
+    CODE: { style: 'InlineCode' }, KBD: { style: 'InlineCode' }, SAMP: { style: 'InlineCode' },
+    MARK: { highlight: true }, SUB: { vertAlign: 'subscript' }, SUP: { vertAlign: 'superscript' }
+  };
+  const WORD_BLOCK_TAGS = new Set(['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'TABLE', 'HR', 'SECTION', 'ARTICLE', 'FIGURE']);
+
+  function escapeXml(text) {
+    return String(text)
+      // Control characters are not allowed anywhere in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Run properties must follow the schema's element order
+  function wordRun(text, format) {
+    const props = [];
+    if (format.style) props.push(`<w:rStyle w:val="${format.style}"/>`);
+    if (format.bold) props.push('<w:b/>');
+    if (format.italic) props.push('<w:i/>');
+    if (format.strike) props.push('<w:strike/>');
+    if (format.highlight) props.push('<w:highlight w:val="yellow"/>');
+    if (format.underline) props.push('<w:u w:val="single"/>');
+    if (format.vertAlign) props.push(`<w:vertAlign w:val="${format.vertAlign}"/>`);
+    return `<w:r>${props.length > 0 ? `<w:rPr>${props.join('')}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+  }
+
+  function wordRuns(nodes, format, word) {
+    return nodes.map((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        // HTML collapses source whitespace; non-breaking spaces stay
+        const text = node.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+        return text ? wordRun(text, format) : '';
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+      if (node.tagName === 'BR') return '<w:r><w:br/></w:r>';
+      if (node.tagName === 'IMG') return node.alt ? wordRun(`[${node.alt}]`, format) : '';
+      if (node.tagName === 'INPUT') return node.type === 'checkbox' ? wordRun(node.hasAttribute('checked') ? '☒ ' : '☐ ', format) : '';
+      const href = node.tagName === 'A' ? node.getAttribute('href') : '';
+      if (href && !UNSAFE_URL.test(href) && !format.link) {
+        word.links.push(href);
+        const runs = wordRuns([...node.childNodes], { ...format, style: 'Hyperlink', link: true }, word);
+        return `<w:hyperlink r:id="rId${word.links.length + 2}">${runs}</w:hyperlink>`;
+      }
+      return wordRuns([...node.childNodes], { ...format, ...WORD_RUN_TAGS[node.tagName] }, word);
+    }).join('');
+  }
+
+  // Paragraph properties, also in schema order. The first paragraph of a
+  // list item carries its number; later ones only line up with it.
+  function wordParagraphProps(style, context) {
+    const props = [];
+    if (style) props.push(`<w:pStyle w:val="${style}"/>`);
+    if (context.item && !context.item.numbered) {
+      props.push(`<w:numPr><w:ilvl w:val="${context.item.level}"/><w:numId w:val="${context.item.numId}"/></w:numPr>`);
+      context.item.numbered = true;
+    } else if (context.item) {
+      props.push(`<w:ind w:left="${WORD_LIST_INDENT * (context.item.level + 1)}"/>`);
+    }
+    if (context.align) props.push(`<w:jc w:val="${context.align}"/>`);
+    return props.length > 0 ? `<w:pPr>${props.join('')}</w:pPr>` : '';
+  }
+
+  function wordParagraph(runs, style, context) {
+    return `<w:p>${wordParagraphProps(style, context)}${runs}</w:p>`;
+  }
+
+  function wordList(list, word, context) {
+    const ordered = list.tagName === 'OL';
+    const level = context.item ? Math.min(8, context.item.level + 1) : 0;
+    let numId = 1;
+    if (ordered) {
+      // Each ordered list restarts its count through its own instance
+      word.lists.push({ level, start: parseInt(list.getAttribute('start'), 10) || 1 });
+      numId = word.lists.length + 1;
+    }
+    return [...list.children].filter(child => child.tagName === 'LI').flatMap((li) => {
+      // Task items show their checkbox instead of a bullet
+      const item = { level, numId, numbered: li.classList.contains('task-list-item') };
+      return wordBlocks(li, word, { ...context, style: 'ListParagraph', item });
+    });
+  }
+
+  function wordTable(table, word, context) {
+    const rows = [...table.rows];
+    const span = (cell) => Math.max(1, cell.colSpan || 1);
+    const columns = Math.max(1, ...rows.map(row => [...row.cells].reduce((total, cell) => total + span(cell), 0)));
+    const width = Math.floor(WORD_TEXT_WIDTH / columns);
+    const xml = rows.map((row) => {
+      const header = row.parentElement.tagName === 'THEAD' || [...row.cells].every(cell => cell.tagName === 'TH');
+      const cells = [...row.cells].map((cell) => {
+        const align = { center: 'center', right: 'right' }[cell.style.textAlign || cell.getAttribute('align')];
+        const cellContext = { format: cell.tagName === 'TH' ? { bold: true } : {}, align };
+        const blocks = wordBlocks(cell, word, cellContext);
+        return `<w:tc><w:tcPr><w:tcW w:w="${width * span(cell)}" w:type="dxa"/>${span(cell) > 1 ? `<w:gridSpan w:val="${span(cell)}"/>` : ''}</w:tcPr>${blocks.join('') || wordParagraph('', '', cellContext)}</w:tc>`;
+      }).join('');
+      return `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+    }).join('');
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr><w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>${xml}</w:tbl>`;
+  }
+
+  // Block elements become paragraphs or tables; loose inline content
+  // between them is gathered into paragraphs of its own
+  function wordBlocks(container, word, context) {
+    const blocks = [];
+    const format = context.format || {};
+    let inline = [];
+    const flush = () => {
+      if (inline.some(node => node.nodeType === Node.ELEMENT_NODE || node.nodeValue.trim())) {
+        blocks.push(wordParagraph(wordRuns(inline, format, word), context.style, context));
+      }
+      inline = [];
+    };
+
+    [...container.childNodes].forEach((node) => {
+      if (node.nodeType !== Node.ELEMENT_NODE || !WORD_BLOCK_TAGS.has(node.tagName)) {
+        inline.push(node);
+        return;
+      }
+      flush();
+      const tag = node.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        blocks.push(wordParagraph(wordRuns([...node.childNodes], format, word), `Heading${tag[1]}`, context));
+      } else if (tag === 'UL' || tag === 'OL') {
+        blocks.push(...wordList(node, word, context));
+      } else if (tag === 'BLOCKQUOTE') {
+        blocks.push(...wordBlocks(node, word, { ...context, style: 'Quote' }));
+      } else if (tag === 'PRE') {
+        const lines = node.textContent.replace(/\n$/, '').replace(/\t/g, '    ').split('\n');
+        blocks.push(wordParagraph(lines.map(line => wordRun(line, {})).join('<w:r><w:br/></w:r>'), 'Code', context));
+      } else if (tag === 'TABLE') {
+        blocks.push(wordTable(node, word, context));
+      } else if (tag === 'HR') {
+        blocks.push('<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr></w:pPr></w:p>');
+      } else if ([...node.children].some(child => WORD_BLOCK_TAGS.has(child.tagName))) {
+        blocks.push(...wordBlocks(node, word, context));
+      } else {
+        blocks.push(wordParagraph(wordRuns([...node.childNodes], format, word), context.style, context));
+      }
+    });
+    flush();
+    return blocks;
+  }
+
+  function wordNumbering(lists) {
+    const levels = (bullet) => Array.from({ length: 9 }, (_, level) => `
+    <w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${bullet ? 'bullet' : WORD_NUMBER_FORMATS[level % 3]}"/><w:lvlText w:val="${bullet ? WORD_BULLETS[level % 3] : `%${level + 1}.`}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${WORD_LIST_INDENT * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`).join('');
+    return `${XML_DECLARATION}<w:numbering ${WORD_NAMESPACES}>
+  <w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}
+  </w:abstractNum>
+  <w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>${lists.map((list, i) => `
+  <w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start}"/></w:lvlOverride></w:num>`).join('')}
+</w:numbering>`;
+  }
+
+  function wordStyles() {
+    const headings = WORD_HEADING_SIZES.map((size, i) => `
+  <w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:color w:val="111111"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`).join('');
+    return `${XML_DECLARATION}<w:styles ${WORD_NAMESPACES}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Georgia" w:hAnsi="Georgia" w:eastAsia="Georgia" w:cs="Georgia"/><w:color w:val="333333"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="360"/></w:pPr><w:rPr><w:b/><w:color w:val="111111"/><w:sz w:val="48"/><w:szCs w:val="48"/></w:rPr></w:style>${headings}
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D1D5DB"/></w:pBdr><w:ind w:left="360"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F1F3F5"/><w:spacing w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Disclosure"><w:name w:val="Disclosure"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:top w:val="single" w:sz="4" w:space="8" w:color="E5E7EB"/></w:pBdr><w:spacing w:before="480"/></w:pPr><w:rPr><w:color w:val="6B7280"/><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="InlineCode"><w:name w:val="Inline Code"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:shd w:val="clear" w:color="auto" w:fill="F1F3F5"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="4263EB"/><w:u w:val="single"/></w:rPr></w:style>
+  <w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:pPr><w:spacing w:after="0"/></w:pPr><w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>`).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+  }
+
+  function buildDocx(title, report, disclosure) {
+    const word = { links: [], lists: [] };
+    const container = document.createElement('div');
+    container.innerHTML = getCleanHTML() + (report ? reportHtml(report) : '');
+    const body = [
+      wordParagraph(wordRun(title, {}), 'Title', {}),
+      ...wordBlocks(container, word, {}),
+      ...(disclosure.statement ? [wordParagraph(wordRun(disclosure.statement, {}), 'Disclosure', {})] : [])
+    ];
+    const created = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    return createZip([
+      {
+        name: '[Content_Types].xml',
+        content: `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+      },
+      {
+        name: '_rels/.rels',
+        content: `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+      },
+      {
+        name: 'docProps/core.xml',
+        content: `${XML_DECLARATION}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(title)}</dc:title>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${created}</dcterms:modified>
+</cp:coreProperties>`
+      },
+      {
+        name: 'word/_rels/document.xml.rels',
+        content: `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>${word.links.map((href, i) => `
+  <Relationship Id="rId${i + 3}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`).join('')}
+</Relationships>`
+      },
+      { name: 'word/styles.xml', content: wordStyles() },
+      { name: 'word/numbering.xml', content: wordNumbering(word.lists) },
+      {
+        name: 'word/document.xml',
+        content: `${XML_DECLARATION}<w:document ${WORD_NAMESPACES}>
+  <w:body>
+    ${body.join('\n    ')}
+    <w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+  </w:body>
+</w:document>`
+      }
+    ], DOCX_MIME);
+  }
+
   // ─── Keyboard Shortcuts ────────────────────────────────────
   document.addEventListener('keydown', (e) => {
     if ((e.metaKey || e.ctrlKey) && e.key === 'Enter') {
@@ -1126,55 +3994,4333 @@
     }
     if (e.key === 'Escape') {
       exportModal.classList.add('hidden');
+      libraryDrawer.classList.add('hidden');
+      historyModal.classList.add('hidden');
+      rulesModal.classList.add('hidden');
+      profilesModal.classList.add('hidden');
+      dictionaryModal.classList.add('hidden');
+      providerModal.classList.add('hidden');
+      customToolsModal.classList.add('hidden');
+      goalsModal.classList.add('hidden');
     }
   });
 
-  // ─── Auto-save to localStorage ─────────────────────────────
-  const STORAGE_KEY = 'draftwise_document';
+  // ─── File Helpers ──────────────────────────────────────────
+  function slugify(text) {
+    return text.replace(/[^a-zA-Z0-9\s-]/g, '').replace(/\s+/g, '-').toLowerCase() || 'untitled';
+  }
 
-  function saveToStorage() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify({
-        title: docTitle.value,
-        content: editor.innerHTML,
-        tone: toneSelect.value,
-        timestamp: Date.now()
-      }));
-    } catch (e) {
-      // localStorage might be full or unavailable
+  function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c;
+      }
     }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
   }
 
-  function loadFromStorage() {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const data = JSON.parse(saved);
-        if (data.content) {
-          editor.innerHTML = data.content;
-          docTitle.value = data.title || 'Untitled Document';
-          toneSelect.value = data.tone || 'professional';
-          updateStats();
+  // Packs { name, content } entries into a zip archive. Entries are stored
+  // uncompressed, which every zip reader accepts and keeps this small.
+  function createZip(files, mimeType) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+      const name = encoder.encode(file.name);
+      const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      // Names are UTF-8
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      directory.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const size = directory.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...directory, end], { type: mimeType });
+  }
+
+  // ─── Markdown ──────────────────────────────────────────────
+  // Converts between Markdown (CommonMark plus the GFM tables, task lists,
+  // strikethrough and bare links) and the editor's HTML. Raw HTML in
+  // Markdown stays text, apart from the few inline tags Markdown has no
+  // syntax of its own for, so nothing pasted or opened can run script.
+  const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+  const MARKDOWN_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const MARKDOWN_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const MARKDOWN_SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+  const MARKDOWN_QUOTE = /^ {0,3}> ?/;
+  const MARKDOWN_LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*)|$)/;
+  const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const MARKDOWN_DEFINITION = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+  const MARKDOWN_TAGS = /<\/?(?:u|sub|sup|mark)>|<br\s*\/?>/gi;
+  const UNSAFE_URL = /^\s*(?:javascript|vbscript|data):/i;
+  // Plain text that is probably Markdown: headings, fences, quotes, tables,
+  // bold text, links or a run of list items
+  const MARKDOWN_SIGNS = /^ {0,3}(?:#{1,6}[ \t]|```|~~~|>[ \t]|\|.*\|[ \t]*$)|\*\*[^*\n]+\*\*|\[[^\]\n]+\]\([^)\s]+\)|^ {0,3}(?:[-*+]|\d+[.)])[ \t].*\n {0,3}(?:[-*+]|\d+[.)])[ \t]/m;
+
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  function referenceKey(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  function renderMarkdownInline(text, refs) {
+    // Finished HTML is parked behind private-use placeholders so later
+    // passes never touch it
+    const stash = [];
+    const hold = html => `\uE000${stash.push(html) - 1}\uE001`;
+    const restore = (html) => {
+      while (/\uE000/.test(html)) html = html.replace(/\uE000(\d+)\uE001/g, (m, n) => stash[n]);
+      return html;
+    };
+    const spans = html => escapeHtml(html)
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>');
+    const link = (label, href, title, image) => {
+      if (UNSAFE_URL.test(href)) return hold(image ? '' : spans(label));
+      const titleAttr = title ? ` title="${escapeAttribute(title)}"` : '';
+      if (image) {
+        const alt = restore(spans(label)).replace(/<[^>]*>/g, '').replace(/"/g, '&quot;');
+        return hold(`<img src="${escapeAttribute(href)}" alt="${alt}"${titleAttr}>`);
+      }
+      return hold(`<a href="${escapeAttribute(href)}"${titleAttr}>${spans(label)}</a>`);
+    };
+
+    const html = text
+      // Nothing inside a code span is Markdown
+      .replace(/(?<!`)(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => {
+        const content = code.replace(/\n/g, ' ');
+        return hold(`<code>${escapeHtml(/^ [\s\S]*\S[\s\S]* $/.test(content) ? content.slice(1, -1) : content)}</code>`);
+      })
+      .replace(/(?:\\| {2,})\n/g, () => hold('<br>'))
+      .replace(/[ \t]*\n[ \t]*/g, ' ')
+      .replace(/\\([!-/:-@[-`{-~])/g, (m, char) => hold(escapeHtml(char)))
+      .replace(MARKDOWN_TAGS, tag => hold(/^<br/i.test(tag) ? '<br>' : tag.toLowerCase()))
+      .replace(/(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\]\([ \t]*(<[^<>]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*\)/g,
+        (m, image, label, href, title) => link(label, href.replace(/^<([\s\S]*)>$/, '$1'), title ? title.slice(1, -1) : '', image))
+      .replace(/(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\](?:\[([^\]]*)\])?/g, (m, image, label, ref) => {
+        const definition = refs[referenceKey(ref || label)];
+        return definition ? link(label, definition.href, definition.title, image) : m;
+      })
+      .replace(/<((?:https?|ftp|mailto):[^\s<>]+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)>/gi, (m, url) => {
+        const href = /^[a-z]+:/i.test(url) ? url : `mailto:${url}`;
+        return hold(`<a href="${escapeAttribute(href)}">${escapeHtml(url)}</a>`);
+      })
+      .replace(/(^|[\s(*_~])((?:https?:\/\/|www\.)[^\s<\uE000]*[^\s<\uE000.,:;"')\]!?*_~])/g, (m, before, url) => {
+        const href = url.startsWith('www.') ? `http://${url}` : url;
+        return before + hold(`<a href="${escapeAttribute(href)}">${escapeHtml(url)}</a>`);
+      });
+    return restore(spans(html));
+  }
+
+  function splitTableRow(line) {
+    const row = line.trim().replace(/^\|/, '');
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+      if (row[i] === '\\' && row[i + 1] === '|') {
+        cell += '|';
+        i++;
+      } else if (row[i] === '|') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += row[i];
+      }
+    }
+    if (cell.trim() || !row.endsWith('|')) cells.push(cell.trim());
+    return cells;
+  }
+
+  function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('|')
+      && MARKDOWN_TABLE_DELIMITER.test(lines[i + 1])
+      && splitTableRow(lines[i]).length === splitTableRow(lines[i + 1]).length;
+  }
+
+  // List items only break into a paragraph when they can't be mistaken
+  // for a wrapped line, as in "in 1984. That year"
+  function interruptsParagraph(line) {
+    const item = line.match(MARKDOWN_LIST_ITEM);
+    if (item && item[4] && /^(?:[-*+]|1[.)])$/.test(item[2])) return true;
+    return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line) || MARKDOWN_QUOTE.test(line);
+  }
+
+  function parseMarkdownList(lines, i, refs) {
+    const first = lines[i].match(MARKDOWN_LIST_ITEM);
+    const ordered = /\d/.test(first[2]);
+    const delimiter = first[2].slice(-1);
+    const items = [];
+    let loose = false;
+
+    while (i < lines.length) {
+      const match = lines[i].match(MARKDOWN_LIST_ITEM);
+      if (!match || match[2].slice(-1) !== delimiter || /\d/.test(match[2]) !== ordered || MARKDOWN_RULE.test(lines[i])) break;
+      // Item content lines up after the marker; more than four spaces
+      // starts indented code inside the item
+      const spaces = match[3] ? match[3].length : 1;
+      const indent = match[1].length + match[2].length + (spaces > 4 ? 1 : spaces);
+      const body = [lines[i].slice(indent)];
+      i++;
+      while (i < lines.length) {
+        const line = lines[i];
+        const previous = body[body.length - 1];
+        if (!line.trim()) {
+          body.push('');
+        } else if (line.length - line.trimStart().length >= indent) {
+          if (!previous.trim() && body.length > 1 && !/^\s/.test(line.slice(indent)) && !MARKDOWN_LIST_ITEM.test(line.slice(indent))) loose = true;
+          body.push(line.slice(indent));
+        } else if (previous.trim() && !interruptsParagraph(line) && !MARKDOWN_LIST_ITEM.test(line)) {
+          // A lazy continuation of the item's paragraph
+          body.push(line.trim());
+        } else {
+          break;
+        }
+        i++;
+      }
+      let trailingBlank = false;
+      while (body.length > 1 && !body[body.length - 1].trim()) {
+        body.pop();
+        trailingBlank = true;
+      }
+      items.push(body);
+      const next = i < lines.length && lines[i].match(MARKDOWN_LIST_ITEM);
+      if (trailingBlank && next && next[2].slice(-1) === delimiter) loose = true;
+    }
+
+    const html = items.map((body) => {
+      const task = body[0].match(/^\[([ xX])\][ \t]+/);
+      if (task) body[0] = body[0].slice(task[0].length);
+      const blocks = parseMarkdownBlocks(body, refs);
+      let content = loose ? blocks.join('') : blocks.map(block => block.replace(/^<p>([\s\S]*)<\/p>$/, '$1')).join('');
+      if (!task) return `<li>${content}</li>`;
+      const checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+      content = content.startsWith('<p>') ? `<p>${checkbox}${content.slice(3)}` : checkbox + content;
+      return `<li class="task-list-item">${content}</li>`;
+    }).join('');
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    return { html: `<${tag}${start !== 1 ? ` start="${start}"` : ''}>${html}</${tag}>`, next: i };
+  }
+
+  // Returns each block's HTML; `starts`, when given, receives the index
+  // of each block's first line
+  function parseMarkdownBlocks(lines, refs, starts) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+      if (starts) starts.push(i);
+
+      const fence = line.match(MARKDOWN_FENCE);
+      if (fence) {
+        const indent = line.length - line.trimStart().length;
+        const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` class="language-${escapeAttribute(fence[2])}"` : '';
+        blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = line.match(MARKDOWN_HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${renderMarkdownInline(heading[2] || '', refs)}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (MARKDOWN_RULE.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (MARKDOWN_QUOTE.test(line)) {
+        const body = [];
+        while (i < lines.length && lines[i].trim()) {
+          if (MARKDOWN_QUOTE.test(lines[i])) {
+            body.push(lines[i].replace(MARKDOWN_QUOTE, ''));
+          } else if (body[body.length - 1].trim() && !interruptsParagraph(lines[i])) {
+            body.push(lines[i]);
+          } else {
+            break;
+          }
+          i++;
+        }
+        blocks.push(`<blockquote>${parseMarkdownBlocks(body, refs).join('')}</blockquote>`);
+        continue;
+      }
+
+      if (MARKDOWN_LIST_ITEM.test(line)) {
+        const list = parseMarkdownList(lines, i, refs);
+        blocks.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      if (/^ {4}/.test(line)) {
+        const code = [];
+        while (i < lines.length && (/^ {4}/.test(lines[i]) || !lines[i].trim())) {
+          code.push(lines[i].slice(4));
+          i++;
+        }
+        while (!code[code.length - 1].trim()) code.pop();
+        blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      if (isTableStart(lines, i)) {
+        const header = splitTableRow(line);
+        const align = splitTableRow(lines[i + 1]).map((cell) => {
+          if (/^:-+:$/.test(cell)) return 'center';
+          if (/^:/.test(cell)) return 'left';
+          return /:$/.test(cell) ? 'right' : '';
+        });
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].trim() && !interruptsParagraph(lines[i])) {
+          rows.push(splitTableRow(lines[i]));
+          i++;
+        }
+        const cell = (tag, text, j) => `<${tag}${align[j] ? ` style="text-align: ${align[j]}"` : ''}>${renderMarkdownInline(text || '', refs)}</${tag}>`;
+        const body = rows.length ? `<tbody>${rows.map(row => `<tr>${header.map((_, j) => cell('td', row[j], j)).join('')}</tr>`).join('')}</tbody>` : '';
+        blocks.push(`<table><thead><tr>${header.map((text, j) => cell('th', text, j)).join('')}</tr></thead>${body}</table>`);
+        continue;
+      }
+
+      // A paragraph, which an underline of = or - turns into a heading
+      const paragraph = [line.trimStart()];
+      let level = 0;
+      i++;
+      while (i < lines.length && lines[i].trim()) {
+        const setext = lines[i].match(MARKDOWN_SETEXT);
+        if (setext) {
+          level = setext[1][0] === '=' ? 1 : 2;
+          i++;
+          break;
+        }
+        if (interruptsParagraph(lines[i]) || isTableStart(lines, i)) break;
+        paragraph.push(lines[i].trimStart());
+        i++;
+      }
+      const content = renderMarkdownInline(paragraph.join('\n').trimEnd(), refs);
+      blocks.push(level ? `<h${level}>${content}</h${level}>` : `<p>${content}</p>`);
+    }
+    return blocks;
+  }
+
+  // Splits Markdown into the lines blocks are parsed from and the link
+  // reference definitions, which can appear anywhere outside code.
+  // `sourceLines` maps each body line back to its line in the source.
+  function readMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const refs = {};
+    const body = [];
+    const sourceLines = [];
+    let closing = null;
+    lines.forEach((line, n) => {
+      const definition = !closing && line.match(MARKDOWN_DEFINITION);
+      if (closing) {
+        if (closing.test(line)) closing = null;
+      } else {
+        const fence = line.match(MARKDOWN_FENCE);
+        if (fence) closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`);
+      }
+      if (definition) {
+        const key = referenceKey(definition[1]);
+        if (!(key in refs)) refs[key] = { href: definition[2], title: definition[3] || definition[4] || definition[5] || '' };
+        return;
+      }
+      body.push(line);
+      sourceLines.push(n);
+    });
+    return { body, sourceLines, refs };
+  }
+
+  // `sharedRefs` resolves reference links defined elsewhere in a document
+  function markdownToHtml(markdown, sharedRefs = {}) {
+    const { body, refs } = readMarkdown(markdown);
+    return parseMarkdownBlocks(body, { ...refs, ...sharedRefs }).join('');
+  }
+
+  // Each top-level block with the source lines it was written on, from
+  // `start` up to but not including `end`
+  function markdownSourceBlocks(markdown) {
+    const { body, sourceLines, refs } = readMarkdown(markdown);
+    const starts = [];
+    return parseMarkdownBlocks(body, refs, starts).map((html, k) => {
+      let last = (k + 1 < starts.length ? starts[k + 1] : body.length) - 1;
+      while (last > starts[k] && !body[last].trim()) last--;
+      return { html, start: sourceLines[starts[k]], end: sourceLines[last] + 1 };
+    });
+  }
+
+  function plainTextToHtml(text) {
+    return text.replace(/\r\n?/g, '\n').split(/\n{2,}/)
+      .filter(paragraph => paragraph.trim())
+      .map(paragraph => `<p>${paragraph.trim().split('\n').map(escapeHtml).join('<br>')}</p>`)
+      .join('');
+  }
+
+  function escapeMarkdownText(text) {
+    return text
+      .replace(/[\\`*[\]]/g, '\\$&')
+      .replace(/~~/g, '\\~\\~')
+      .replace(/<(?=[A-Za-z/])/g, '\\<')
+      .replace(/(^|[^\p{L}\p{N}\\])_|_(?![\p{L}\p{N}])/gu, match => match.replace('_', '\\_'));
+  }
+
+  // Text at the start of a line that would otherwise begin a block
+  function escapeLineStart(line) {
+    return line
+      .replace(/^-(?=(?:[ \t]*-){2,}[ \t]*$)/, '\\-')
+      .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+      .replace(/^(#{1,6}(?=\s|$)|[-+](?=\s|$)|>|=+[ \t]*$)/, '\\$1');
+  }
+
+  function wrapMarkdown(text, mark) {
+    const [, before, content, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return content ? `${before}${mark}${content}${mark}${after}` : text;
+  }
+
+  function markdownCodeSpan(code) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longest + 1);
+    const pad = /^`|`$/.test(code) || /^ [\s\S]*\S[\s\S]* $/.test(code) ? ' ' : '';
+    return `${ticks}${pad}${code}${pad}${ticks}`;
+  }
+
+  // Addresses with spaces or unbalanced brackets go in angle brackets
+  function markdownUrl(url) {
+    if (!/[\s<>]/.test(url) && /^[^()]*(?:\([^()]*\)[^()]*)*$/.test(url)) return url;
+    return `<${url.replace(/\s/g, '%20').replace(/[<>]/g, encodeURIComponent)}>`;
+  }
+
+  function markdownTitle(element) {
+    const title = element.getAttribute('title');
+    return title ? ` "${title.replace(/"/g, "'")}"` : '';
+  }
+
+  function markdownInline(node) {
+    if (node.nodeType === Node.TEXT_NODE) return escapeMarkdownText(node.nodeValue.replace(/\s+/g, ' '));
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    const inner = () => [...node.childNodes].map(markdownInline).join('');
+    switch (node.tagName) {
+      case 'BR':
+        return '\\\n';
+      case 'STRONG':
+      case 'B':
+        return wrapMarkdown(inner(), '**');
+      case 'EM':
+      case 'I':
+        return wrapMarkdown(inner(), '*');
+      case 'S':
+      case 'DEL':
+      case 'STRIKE':
+        return wrapMarkdown(inner(), '~~');
+      case 'U':
+      case 'SUB':
+      case 'SUP':
+      case 'MARK': {
+        const tag = node.tagName.toLowerCase();
+        const text = inner();
+        return text.trim() ? `<${tag}>${text}</${tag}>` : text;
+      }
+      case 'CODE':
+      case 'KBD':
+      case 'SAMP':
+        return node.textContent ? markdownCodeSpan(node.textContent) : '';
+      case 'A': {
+        const href = node.getAttribute('href') || '';
+        const label = inner();
+        if (!href || !label.trim()) return label;
+        if (/^(?:https?|ftp|mailto):/i.test(href) && (node.textContent === href || `mailto:${node.textContent}` === href) && !/[\s<>]/.test(href)) return `<${node.textContent}>`;
+        return `[${label}](${markdownUrl(href)}${markdownTitle(node)})`;
+      }
+      case 'IMG':
+        return `![${escapeMarkdownText(node.getAttribute('alt') || '')}](${markdownUrl(node.getAttribute('src') || '')}${markdownTitle(node)})`;
+      case 'INPUT':
+      case 'SCRIPT':
+      case 'STYLE':
+      case 'TEMPLATE':
+        return '';
+      default:
+        return inner();
+    }
+  }
+
+  function markdownParagraph(nodes) {
+    return nodes.map(markdownInline).join('')
+      .replace(/ {2,}/g, ' ')
+      .replace(/ *\\\n */g, '\\\n')
+      .replace(/^(?:\s*\\\n)+|(?:\\\n\s*)+$/g, '')
+      .trim()
+      .split('\n')
+      .map(escapeLineStart)
+      .join('\n');
+  }
+
+  function taskCheckbox(item) {
+    const first = item.firstElementChild;
+    const holder = first && first.tagName === 'P' ? first : item;
+    const input = holder.firstElementChild;
+    return input && input.tagName === 'INPUT' && input.type === 'checkbox' && !holder.firstChild.nodeValue?.trim() ? input : null;
+  }
+
+  // A list straight after another of the same kind switches markers, or
+  // the two would read back as one list
+  function markdownList(list, alternate) {
+    const ordered = list.tagName === 'OL';
+    let number = ordered ? parseInt(list.getAttribute('start'), 10) || 1 : 1;
+    const items = [...list.children].filter(child => child.tagName === 'LI').map((item) => {
+      const checkbox = taskCheckbox(item);
+      return { blocks: markdownBlocks(item), task: checkbox ? `[${checkbox.checked ? 'x' : ' '}] ` : '' };
+    });
+    // Paragraph breaks inside an item need blank lines, which makes the
+    // whole list loose
+    const loose = items.some(item => item.blocks.filter(block => !/^(?:[-*+]|\d+[.)])(?:\s|$)/.test(block)).length > 1)
+      || [...list.children].some(item => [...item.children].some(child => child.tagName === 'P'));
+    return items.map((item) => {
+      const marker = ordered ? `${number++}${alternate ? ')' : '.'}` : (alternate ? '*' : '-');
+      const pad = ' '.repeat(marker.length + 1);
+      const body = item.blocks.join(loose ? '\n\n' : '\n').split('\n')
+        .map((line, i) => (i === 0 || !line ? line : pad + line))
+        .join('\n');
+      return `${marker} ${item.task}${body}`.trimEnd();
+    }).join(loose ? '\n\n' : '\n');
+  }
+
+  function markdownCodeBlock(pre) {
+    const clone = pre.cloneNode(true);
+    clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    const code = clone.textContent.replace(/\n$/, '');
+    const element = pre.querySelector('code');
+    const language = element ? (element.className.match(/language-(\S+)/) || ['', ''])[1] : '';
+    const longest = Math.max(2, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}${language}\n${code}\n${fence}`;
+  }
+
+  function markdownTable(table) {
+    const rows = [...table.querySelectorAll('tr')]
+      .filter(row => row.closest('table') === table)
+      .map(row => [...row.children].filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH'));
+    if (rows.length === 0) return '';
+    const width = Math.max(...rows.map(row => row.length));
+    const text = cell => (cell ? markdownBlocks(cell).join(' ').replace(/\\?\n/g, ' ').replace(/\|/g, '\\|') : '');
+    const line = row => `| ${Array.from({ length: width }, (_, j) => text(row[j])).join(' | ')} |`;
+    const delimiter = Array.from({ length: width }, (_, j) => {
+      const cell = rows[0][j];
+      const align = cell ? cell.style.textAlign || cell.getAttribute('align') : '';
+      if (align === 'center') return ':---:';
+      if (align === 'right') return '---:';
+      return align === 'left' ? ':---' : '---';
+    });
+    return [line(rows[0]), `| ${delimiter.join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+  }
+
+  function markdownBlock(node, alternate) {
+    switch (node.tagName) {
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6': {
+        const text = markdownParagraph([...node.childNodes]).replace(/\\\n/g, ' ').replace(/^\\(?=#)/, '');
+        return text ? `${'#'.repeat(Number(node.tagName[1]))} ${text}` : '';
+      }
+      case 'HR':
+        return '---';
+      case 'PRE':
+        return markdownCodeBlock(node);
+      case 'BLOCKQUOTE':
+        return markdownBlocks(node).join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      case 'UL':
+      case 'OL':
+        return markdownList(node, alternate);
+      case 'TABLE':
+        return markdownTable(node);
+      default:
+        return markdownBlocks(node).join('\n\n');
+    }
+  }
+
+  // Block-level children become blocks; runs of inline content between
+  // them become paragraphs
+  function markdownBlocks(container) {
+    const blocks = [];
+    let inline = [];
+    let previous = null;
+    let alternate = false;
+    const flush = () => {
+      const paragraph = markdownParagraph(inline);
+      if (paragraph) {
+        blocks.push(paragraph);
+        previous = null;
+      }
+      inline = [];
+    };
+    container.childNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE && (BLOCK_TAGS.has(node.tagName) || node.tagName === 'HR')) {
+        flush();
+        alternate = previous === node.tagName && !alternate;
+        const block = markdownBlock(node, alternate);
+        if (block) {
+          blocks.push(block);
+          previous = node.tagName;
+        }
+      } else {
+        inline.push(node);
+      }
+    });
+    flush();
+    return blocks;
+  }
+
+  function htmlToMarkdown(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return markdownBlocks(root).join('\n\n');
+  }
+
+  // Markdown mode: the source sits beside the editor, which becomes its
+  // read-only preview. Analysis, highlights and saving keep working on the
+  // editor, and edits made there by suggestions, tools or undo flow back
+  // into the source.
+  const btnMarkdown = document.getElementById('btnMarkdown');
+  const editorPanes = document.getElementById('editorPanes');
+  const markdownSource = document.getElementById('markdownSource');
+  const MARKDOWN_MODE_KEY = 'draftwise_markdown_mode';
+  const MARKDOWN_WRAPS = { bold: ['**', '**'], italic: ['*', '*'], underline: ['<u>', '</u>'] };
+  const MARKDOWN_PREFIXES = { heading: '## ', list: '- ', quote: '> ' };
+
+  let markdownMode = false;
+  // The editor HTML the source currently stands for
+  let markdownHtml = null;
+
+  // The same HTML the editor would serialize for this Markdown
+  function renderMarkdown(markdown, refs) {
+    const preview = document.createElement('div');
+    preview.innerHTML = markdownToHtml(markdown, refs);
+    return preview.innerHTML;
+  }
+
+  // Carries an edit made to a rendered block over to the block's source.
+  // `before` and `after` are the block converted from its old and new
+  // HTML; words the edit didn't touch keep their source form, so a soft
+  // line break or a reference link survives a fix elsewhere in the block.
+  function mergeMarkdownEdit(source, before, after) {
+    const tokens = text => text.split(/(\s+)/).filter(Boolean);
+    const written = tokens(source);
+    const old = tokens(before);
+    const edited = tokens(after);
+    // Any whitespace lines up with any other: a soft line break in the
+    // source is a space once converted
+    const spaced = list => list.map(token => (/^\s/.test(token) ? ' ' : token));
+    const alignment = diffSequence(spaced(old), spaced(written));
+    const edits = diffSequence(old, edited);
+    if (!alignment || !edits) return null;
+
+    // Where each token of `before` is in the source, or -1 where the
+    // source writes it differently
+    const position = [];
+    let w = 0;
+    alignment.forEach((op) => {
+      if (op.type === 'equal') position.push(w++);
+      else if (op.type === 'delete') position.push(-1);
+      else w++;
+    });
+
+    const hunks = [];
+    let hunk = null;
+    let o = 0;
+    let e = 0;
+    edits.forEach((op) => {
+      if (op.type === 'equal') {
+        hunk = null;
+        o++;
+        e++;
+        return;
+      }
+      if (!hunk) {
+        hunk = { oldStart: o, oldEnd: o, editedStart: e, editedEnd: e };
+        hunks.push(hunk);
+      }
+      if (op.type === 'delete') hunk.oldEnd = ++o;
+      else hunk.editedEnd = ++e;
+    });
+
+    // Each replaced stretch widens until both ends touch a token the
+    // source writes the same way
+    const widened = [];
+    hunks.forEach((h) => {
+      while (h.oldStart > 0 && position[h.oldStart - 1] === -1) {
+        h.oldStart--;
+        h.editedStart--;
+      }
+      while (h.oldEnd < old.length && position[h.oldEnd] === -1) {
+        h.oldEnd++;
+        h.editedEnd++;
+      }
+      const last = widened[widened.length - 1];
+      if (last && h.oldStart <= last.oldEnd) Object.assign(last, { oldEnd: h.oldEnd, editedEnd: h.editedEnd });
+      else widened.push(h);
+    });
+
+    const out = [];
+    let from = 0;
+    widened.forEach((h) => {
+      out.push(...written.slice(from, h.oldStart === 0 ? 0 : position[h.oldStart - 1] + 1), ...edited.slice(h.editedStart, h.editedEnd));
+      from = h.oldEnd === old.length ? written.length : position[h.oldEnd];
+    });
+    out.push(...written.slice(from));
+    return out.join('');
+  }
+
+  // The given Markdown brought in line with the editor HTML. Blocks that
+  // still render the same keep their source as written, with its line
+  // breaks, reference links and list markers, and a changed block keeps
+  // the source of the words that didn't change.
+  function updateMarkdownSource(markdown, html) {
+    if (renderMarkdown(markdown) === html) return markdown;
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    const nodes = [...container.childNodes];
+    if (!markdown.trim() || nodes.some(node => node.nodeType !== Node.ELEMENT_NODE)) return htmlToMarkdown(html);
+
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const { refs } = readMarkdown(markdown);
+    const blocks = markdownSourceBlocks(markdown).map((block) => {
+      container.innerHTML = block.html;
+      const element = container.firstElementChild;
+      return { ...block, html: element.outerHTML, tag: element.tagName };
+    });
+    const ops = diffSequence(blocks.map(block => block.html), nodes.map(node => node.outerHTML));
+    if (!ops) return htmlToMarkdown(html);
+
+    const out = [];
+    // A block written next to the one before it keeps the lines between
+    // them; anywhere else it gets a blank line, plus any reference
+    // definitions that stood in between
+    let previous = -1;
+    const gap = i => lines.slice(i === 0 ? 0 : blocks[i - 1].end, i < blocks.length ? blocks[i].start : lines.length);
+    const separate = (between) => {
+      const definitions = between.filter(line => line.trim());
+      if (out.length) out.push('');
+      if (definitions.length) out.push(...definitions, '');
+    };
+    const keep = (i, source) => {
+      if (previous === i - 1) out.push(...gap(i));
+      else separate(gap(i));
+      out.push(...source.split('\n'));
+      previous = i;
+    };
+    const sourceOf = i => lines.slice(blocks[i].start, blocks[i].end).join('\n');
+    const edited = (i, j) => {
+      const after = htmlToMarkdown(nodes[j].outerHTML);
+      const merged = mergeMarkdownEdit(sourceOf(i), htmlToMarkdown(blocks[i].html), after);
+      return merged !== null && renderMarkdown(merged, refs) === nodes[j].outerHTML ? merged : after;
+    };
+
+    // A changed block shows up as a deletion and an insertion in the same
+    // stretch of changes
+    let deleted = [];
+    let inserted = [];
+    const flush = () => {
+      for (let k = 0; k < Math.max(deleted.length, inserted.length); k++) {
+        const i = deleted[k];
+        const j = inserted[k];
+        if (i !== undefined && j !== undefined && blocks[i].tag === nodes[j].tagName) {
+          keep(i, edited(i, j));
+          continue;
         }
+        if (i !== undefined && gap(i).some(line => line.trim())) separate(gap(i));
+        if (j !== undefined) {
+          separate([]);
+          out.push(...htmlToMarkdown(nodes[j].outerHTML).split('\n'));
+          previous = -2;
+        }
+      }
+      deleted = [];
+      inserted = [];
+    };
+    let i = 0;
+    let j = 0;
+    ops.forEach((op) => {
+      if (op.type === 'equal') {
+        flush();
+        keep(i, sourceOf(i));
+        i++;
+        j++;
+      } else if (op.type === 'delete') {
+        deleted.push(i++);
+      } else {
+        inserted.push(j++);
       }
+    });
+    flush();
+    if (previous === blocks.length - 1) out.push(...gap(blocks.length));
+    else if (gap(blocks.length).some(line => line.trim())) separate(gap(blocks.length));
+
+    const updated = out.join('\n');
+    // Blocks that only parse as intended beside their old neighbours
+    // (a list that now runs on from another) fall back to a full conversion
+    return renderMarkdown(updated) === html ? updated : htmlToMarkdown(html);
+  }
+
+  // Fills the source from the editor, keeping as much of the given
+  // Markdown as still describes the same document
+  function syncMarkdownSource(markdown) {
+    const html = getCleanHTML();
+    markdownSource.value = markdown ? updateMarkdownSource(markdown, html) : htmlToMarkdown(html);
+    markdownHtml = html;
+  }
+
+  // The document as Markdown: the source as written in Markdown mode,
+  // converted from the editor otherwise
+  function getMarkdown() {
+    return markdownMode ? markdownSource.value.trim() : htmlToMarkdown(getCleanHTML());
+  }
+
+  function applyMarkdownLayout() {
+    markdownSource.classList.toggle('hidden', !markdownMode);
+    editorPanes.classList.toggle('md:grid-cols-2', markdownMode);
+    editor.setAttribute('contenteditable', markdownMode ? 'false' : 'true');
+    btnMarkdown.classList.toggle('bg-brand-50', markdownMode);
+    btnMarkdown.classList.toggle('text-brand-700', markdownMode);
+    btnMarkdown.classList.toggle('text-surface-600', !markdownMode);
+    btnMarkdown.setAttribute('aria-pressed', String(markdownMode));
+  }
+
+  function setMarkdownMode(enabled) {
+    commitTyping();
+    markdownMode = enabled;
+    applyMarkdownLayout();
+    if (enabled) {
+      syncMarkdownSource(currentDoc ? currentDoc.markdown : '');
+      markdownSource.focus();
+    } else {
+      // Kept so switching back shows the source as written
+      if (currentDoc) currentDoc.markdown = markdownSource.value;
+      markdownHtml = null;
+      editor.focus();
+    }
+    try {
+      localStorage.setItem(MARKDOWN_MODE_KEY, enabled ? '1' : '0');
     } catch (e) {
-      // Ignore parse errors
+      // Preference is optional
     }
   }
 
-  // Auto-save every 5 seconds
-  let saveTimer;
-  editor.addEventListener('input', () => {
-    clearTimeout(saveTimer);
-    saveTimer = setTimeout(saveToStorage, 5000);
+  btnMarkdown.addEventListener('click', () => {
+    setMarkdownMode(!markdownMode);
+    scheduleSave(1000);
   });
-  docTitle.addEventListener('input', () => {
-    clearTimeout(saveTimer);
-    saveTimer = setTimeout(saveToStorage, 2000);
+
+  // Typing in the source re-renders the preview and is grouped into undo
+  // steps like typing in the editor
+  markdownSource.addEventListener('input', () => {
+    if (typingGroup && typingGroup.kind !== 'markdown') commitTyping();
+    if (!typingGroup) {
+      typingGroup = { kind: 'markdown', before: captureEditorState() };
+      updateHistoryButtons();
+    }
+    editor.innerHTML = markdownToHtml(markdownSource.value);
+    markdownHtml = editor.innerHTML;
+    editor.dispatchEvent(new Event('input'));
   });
-  toneSelect.addEventListener('change', saveToStorage);
+
+  // Rich text pasted into the source arrives as Markdown
+  markdownSource.addEventListener('paste', (e) => {
+    const html = e.clipboardData && e.clipboardData.getData('text/html');
+    if (!html) return;
+    e.preventDefault();
+    markdownSource.setRangeText(htmlToMarkdown(html), markdownSource.selectionStart, markdownSource.selectionEnd, 'end');
+    markdownSource.dispatchEvent(new Event('input'));
+  });
+
+  // Any other change to the editor, such as an applied suggestion or an
+  // undo, is written back to the source. Highlights leave the clean HTML
+  // unchanged, so they never trigger this.
+  new MutationObserver(() => {
+    if (markdownMode && getCleanHTML() !== markdownHtml) syncMarkdownSource(markdownSource.value);
+  }).observe(editor, { childList: true, characterData: true, subtree: true });
+
+  // The toolbar's formatting buttons write Markdown syntax around the
+  // selection or at the start of the selected lines
+  function formatMarkdownSource(format) {
+    const { value, selectionStart: start, selectionEnd: end } = markdownSource;
+    if (MARKDOWN_WRAPS[format]) {
+      const [open, close] = MARKDOWN_WRAPS[format];
+      markdownSource.setRangeText(`${open}${value.slice(start, end)}${close}`, start, end);
+      markdownSource.setSelectionRange(start + open.length, end + open.length);
+    } else if (MARKDOWN_PREFIXES[format]) {
+      const prefix = MARKDOWN_PREFIXES[format];
+      const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+      const lines = value.slice(lineStart, end).split('\n');
+      // Pressing the button again takes the prefix off
+      const remove = lines.every(line => line.startsWith(prefix));
+      const changed = lines.map((line) => {
+        if (remove) return line.slice(prefix.length);
+        return prefix + (format === 'heading' ? line.replace(/^#{1,6}[ \t]+/, '') : line);
+      }).join('\n');
+      markdownSource.setRangeText(changed, lineStart, end);
+      markdownSource.setSelectionRange(lineStart, lineStart + changed.length);
+    }
+    markdownSource.focus();
+    markdownSource.dispatchEvent(new Event('input'));
+  }
+
+  // Plain text that looks like Markdown is pasted as formatted text
+  editor.addEventListener('paste', (e) => {
+    if (markdownMode || !e.clipboardData || e.clipboardData.types.includes('text/html')) return;
+    const text = e.clipboardData.getData('text/plain');
+    if (!MARKDOWN_SIGNS.test(text)) return;
+    e.preventDefault();
+    recordEdit('Paste', () => document.execCommand('insertHTML', false, markdownToHtml(text)));
+    editor.dispatchEvent(new Event('input'));
+  });
+
+  try {
+    markdownMode = localStorage.getItem(MARKDOWN_MODE_KEY) === '1';
+  } catch (e) {
+    // Preference is optional
+  }
+  applyMarkdownLayout();
+
+  // ─── Rule Settings ─────────────────────────────────────────
+  const btnRules = document.getElementById('btnRules');
+  const rulesModal = document.getElementById('rulesModal');
+  const closeRulesModal = document.getElementById('closeRulesModal');
+  const rulesList = document.getElementById('rulesList');
+  const ruleForm = document.getElementById('ruleForm');
+  const btnNewRule = document.getElementById('btnNewRule');
+  const btnExportRules = document.getElementById('btnExportRules');
+  const btnImportRules = document.getElementById('btnImportRules');
+  const rulesImportFile = document.getElementById('rulesImportFile');
+  const rulesStatus = document.getElementById('rulesStatus');
+
+  let editingRuleId = null;
+
+  function setRulesStatus(message) {
+    rulesStatus.textContent = message;
+  }
+
+  function findRule(id) {
+    return getRules().find(rule => rule.id === id);
+  }
+
+  function renderRulesList() {
+    rulesList.innerHTML = getRules().map(rule => `
+      <div class="rule-item px-4 py-2.5 flex items-center gap-3 cursor-pointer hover:bg-surface-50 ${rule.id === editingRuleId ? 'bg-brand-50' : ''}" data-rule-id="${escapeHtml(rule.id)}">
+        <input type="checkbox" data-rule-toggle ${rule.enabled ? 'checked' : ''} ${rule.error ? 'disabled' : ''} class="rounded border-surface-300 text-brand-600 focus:ring-brand-400" title="Enable rule">
+        <div class="min-w-0 flex-1">
+          <p class="text-xs font-medium text-surface-800 truncate">${escapeHtml(rule.name || rule.id)}</p>
+          <p class="text-xs ${rule.error ? 'text-red-500' : 'text-surface-400'} truncate">${rule.error ? `Invalid pattern: ${escapeHtml(rule.error)}` : `${escapeHtml(rule.type)} · ${escapeHtml(rule.severity)}${rule.builtin ? ' · built-in' : ''}`}</p>
+        </div>
+      </div>`).join('');
+  }
+
+  function renderRuleForm(rule) {
+    const isNew = !rule;
+    const data = rule || { name: '', category: '', type: 'style', severity: 'warning', phrases: [], message: '"{match}" ', replacement: undefined };
+    const editableMatch = !data.matcher;
+    const matchKind = data.pattern ? 'pattern' : 'phrases';
+    const option = (value, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${value}</option>`;
+    const inputClass = 'w-full text-xs text-surface-800 bg-surface-50 border border-surface-200 rounded-md px-2 py-1.5 outline-none focus:border-brand-400';
+
+    ruleForm.innerHTML = `
+      <form class="space-y-3" data-rule-form>
+        <div class="grid grid-cols-2 gap-3">
+          <label class="block text-xs text-surface-600">Name<input name="name" required class="${inputClass} mt-1" value="${escapeHtml(data.name || '')}"></label>
+          <label class="block text-xs text-surface-600">Category<input name="category" required class="${inputClass} mt-1" value="${escapeHtml(data.category || '')}"></label>
+          <label class="block text-xs text-surface-600">Type<select name="type" class="${inputClass} mt-1">${RULE_TYPES.map(t => option(t, data.type)).join('')}</select></label>
+          <label class="block text-xs text-surface-600">Severity<select name="severity" class="${inputClass} mt-1">${RULE_SEVERITIES.map(s => option(s, data.severity)).join('')}</select></label>
+        </div>
+        ${editableMatch ? `
+        <label class="block text-xs text-surface-600">Match
+          <select name="matchKind" class="${inputClass} mt-1">
+            <option value="phrases" ${matchKind === 'phrases' ? 'selected' : ''}>Phrase list (one per line)</option>
+            <option value="pattern" ${matchKind === 'pattern' ? 'selected' : ''}>Regular expression</option>
+          </select>
+        </label>
+        <textarea name="phrases" rows="5" class="${inputClass} font-mono ${matchKind === 'phrases' ? '' : 'hidden'}" placeholder="synergy&#10;world class">${escapeHtml((data.phrases || []).join('\n'))}</textarea>
+        <input name="pattern" class="${inputClass} font-mono ${matchKind === 'pattern' ? '' : 'hidden'}" placeholder="\\b(?:best|leading)-in-class\\b" value="${escapeHtml(data.pattern || '')}">` : `
+        <p class="text-xs text-surface-400">This built-in rule uses a custom matcher; its wording and severity can still be changed.</p>`}
+        <label class="block text-xs text-surface-600">Message <span class="text-surface-400">— use {match} and {replacement}</span><input name="message" required class="${inputClass} mt-1" value="${escapeHtml(data.message || '')}"></label>
+        ${editableMatch && !data.replacements ? `
+        <label class="block text-xs text-surface-600">Replacement <span class="text-surface-400">— optional, leave empty to offer deletion, or untick</span>
+          <div class="flex items-center gap-2 mt-1">
+            <input type="checkbox" name="hasReplacement" ${data.replacement !== undefined ? 'checked' : ''} class="rounded border-surface-300 text-brand-600">
+            <input name="replacement" class="${inputClass}" value="${escapeHtml(data.replacement || '')}">
+          </div>
+        </label>` : ''}
+        <div class="flex items-center gap-2 pt-1">
+          <button type="submit" class="text-xs bg-brand-600 text-white hover:bg-brand-700 px-3 py-1.5 rounded-lg transition-colors font-medium">${isNew ? 'Add rule' : 'Save rule'}</button>
+          ${!isNew && rule.builtin ? '<button type="button" data-rule-reset class="text-xs text-surface-600 hover:text-surface-800 px-3 py-1.5 rounded-lg hover:bg-surface-100">Reset to default</button>' : ''}
+          ${!isNew && !rule.builtin ? '<button type="button" data-rule-delete class="text-xs text-red-600 hover:text-red-700 px-3 py-1.5 rounded-lg hover:bg-red-50">Delete rule</button>' : ''}
+        </div>
+      </form>`;
+  }
+
+  function readRuleForm(form) {
+    const el = form.elements;
+    const fields = {
+      name: el.name.value.trim(),
+      category: el.category.value.trim(),
+      type: el.type.value,
+      severity: el.severity.value,
+      message: el.message.value
+    };
+    if (el.matchKind) {
+      if (el.matchKind.value === 'pattern') {
+        fields.pattern = el.pattern.value;
+        fields.phrases = undefined;
+      } else {
+        fields.phrases = el.phrases.value.split('\n').map(p => p.trim()).filter(Boolean);
+        fields.pattern = undefined;
+      }
+    }
+    if (el.hasReplacement) {
+      fields.replacement = el.hasReplacement.checked ? el.replacement.value : undefined;
+    }
+    return fields;
+  }
+
+  function saveRule(fields) {
+    if (fields.pattern !== undefined) {
+      try {
+        compileRulePattern(fields);
+      } catch (e) {
+        setRulesStatus(`Invalid pattern: ${e.message}`);
+        return false;
+      }
+    }
+
+    const existing = editingRuleId && findRule(editingRuleId);
+    if (existing && existing.builtin) {
+      const override = { ...ruleSettings.overrides[existing.id] };
+      EDITABLE_RULE_FIELDS.forEach(key => {
+        if (key in fields) override[key] = fields[key];
+      });
+      ruleSettings.overrides[existing.id] = override;
+    } else if (existing) {
+      const index = ruleSettings.custom.findIndex(rule => rule.id === existing.id);
+      ruleSettings.custom[index] = { ...ruleSettings.custom[index], ...fields };
+    } else {
+      const rule = { id: createId('rule'), enabled: true, ...fields };
+      ruleSettings.custom.push(rule);
+      editingRuleId = rule.id;
+    }
+    saveRuleSettings();
+    setRulesStatus('Rule saved. Run Analyze to apply it.');
+    return true;
+  }
+
+  function setRuleEnabled(id, enabled) {
+    const rule = findRule(id);
+    if (!rule) return;
+    if (rule.builtin) {
+      ruleSettings.overrides[id] = { ...ruleSettings.overrides[id], enabled };
+    } else {
+      ruleSettings.custom.find(r => r.id === id).enabled = enabled;
+    }
+    saveRuleSettings();
+  }
+
+  // Rule packs only carry JSON-safe rules: custom rules plus the changes
+  // made to built-ins.
+  function exportRulePack() {
+    const pack = {
+      name: 'DraftWise rule pack',
+      version: 1,
+      exported: new Date().toISOString(),
+      rules: ruleSettings.custom,
+      overrides: ruleSettings.overrides
+    };
+    downloadFile('draftwise-rules.json', JSON.stringify(pack, null, 2), 'application/json');
+  }
+
+  function isValidRule(rule) {
+    return rule && typeof rule.id === 'string' && typeof rule.message === 'string'
+      && (Array.isArray(rule.phrases) || typeof rule.pattern === 'string');
+  }
+
+  function importRulePack(pack) {
+    if (!pack || (!Array.isArray(pack.rules) && !pack.overrides)) {
+      throw new Error('This file is not a DraftWise rule pack.');
+    }
+    const rules = Array.isArray(pack.rules) ? pack.rules : [];
+    const valid = rules.filter(isValidRule);
+    const builtinIds = BUILTIN_RULES.map(rule => rule.id);
+
+    valid.forEach(rule => {
+      const imported = {
+        ...rule,
+        type: RULE_TYPES.includes(rule.type) ? rule.type : 'style',
+        severity: RULE_SEVERITIES.includes(rule.severity) ? rule.severity : 'warning',
+        category: rule.category || rule.name || rule.id,
+        name: rule.name || rule.category || rule.id,
+        id: builtinIds.includes(rule.id) ? createId('rule') : rule.id
+      };
+      const index = ruleSettings.custom.findIndex(r => r.id === imported.id);
+      if (index >= 0) ruleSettings.custom[index] = imported;
+      else ruleSettings.custom.push(imported);
+    });
+
+    Object.entries(pack.overrides || {}).forEach(([id, override]) => {
+      if (builtinIds.includes(id)) {
+        ruleSettings.overrides[id] = { ...ruleSettings.overrides[id], ...override };
+      }
+    });
+
+    saveRuleSettings();
+    const skipped = rules.length - valid.length;
+    return `Imported ${valid.length} rule${valid.length !== 1 ? 's' : ''}${skipped ? `, skipped ${skipped} invalid` : ''}.`;
+  }
+
+  btnRules.addEventListener('click', () => {
+    rulesModal.classList.remove('hidden');
+    setRulesStatus('');
+    renderRulesList();
+    renderRuleForm(editingRuleId ? findRule(editingRuleId) : null);
+  });
+
+  closeRulesModal.addEventListener('click', () => {
+    rulesModal.classList.add('hidden');
+  });
+
+  rulesModal.addEventListener('click', (e) => {
+    if (e.target === rulesModal) {
+      rulesModal.classList.add('hidden');
+    }
+  });
+
+  rulesList.addEventListener('click', (e) => {
+    const item = e.target.closest('.rule-item');
+    if (!item) return;
+    if (e.target.matches('[data-rule-toggle]')) {
+      setRuleEnabled(item.dataset.ruleId, e.target.checked);
+      return;
+    }
+    editingRuleId = item.dataset.ruleId;
+    setRulesStatus('');
+    renderRulesList();
+    renderRuleForm(findRule(editingRuleId));
+  });
+
+  ruleForm.addEventListener('change', (e) => {
+    if (e.target.name !== 'matchKind') return;
+    const el = e.target.form.elements;
+    el.phrases.classList.toggle('hidden', e.target.value !== 'phrases');
+    el.pattern.classList.toggle('hidden', e.target.value !== 'pattern');
+  });
+
+  ruleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!saveRule(readRuleForm(e.target))) return;
+    renderRulesList();
+    renderRuleForm(findRule(editingRuleId));
+  });
+
+  ruleForm.addEventListener('click', (e) => {
+    if (e.target.matches('[data-rule-reset]')) {
+      delete ruleSettings.overrides[editingRuleId];
+      saveRuleSettings();
+      setRulesStatus('Rule reset to its default.');
+    } else if (e.target.matches('[data-rule-delete]')) {
+      if (!confirm('Delete this rule?')) return;
+      ruleSettings.custom = ruleSettings.custom.filter(rule => rule.id !== editingRuleId);
+      editingRuleId = null;
+      saveRuleSettings();
+      setRulesStatus('Rule deleted.');
+    } else {
+      return;
+    }
+    renderRulesList();
+    renderRuleForm(editingRuleId ? findRule(editingRuleId) : null);
+  });
+
+  btnNewRule.addEventListener('click', () => {
+    editingRuleId = null;
+    setRulesStatus('');
+    renderRulesList();
+    renderRuleForm(null);
+  });
+
+  btnExportRules.addEventListener('click', exportRulePack);
+
+  btnImportRules.addEventListener('click', () => rulesImportFile.click());
+
+  rulesImportFile.addEventListener('change', async () => {
+    const file = rulesImportFile.files[0];
+    rulesImportFile.value = '';
+    if (!file) return;
+    try {
+      setRulesStatus(importRulePack(JSON.parse(await readFileAsText(file))));
+    } catch (e) {
+      setRulesStatus(`Import failed: ${e.message}`);
+    }
+    renderRulesList();
+  });
+
+  // ─── Dictionary and Ignore Lists ───────────────────────────
+  // The personal dictionary holds words that are always correct. Ignore
+  // lists silence a word or a whole rule, either everywhere or only in the
+  // open document. Every rule's results pass through isIssueAllowed().
+  const IGNORE_LISTS_KEY = 'draftwise_ignore_lists';
+  const btnDictionary = document.getElementById('btnDictionary');
+  const dictionaryModal = document.getElementById('dictionaryModal');
+  const closeDictionaryModal = document.getElementById('closeDictionaryModal');
+  const dictionaryContent = document.getElementById('dictionaryContent');
+  const dictionaryAddForm = document.getElementById('dictionaryAddForm');
+  const btnExportDictionary = document.getElementById('btnExportDictionary');
+  const btnImportDictionary = document.getElementById('btnImportDictionary');
+  const dictionaryImportFile = document.getElementById('dictionaryImportFile');
+  const dictionaryStatus = document.getElementById('dictionaryStatus');
+
+  function loadIgnoreLists() {
+    const empty = { dictionary: [], words: [], rules: [] };
+    try {
+      const saved = JSON.parse(localStorage.getItem(IGNORE_LISTS_KEY));
+      if (saved) return { ...empty, ...saved };
+    } catch (e) {
+      // Ignore parse errors
+    }
+    return empty;
+  }
+
+  let globalIgnore = loadIgnoreLists();
+  let docIgnore = { words: [], rules: [] };
+
+  function normalizeWord(word) {
+    return word.trim().toLowerCase();
+  }
+
+  function isKnownWord(word) {
+    const key = normalizeWord(word);
+    return globalIgnore.dictionary.includes(key) || globalIgnore.words.includes(key) || docIgnore.words.includes(key);
+  }
+
+  function isRuleIgnored(ruleId) {
+    return globalIgnore.rules.includes(ruleId) || docIgnore.rules.includes(ruleId);
+  }
+
+  function isIssueAllowed(issue) {
+    if (isRuleIgnored(issue.ruleId)) return false;
+    return !issue.text || !isKnownWord(issue.text);
+  }
+
+  function saveIgnoreLists() {
+    try {
+      localStorage.setItem(IGNORE_LISTS_KEY, JSON.stringify(globalIgnore));
+    } catch (e) {
+      // localStorage might be full or unavailable
+    }
+  }
+
+  // Applies a list change to the open analysis straight away, without
+  // running the detectors again.
+  function ignoreListsChanged() {
+    saveIgnoreLists();
+    paragraphCache.clear();
+    scheduleSave(500);
+    const remaining = currentIssues.filter(isIssueAllowed);
+    if (remaining.length !== currentIssues.length) {
+      currentIssues = remaining;
+      refreshAfterIssueChange();
+    }
+  }
+
+  function addToList(list, value) {
+    if (value && !list.includes(value)) list.push(value);
+  }
+
+  function handleIgnoreAction(action, issue) {
+    const word = normalizeWord(issue.text || '');
+    switch (action) {
+      case 'dictionary':
+        addToList(globalIgnore.dictionary, word);
+        break;
+      case 'word-document':
+        addToList(docIgnore.words, word);
+        break;
+      case 'word-global':
+        addToList(globalIgnore.words, word);
+        break;
+      case 'rule-document':
+        addToList(docIgnore.rules, issue.ruleId);
+        break;
+      case 'rule-global':
+        addToList(globalIgnore.rules, issue.ruleId);
+        break;
+      default:
+        return;
+    }
+    ignoreListsChanged();
+  }
+
+  function ruleName(ruleId) {
+    const rule = getActiveRules().find(r => r.id === ruleId);
+    return rule ? (rule.name || rule.category) : ruleId;
+  }
+
+  function renderDictionary() {
+    const section = (title, scope, list, key, label) => `
+      <div>
+        <p class="text-xs font-semibold text-surface-700 mb-1.5">${title} <span class="font-normal text-surface-400">(${list.length})</span></p>
+        ${list.length === 0 ? '<p class="text-xs text-surface-400 mb-1">Empty</p>' : `
+        <div class="flex flex-wrap gap-1.5">
+          ${list.map(value => `
+            <span class="inline-flex items-center gap-1 text-xs bg-surface-50 border border-surface-200 rounded-full pl-2.5 pr-1 py-0.5 text-surface-700">
+              ${escapeHtml(label ? label(value) : value)}
+              <button data-remove-scope="${scope}" data-remove-key="${key}" data-remove-value="${escapeHtml(value)}" class="w-4 h-4 rounded-full hover:bg-surface-200 text-surface-400 hover:text-surface-700" title="Remove">×</button>
+            </span>`).join('')}
+        </div>`}
+      </div>`;
+
+    dictionaryContent.innerHTML = [
+      section('Personal dictionary', 'global', globalIgnore.dictionary, 'dictionary'),
+      section('Ignored words — everywhere', 'global', globalIgnore.words, 'words'),
+      section('Ignored words — this document', 'document', docIgnore.words, 'words'),
+      section('Ignored rules — everywhere', 'global', globalIgnore.rules, 'rules', ruleName),
+      section('Ignored rules — this document', 'document', docIgnore.rules, 'rules', ruleName)
+    ].join('');
+  }
+
+  function exportIgnoreLists() {
+    const file = {
+      type: 'draftwise-dictionary',
+      version: 1,
+      dictionary: globalIgnore.dictionary,
+      ignoredWords: globalIgnore.words,
+      ignoredRules: globalIgnore.rules,
+      // The open document's lists, imported into whichever document is
+      // open at the time
+      document: {
+        title: docTitle.value,
+        ignoredWords: docIgnore.words,
+        ignoredRules: docIgnore.rules
+      }
+    };
+    downloadFile('draftwise-dictionary.json', JSON.stringify(file, null, 2), 'application/json');
+  }
+
+  function importIgnoreLists(data) {
+    if (!data || data.type !== 'draftwise-dictionary') {
+      throw new Error('This file is not a DraftWise dictionary.');
+    }
+    const words = (list) => (Array.isArray(list) ? list.filter(w => typeof w === 'string').map(normalizeWord).filter(Boolean) : []);
+    const rules = (list) => (Array.isArray(list) ? list.map(String) : []);
+    words(data.dictionary).forEach(w => addToList(globalIgnore.dictionary, w));
+    words(data.ignoredWords).forEach(w => addToList(globalIgnore.words, w));
+    rules(data.ignoredRules).forEach(id => addToList(globalIgnore.rules, id));
+    const doc = data.document || {};
+    words(doc.ignoredWords).forEach(w => addToList(docIgnore.words, w));
+    rules(doc.ignoredRules).forEach(id => addToList(docIgnore.rules, id));
+    ignoreListsChanged();
+  }
+
+  btnDictionary.addEventListener('click', () => {
+    dictionaryModal.classList.remove('hidden');
+    dictionaryStatus.textContent = '';
+    renderDictionary();
+  });
+
+  closeDictionaryModal.addEventListener('click', () => {
+    dictionaryModal.classList.add('hidden');
+  });
+
+  dictionaryModal.addEventListener('click', (e) => {
+    if (e.target === dictionaryModal) {
+      dictionaryModal.classList.add('hidden');
+    }
+  });
+
+  dictionaryContent.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-remove-value]');
+    if (!button) return;
+    const lists = button.dataset.removeScope === 'global' ? globalIgnore : docIgnore;
+    const key = button.dataset.removeKey;
+    lists[key] = lists[key].filter(value => value !== button.dataset.removeValue);
+    saveIgnoreLists();
+    paragraphCache.clear();
+    scheduleSave(500);
+    dictionaryStatus.textContent = 'Removed. Run Analyze to see suggestions for it again.';
+    renderDictionary();
+  });
+
+  dictionaryAddForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = dictionaryAddForm.elements.word;
+    normalizeWord(input.value).split(/[\s,]+/).filter(Boolean).forEach(w => addToList(globalIgnore.dictionary, w));
+    input.value = '';
+    ignoreListsChanged();
+    renderDictionary();
+  });
+
+  btnExportDictionary.addEventListener('click', exportIgnoreLists);
+
+  btnImportDictionary.addEventListener('click', () => dictionaryImportFile.click());
+
+  dictionaryImportFile.addEventListener('change', async () => {
+    const file = dictionaryImportFile.files[0];
+    dictionaryImportFile.value = '';
+    if (!file) return;
+    try {
+      importIgnoreLists(JSON.parse(await readFileAsText(file)));
+      dictionaryStatus.textContent = 'Dictionary imported.';
+    } catch (e) {
+      dictionaryStatus.textContent = `Import failed: ${e.message}`;
+    }
+    renderDictionary();
+  });
+
+  // ─── AI Provider ───────────────────────────────────────────
+  // The writing tools run on the local heuristics unless the user points
+  // them at an OpenAI-compatible chat completions endpoint. Replies stream
+  // into the tool panel; when the endpoint fails, the heuristics answer.
+  const PROVIDER_KEY = 'draftwise_ai_provider';
+  const DEFAULT_PROVIDER = { kind: 'local', baseUrl: '', model: '', apiKey: '' };
+  const PROVIDER_SYSTEM_PROMPT = 'You are the writing assistant in DraftWise, a text editor. Follow the instruction exactly. Reply with plain text only: no preamble, no commentary and no Markdown.';
+  const TOOL_PROMPTS = {
+    rewrite: {
+      title: 'Rewrite Suggestions',
+      split: 'sections',
+      prompt: 'Rewrite the text in a {tone} tone. Give three alternative versions, separated by a line containing only ---.'
+    },
+    expand: {
+      title: 'Expanded Versions',
+      prompt: 'Expand the text with supporting detail, examples and transitions. Keep the writer\'s claims and voice. Mark facts that need a citation with [source needed].'
+    },
+    shorten: {
+      title: 'Shortened Versions',
+      prompt: 'Shorten the text to about half its length without losing the key points.'
+    },
+    grammar: {
+      title: 'Grammar Check',
+      prompt: 'Correct the grammar, spelling and punctuation of the text. Change nothing else.'
+    },
+    simplify: {
+      title: 'Simplified Version',
+      prompt: 'Rewrite the text in plain language for a general reader, with short sentences and common words.'
+    },
+    headlines: {
+      title: 'Headline Suggestions',
+      split: 'lines',
+      prompt: 'Write ten headlines for the text, one per line, without numbers or quotation marks.'
+    }
+  };
+
+  const btnProvider = document.getElementById('btnProvider');
+  const providerLabel = document.getElementById('providerLabel');
+  const providerDot = document.getElementById('providerDot');
+  const providerNotice = document.getElementById('providerNotice');
+  const providerModal = document.getElementById('providerModal');
+  const closeProviderModal = document.getElementById('closeProviderModal');
+  const providerForm = document.getElementById('providerForm');
+  const btnTestProvider = document.getElementById('btnTestProvider');
+  const providerStatus = document.getElementById('providerStatus');
+
+  function loadProviderConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PROVIDER_KEY));
+      if (saved) return { ...DEFAULT_PROVIDER, ...saved };
+    } catch (e) {
+      // Ignore parse errors
+    }
+    return { ...DEFAULT_PROVIDER };
+  }
+
+  let providerConfig = loadProviderConfig();
+  // The tool request in flight, so a newer one can cancel it
+  let toolRequest = null;
+
+  function isRemoteProvider(config = providerConfig) {
+    return config.kind === 'openai' && Boolean(config.baseUrl) && Boolean(config.model);
+  }
+
+  function providerHost(config = providerConfig) {
+    try {
+      return new URL(config.baseUrl).host;
+    } catch (e) {
+      return config.baseUrl;
+    }
+  }
+
+  function renderProviderStatus() {
+    const remote = isRemoteProvider();
+    providerLabel.textContent = remote ? `${providerConfig.model} · ${providerHost()}` : 'Local heuristics';
+    providerDot.className = `w-1.5 h-1.5 rounded-full ${remote ? 'bg-amber-500' : 'bg-emerald-500'}`;
+    providerNotice.textContent = remote
+      ? `The writing tools send the text you run them on to ${providerHost()} (${providerConfig.model}). Scores, suggestions and your documents stay in your browser.`
+      : 'All text processing happens locally in your browser. No content is sent to external servers.';
+  }
+
+  // Sends a chat completion and calls onToken with each piece of the reply
+  // as it streams in. Resolves with the whole reply.
+  async function streamChatCompletion(config, messages, { signal, onToken }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: config.model, messages, stream: true }),
+      signal
+    });
+    if (!response.ok) {
+      let detail = response.statusText;
+      try {
+        const body = await response.json();
+        if (body.error && body.error.message) detail = body.error.message;
+      } catch (e) {
+        // Not a JSON error body
+      }
+      throw new Error(`${response.status} ${detail}`.trim());
+    }
+
+    // Servers that ignore "stream" answer with a single JSON body
+    if (!response.body || !/event-stream/.test(response.headers.get('Content-Type') || '')) {
+      const data = await response.json();
+      const reply = (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '';
+      onToken(reply);
+      return reply;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let reply = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return reply;
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (e) {
+          continue;
+        }
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+        if (delta && delta.content) {
+          reply += delta.content;
+          onToken(delta.content);
+        }
+      }
+    }
+    return reply;
+  }
+
+  function splitReply(reply, mode) {
+    const parts = mode === 'sections' ? reply.split(/^\s*-{3,}\s*$/m)
+      : mode === 'lines' ? reply.split('\n').map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s+/, '').replace(/^["“](.*)["”]$/, '$1'))
+        : [reply];
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  function renderStreaming(title, config) {
+    toolOutput.innerHTML = `
+      <div class="slide-up">
+        <div class="flex items-center gap-2 mb-3">
+          <h3 class="text-sm font-semibold text-surface-900">${escapeHtml(title)}</h3>
+          <span class="text-xs text-surface-400 flex items-center gap-1.5">
+            <span class="w-1.5 h-1.5 rounded-full bg-amber-500 animate-pulse"></span>
+            Streaming from ${escapeHtml(config.model)} · ${escapeHtml(providerHost(config))}
+          </span>
+        </div>
+        <div class="bg-surface-50 rounded-xl p-3.5 border border-surface-100">
+          <p data-stream class="text-sm text-surface-800 leading-relaxed whitespace-pre-wrap"></p>
+        </div>
+      </div>`;
+    return toolOutput.querySelector('[data-stream]');
+  }
+
+  function showProviderFallback(tool, text, reason) {
+    runLocalTool(tool, text);
+    toolOutput.insertAdjacentHTML('afterbegin', `
+      <div class="rounded-xl px-3 py-2 mb-3 border border-amber-200 bg-amber-50 text-xs text-amber-800">${escapeHtml(reason)} Showing the local suggestions instead.</div>`);
+  }
+
+  // The title, message and reply handling for a built-in or custom tool
+  function remoteToolSpec(tool, text) {
+    const custom = findCustomTool(tool);
+    if (custom) {
+      return { title: custom.name, message: customToolPrompt(custom, text), post: custom.post };
+    }
+    const spec = TOOL_PROMPTS[tool];
+    return { ...spec, message: `${fillTemplate(spec.prompt, { tone: toneSelect.value })}\n\nText:\n${text}`, post: 'none' };
+  }
+
+  async function runRemoteTool(tool, text) {
+    const spec = remoteToolSpec(tool, text);
+    const config = providerConfig;
+    const controller = new AbortController();
+    toolRequest = controller;
+    const streamEl = renderStreaming(spec.title, config);
+
+    let reply;
+    try {
+      reply = await streamChatCompletion(config, [
+        { role: 'system', content: PROVIDER_SYSTEM_PROMPT },
+        { role: 'user', content: spec.message }
+      ], {
+        signal: controller.signal,
+        onToken: (token) => {
+          streamEl.textContent += token;
+        }
+      });
+    } catch (e) {
+      // A newer tool request has taken over the panel
+      if (controller.signal.aborted) return;
+      toolRequest = null;
+      showProviderFallback(tool, text, `Couldn't get a reply from ${providerHost(config)}: ${e.message.replace(/\.$/, '')}.`);
+      return;
+    }
+    if (controller.signal.aborted) return;
+    toolRequest = null;
+
+    const results = splitReply(reply, spec.split).map(part => ({ text: POST_PROCESSORS[spec.post].run(part), label: `${config.model} · ${providerHost(config)}` }));
+    if (results.length === 0) {
+      showProviderFallback(tool, text, `${providerHost(config)} sent an empty reply.`);
+      return;
+    }
+    renderToolResult(spec.title, results, tool === 'headlines' ? null : text);
+  }
+
+  function fillProviderForm() {
+    const fields = providerForm.elements;
+    fields.kind.value = providerConfig.kind;
+    fields.baseUrl.value = providerConfig.baseUrl;
+    fields.model.value = providerConfig.model;
+    fields.apiKey.value = providerConfig.apiKey;
+    toggleRemoteFields();
+  }
+
+  function readProviderForm() {
+    const fields = providerForm.elements;
+    return {
+      kind: fields.kind.value,
+      baseUrl: fields.baseUrl.value.trim(),
+      model: fields.model.value.trim(),
+      apiKey: fields.apiKey.value.trim()
+    };
+  }
+
+  function toggleRemoteFields() {
+    providerForm.querySelector('[data-remote-fields]').classList.toggle('hidden', providerForm.elements.kind.value !== 'openai');
+  }
+
+  btnProvider.addEventListener('click', () => {
+    fillProviderForm();
+    providerStatus.textContent = '';
+    providerModal.classList.remove('hidden');
+  });
+
+  closeProviderModal.addEventListener('click', () => {
+    providerModal.classList.add('hidden');
+  });
+
+  providerModal.addEventListener('click', (e) => {
+    if (e.target === providerModal) {
+      providerModal.classList.add('hidden');
+    }
+  });
+
+  providerForm.elements.kind.addEventListener('change', toggleRemoteFields);
+
+  providerForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const config = readProviderForm();
+    if (config.kind === 'openai' && !isRemoteProvider(config)) {
+      providerStatus.textContent = 'Enter a base URL and a model, or switch back to the local heuristics.';
+      return;
+    }
+    providerConfig = config;
+    try {
+      localStorage.setItem(PROVIDER_KEY, JSON.stringify(providerConfig));
+    } catch (err) {
+      // localStorage might be full or unavailable
+    }
+    renderProviderStatus();
+    providerModal.classList.add('hidden');
+  });
+
+  btnTestProvider.addEventListener('click', async () => {
+    const config = readProviderForm();
+    if (!isRemoteProvider(config)) {
+      providerStatus.textContent = 'Enter a base URL and a model to test.';
+      return;
+    }
+    providerStatus.textContent = `Contacting ${providerHost(config)}…`;
+    try {
+      const reply = await streamChatCompletion(config, [{ role: 'user', content: 'Reply with the word OK.' }], { onToken: () => {} });
+      providerStatus.textContent = `Connected. ${config.model} replied: "${reply.trim().substring(0, 60)}"`;
+    } catch (e) {
+      providerStatus.textContent = `Connection failed: ${e.message}`;
+    }
+  });
+
+  renderProviderStatus();
+
+  // ─── Custom Tools ──────────────────────────────────────────
+  // Tools the user defines: a prompt template for the model provider and a
+  // pipeline of local steps for offline use, both followed by an optional
+  // post-processing step. They appear as extra tool tabs.
+  const CUSTOM_TOOLS_KEY = 'draftwise_custom_tools';
+  const toolTabs = document.getElementById('toolTabs');
+  const btnCustomTools = document.getElementById('btnCustomTools');
+  const customToolsModal = document.getElementById('customToolsModal');
+  const closeCustomToolsModal = document.getElementById('closeCustomToolsModal');
+  const customToolsList = document.getElementById('customToolsList');
+  const customToolForm = document.getElementById('customToolForm');
+  const btnNewCustomTool = document.getElementById('btnNewCustomTool');
+  const btnExportCustomTools = document.getElementById('btnExportCustomTools');
+  const btnImportCustomTool = document.getElementById('btnImportCustomTool');
+  const customToolImportFile = document.getElementById('customToolImportFile');
+  const customToolsStatus = document.getElementById('customToolsStatus');
+
+  const removeFillerWords = (text) => {
+    let result = text;
+    FILLER_PHRASES.forEach(fp => {
+      result = result.replace(new RegExp(`\\b${escapeRegExp(fp)}\\b\\s*`, 'gi'), '');
+    });
+    WEAK_WORDS.forEach(ww => {
+      result = result.replace(new RegExp(`\\b${ww}\\b\\s*`, 'gi'), '');
+    });
+    return result;
+  };
+
+  // Each step takes the text and returns the changed text
+  const LOCAL_STEPS = {
+    filler: { name: 'Remove filler words', run: removeFillerWords },
+    simplify: {
+      name: 'Use simpler words',
+      run: (text) => Object.entries(COMPLEX_WORDS_MAP).reduce((result, [complex, simple]) => result.replace(new RegExp(`\\b${complex}\\b`, 'gi'), simple.split('/')[0].trim()), text)
+    },
+    active: {
+      name: 'Rewrite passives in active voice',
+      run: (text) => getSentences(text).map(sentence => {
+        const rewrite = toActiveVoice(sentence);
+        return rewrite && rewrite.active ? rewrite.active : sentence;
+      }).join(' ')
+    },
+    summarize: {
+      name: 'Keep the key sentences (about half)',
+      run: (text) => summarize(text, 0.5).sentences.filter(sentence => sentence.kept).map(sentence => sentence.text).join(' ')
+    },
+    tidy: {
+      name: 'Fix capitals and spacing',
+      run: (text) => text.replace(/[ \t]{2,}/g, ' ').replace(/([.!?])\s+([a-z])/g, (match, punct, letter) => `${punct} ${letter.toUpperCase()}`)
+    }
+  };
+
+  // Lines of a reply, or its sentences when it is one block of prose
+  const listItems = (text) => {
+    const lines = text.split('\n').map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s+/, '').trim()).filter(Boolean);
+    return lines.length > 1 ? lines : getSentences(text);
+  };
+
+  const POST_PROCESSORS = {
+    none: { name: 'None', run: (text) => text },
+    bullets: { name: 'Bulleted list', run: (text) => listItems(text).map(item => `• ${item}`).join('\n') },
+    numbered: { name: 'Numbered list', run: (text) => listItems(text).map((item, i) => `${i + 1}. ${item}`).join('\n') },
+    paragraph: { name: 'Single paragraph', run: (text) => listItems(text).join(' ') },
+    'title-case': { name: 'Title case each line', run: (text) => text.split('\n').map(line => toTitleCase(line.trim())).join('\n') }
+  };
+
+  const CUSTOM_TOOL_TEMPLATE = {
+    name: 'Release note',
+    icon: '📝',
+    template: 'Turn the text into a release note for customers. Lead with what changed and why it matters to them, in a {tone} tone.\n\nText:\n{text}',
+    steps: ['filler', 'simplify'],
+    post: 'bullets'
+  };
+
+  function loadCustomTools() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CUSTOM_TOOLS_KEY));
+      if (Array.isArray(saved)) return saved;
+    } catch (e) {
+      // Ignore parse errors
+    }
+    return [];
+  }
+
+  let customTools = loadCustomTools();
+  let editingToolId = null;
+
+  function saveCustomTools() {
+    try {
+      localStorage.setItem(CUSTOM_TOOLS_KEY, JSON.stringify(customTools));
+    } catch (e) {
+      // localStorage might be full or unavailable
+    }
+    renderCustomToolTabs();
+  }
+
+  function normalizeCustomTool(data) {
+    return {
+      id: data.id || createId('tool'),
+      name: String(data.name || 'Untitled tool').trim().substring(0, 40),
+      icon: String(data.icon || '').trim().substring(0, 4),
+      template: String(data.template || ''),
+      steps: (Array.isArray(data.steps) ? data.steps : []).filter(step => step in LOCAL_STEPS),
+      post: data.post in POST_PROCESSORS ? data.post : 'none'
+    };
+  }
+
+  // Tool tabs for custom tools carry "custom:<id>" in data-tool
+  function findCustomTool(tool) {
+    return tool && tool.startsWith('custom:') ? customTools.find(t => t.id === tool.slice(7)) || null : null;
+  }
+
+  function customToolPrompt(custom, text) {
+    const values = { text, tone: toneSelect.value, title: docTitle.value || 'Untitled Document' };
+    const prompt = fillTemplate(custom.template, values);
+    return /\{text\}/.test(custom.template) ? prompt : `${prompt}\n\nText:\n${text}`;
+  }
+
+  function showCustomTool(tool, text) {
+    const custom = findCustomTool(tool);
+    if (!custom) {
+      showToolMessage('This tool no longer exists.', 'info');
+      return;
+    }
+    const result = custom.steps.reduce((current, step) => LOCAL_STEPS[step].run(current), text).replace(/\s{2,}/g, ' ').trim();
+    const output = POST_PROCESSORS[custom.post].run(result);
+    const pipeline = [...custom.steps.map(step => LOCAL_STEPS[step].name), ...(custom.post !== 'none' ? [POST_PROCESSORS[custom.post].name] : [])];
+    renderToolResult(custom.name, [{
+      text: output,
+      label: pipeline.length > 0 ? `Local pipeline: ${pipeline.join(' → ')}` : 'No local steps — add some, or set up an AI provider to run the prompt'
+    }], text);
+  }
+
+  function renderCustomToolTabs() {
+    toolTabs.querySelectorAll('[data-tool^="custom:"]').forEach(tab => tab.remove());
+    customTools.forEach(custom => {
+      btnCustomTools.insertAdjacentHTML('beforebegin', `
+            <button data-tool="custom:${escapeHtml(custom.id)}" class="tool-tab text-xs font-medium px-3 py-1.5 rounded-lg border border-surface-200 text-surface-600 hover:bg-surface-50 whitespace-nowrap" title="${escapeHtml(custom.name)}">${custom.icon ? `${escapeHtml(custom.icon)} ` : ''}${escapeHtml(custom.name)}</button>`);
+    });
+  }
+
+  function setCustomToolsStatus(message) {
+    customToolsStatus.textContent = message;
+  }
+
+  function renderCustomToolsList() {
+    customToolsList.innerHTML = customTools.length === 0
+      ? '<p class="px-4 py-6 text-xs text-surface-400 text-center">No custom tools yet</p>'
+      : customTools.map(t => `
+        <div class="custom-tool-item px-4 py-2.5 cursor-pointer hover:bg-surface-50 ${t.id === editingToolId ? 'bg-brand-50' : ''}" data-custom-tool-id="${escapeHtml(t.id)}">
+          <p class="text-xs font-medium text-surface-800 truncate">${t.icon ? `${escapeHtml(t.icon)} ` : ''}${escapeHtml(t.name)}</p>
+          <p class="text-xs text-surface-400">${t.steps.length} local step${t.steps.length !== 1 ? 's' : ''} · ${escapeHtml(POST_PROCESSORS[t.post].name)}</p>
+        </div>`).join('');
+  }
+
+  function renderCustomToolForm(custom) {
+    const data = custom || normalizeCustomTool(CUSTOM_TOOL_TEMPLATE);
+    const inputClass = 'w-full text-xs text-surface-800 bg-surface-50 border border-surface-200 rounded-md px-2 py-1.5 outline-none focus:border-brand-400';
+    const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+    customToolForm.innerHTML = `
+      <form class="space-y-3" data-custom-tool-form>
+        <div class="grid grid-cols-4 gap-3">
+          <label class="block text-xs text-surface-600">Icon<input name="toolIcon" maxlength="4" class="${inputClass} mt-1" value="${escapeHtml(data.icon)}" placeholder="✨"></label>
+          <label class="block text-xs text-surface-600 col-span-3">Name<input name="toolName" required maxlength="40" class="${inputClass} mt-1" value="${escapeHtml(data.name)}"></label>
+        </div>
+        <label class="block text-xs text-surface-600">Prompt template <span class="text-surface-400">— sent to the AI provider; {text}, {tone} and {title} are filled in</span>
+          <textarea name="toolTemplate" rows="5" class="${inputClass} font-mono mt-1">${escapeHtml(data.template)}</textarea>
+        </label>
+        <div>
+          <p class="text-xs text-surface-600 mb-1">Local pipeline <span class="text-surface-400">— runs in order when no provider is set, or when it fails</span></p>
+          <div class="border border-surface-100 rounded-lg divide-y divide-surface-100">
+            ${Object.entries(LOCAL_STEPS).map(([id, step]) => `
+              <label class="flex items-center gap-2 px-3 py-1.5 text-xs text-surface-700">
+                <input type="checkbox" data-custom-tool-step="${id}" ${data.steps.includes(id) ? 'checked' : ''} class="rounded border-surface-300 text-brand-600 focus:ring-brand-400">
+                ${step.name}
+              </label>`).join('')}
+          </div>
+        </div>
+        <label class="block text-xs text-surface-600">Post-processing<select name="toolPost" class="${inputClass} mt-1">
+          ${Object.entries(POST_PROCESSORS).map(([id, post]) => option(id, post.name, data.post)).join('')}
+        </select></label>
+        <div class="flex items-center gap-2 pt-1">
+          <button type="submit" class="text-xs bg-brand-600 text-white hover:bg-brand-700 px-3 py-1.5 rounded-lg transition-colors font-medium">${custom ? 'Save tool' : 'Add tool'}</button>
+          ${custom ? `
+          <button type="button" data-custom-tool-export class="text-xs text-surface-600 hover:text-surface-800 px-3 py-1.5 rounded-lg hover:bg-surface-100">Export</button>
+          <button type="button" data-custom-tool-delete class="text-xs text-red-600 hover:text-red-700 px-3 py-1.5 rounded-lg hover:bg-red-50">Delete</button>` : ''}
+        </div>
+      </form>`;
+  }
+
+  function readCustomToolForm(form) {
+    const el = form.elements;
+    return {
+      name: el.toolName.value.trim(),
+      icon: el.toolIcon.value.trim(),
+      template: el.toolTemplate.value,
+      // Steps run in the order they are listed
+      steps: [...form.querySelectorAll('[data-custom-tool-step]:checked')].map(box => box.dataset.customToolStep),
+      post: el.toolPost.value
+    };
+  }
+
+  function exportCustomTools(tools) {
+    const shared = tools.map(({ id, ...tool }) => tool);
+    const file = tools.length === 1
+      ? { type: 'draftwise-tool', version: 1, tool: shared[0] }
+      : { type: 'draftwise-tools', version: 1, tools: shared };
+    const name = tools.length === 1 ? `${slugify(tools[0].name)}.tool.json` : 'draftwise-tools.json';
+    downloadFile(name, JSON.stringify(file, null, 2), 'application/json');
+  }
+
+  // Accepts one exported tool or a bundle of them
+  function importCustomTools(data) {
+    const sources = data && data.type === 'draftwise-tools' && Array.isArray(data.tools) ? data.tools
+      : data && data.type === 'draftwise-tool' ? [data.tool] : [];
+    const valid = sources.filter(source => source && source.name && typeof source.template === 'string');
+    if (valid.length === 0) {
+      throw new Error('This file is not a DraftWise tool.');
+    }
+    const imported = valid.map(source => normalizeCustomTool({ ...source, id: undefined }));
+    customTools.push(...imported);
+    saveCustomTools();
+    return imported;
+  }
+
+  function refreshCustomToolsModal() {
+    renderCustomToolsList();
+    renderCustomToolForm(customTools.find(t => t.id === editingToolId) || null);
+  }
+
+  btnCustomTools.addEventListener('click', () => {
+    customToolsModal.classList.remove('hidden');
+    editingToolId = customTools.length ? customTools[0].id : null;
+    setCustomToolsStatus('');
+    refreshCustomToolsModal();
+  });
+
+  closeCustomToolsModal.addEventListener('click', () => {
+    customToolsModal.classList.add('hidden');
+  });
+
+  customToolsModal.addEventListener('click', (e) => {
+    if (e.target === customToolsModal) {
+      customToolsModal.classList.add('hidden');
+    }
+  });
+
+  customToolsList.addEventListener('click', (e) => {
+    const item = e.target.closest('.custom-tool-item');
+    if (!item) return;
+    editingToolId = item.dataset.customToolId;
+    setCustomToolsStatus('');
+    refreshCustomToolsModal();
+  });
+
+  customToolForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const fields = readCustomToolForm(e.target);
+    const existing = customTools.find(t => t.id === editingToolId);
+    if (existing) {
+      Object.assign(existing, normalizeCustomTool({ ...fields, id: existing.id }));
+    } else {
+      const custom = normalizeCustomTool(fields);
+      customTools.push(custom);
+      editingToolId = custom.id;
+    }
+    saveCustomTools();
+    setCustomToolsStatus('Tool saved. It is now in the tool tabs.');
+    refreshCustomToolsModal();
+  });
+
+  customToolForm.addEventListener('click', (e) => {
+    const custom = customTools.find(t => t.id === editingToolId);
+    if (!custom) return;
+    if (e.target.matches('[data-custom-tool-export]')) {
+      exportCustomTools([custom]);
+    } else if (e.target.matches('[data-custom-tool-delete]')) {
+      if (!confirm(`Delete the "${custom.name}" tool?`)) return;
+      customTools = customTools.filter(t => t.id !== custom.id);
+      editingToolId = null;
+      saveCustomTools();
+      setCustomToolsStatus('Tool deleted.');
+      refreshCustomToolsModal();
+    }
+  });
+
+  btnNewCustomTool.addEventListener('click', () => {
+    editingToolId = null;
+    setCustomToolsStatus('');
+    refreshCustomToolsModal();
+  });
+
+  btnExportCustomTools.addEventListener('click', () => {
+    if (customTools.length === 0) {
+      setCustomToolsStatus('There are no tools to export yet.');
+      return;
+    }
+    exportCustomTools(customTools);
+  });
+
+  btnImportCustomTool.addEventListener('click', () => customToolImportFile.click());
+
+  customToolImportFile.addEventListener('change', async () => {
+    const file = customToolImportFile.files[0];
+    customToolImportFile.value = '';
+    if (!file) return;
+    try {
+      const imported = importCustomTools(JSON.parse(await readFileAsText(file)));
+      editingToolId = imported[0].id;
+      setCustomToolsStatus(imported.length === 1 ? `Imported "${imported[0].name}".` : `Imported ${imported.length} tools.`);
+    } catch (e) {
+      setCustomToolsStatus(`Import failed: ${e.message}`);
+    }
+    refreshCustomToolsModal();
+  });
+
+  renderCustomToolTabs();
+
+  // ─── Spell Checker ─────────────────────────────────────────
+  // Checks words offline against a bundled Hunspell dictionary (.aff/.dic).
+  // Only the parts of the affix format that English needs are implemented:
+  // prefixes, suffixes, cross products, REP/TRY suggestions and NOSUGGEST.
+  const SPELLING_DICTIONARY = { aff: 'dictionaries/en_US.aff', dic: 'dictionaries/en_US.dic' };
+  const MAX_SPELLING_SUGGESTIONS = 5;
+
+  let speller = null;
+  let spellerState = 'loading';
+
+  function parseFlags(flags, mode) {
+    if (!flags) return [];
+    if (mode === 'long') return flags.match(/../g) || [];
+    if (mode === 'num') return flags.split(',');
+    return [...flags];
+  }
+
+  function parseAffixFile(text) {
+    const aff = { flagMode: 'char', prefixes: [], suffixes: [], rep: [], tryChars: '', iconv: [], noSuggest: null, onlyInCompound: null };
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach(line => {
+      const parts = line.replace(/#.*$/, '').trim().split(/\s+/);
+      const [key] = parts;
+      if (key === 'FLAG') aff.flagMode = parts[1] === 'long' ? 'long' : parts[1] === 'num' ? 'num' : 'char';
+      if (key === 'TRY') aff.tryChars = parts[1] || '';
+      if (key === 'NOSUGGEST') aff.noSuggest = parts[1];
+      if (key === 'ONLYINCOMPOUND') aff.onlyInCompound = parts[1];
+      if (key === 'ICONV' && parts.length === 3) aff.iconv.push([parts[1], parts[2]]);
+      if (key === 'REP' && parts.length === 3) aff.rep.push([parts[1], parts[2].replace(/_/g, ' ')]);
+    });
+
+    // Affix groups: a header line "SFX F Y 2" followed by its entries
+    // "SFX F strip add condition"
+    const groups = {};
+    lines.forEach(line => {
+      const parts = line.replace(/#.*$/, '').trim().split(/\s+/);
+      if (parts[0] !== 'PFX' && parts[0] !== 'SFX') return;
+      const groupKey = `${parts[0]} ${parts[1]}`;
+      if (!groups[groupKey]) {
+        groups[groupKey] = { cross: parts[2] === 'Y' };
+        return;
+      }
+      const isSuffix = parts[0] === 'SFX';
+      const condition = parts[4] || '.';
+      const add = (parts[3] || '0').split('/')[0];
+      const entry = {
+        flag: parts[1],
+        cross: groups[groupKey].cross,
+        strip: parts[2] === '0' ? '' : parts[2],
+        add: add === '0' ? '' : add,
+        condition: condition === '.' ? null : new RegExp(isSuffix ? `(?:${condition})$` : `^(?:${condition})`)
+      };
+      (isSuffix ? aff.suffixes : aff.prefixes).push(entry);
+    });
+
+    return aff;
+  }
+
+  function parseDictionaryFile(text, aff) {
+    const words = new Map();
+    text.split(/\r?\n/).slice(1).forEach(line => {
+      const entry = line.trim().split(/\s+/)[0];
+      if (!entry) return;
+      const slash = entry.search(/(?<!\\)\//);
+      const word = (slash === -1 ? entry : entry.substring(0, slash)).replace(/\\\//g, '/');
+      const flags = slash === -1 ? [] : parseFlags(entry.substring(slash + 1), aff.flagMode);
+      const existing = words.get(word);
+      words.set(word, existing ? existing.concat(flags) : flags);
+    });
+    return words;
+  }
+
+  function createSpeller(affText, dicText) {
+    const aff = parseAffixFile(affText);
+    const words = parseDictionaryFile(dicText, aff);
+
+    function hasFlag(flags, flag) {
+      return flags.includes(flag) && !flags.includes(aff.onlyInCompound);
+    }
+
+    function isRoot(word) {
+      const flags = words.get(word);
+      return flags !== undefined && !flags.includes(aff.onlyInCompound);
+    }
+
+    function stripPrefix(word, test) {
+      return aff.prefixes.some(prefix => {
+        if (!word.startsWith(prefix.add) || word.length <= prefix.add.length) return false;
+        const root = prefix.strip + word.substring(prefix.add.length);
+        if (prefix.condition && !prefix.condition.test(root)) return false;
+        return test(root, prefix);
+      });
+    }
+
+    function stripSuffix(word, test) {
+      return aff.suffixes.some(suffix => {
+        if (!word.endsWith(suffix.add) || word.length <= suffix.add.length) return false;
+        const root = word.substring(0, word.length - suffix.add.length) + suffix.strip;
+        if (suffix.condition && !suffix.condition.test(root)) return false;
+        return test(root, suffix);
+      });
+    }
+
+    function hasForm(word) {
+      if (isRoot(word)) return true;
+      const withFlag = (root, affix) => {
+        const flags = words.get(root);
+        return flags !== undefined && hasFlag(flags, affix.flag);
+      };
+      if (stripPrefix(word, withFlag)) return true;
+      return stripSuffix(word, (root, suffix) => {
+        if (withFlag(root, suffix)) return true;
+        // Cross products such as "un-" + "-able": both flags on one root
+        return suffix.cross && stripPrefix(root, (inner, prefix) => {
+          const flags = words.get(inner);
+          return prefix.cross && flags !== undefined && hasFlag(flags, prefix.flag) && hasFlag(flags, suffix.flag);
+        });
+      });
+    }
+
+    // Hunspell's case rules: "Word" may be a sentence-initial "word", and
+    // "WORD" may be any casing of it. Mixed case must match exactly.
+    function check(rawWord) {
+      const word = aff.iconv.reduce((w, [from, to]) => w.split(from).join(to), rawWord);
+      if (hasForm(word)) return true;
+      const lower = word.toLowerCase();
+      if (word === lower) return false;
+      const capitalized = lower.charAt(0).toUpperCase() + lower.substring(1);
+      if (word === capitalized) return hasForm(lower);
+      if (word === word.toUpperCase()) return hasForm(capitalized) || hasForm(lower);
+      return false;
+    }
+
+    function isSuggestible(word) {
+      const flags = words.get(word) || words.get(word.toLowerCase());
+      return !flags || !aff.noSuggest || !flags.includes(aff.noSuggest);
+    }
+
+    const suggestionCache = new Map();
+
+    function suggest(rawWord) {
+      if (suggestionCache.has(rawWord)) return suggestionCache.get(rawWord);
+
+      const lower = rawWord.toLowerCase();
+      const caseLike = rawWord === rawWord.toUpperCase() && rawWord.length > 1
+        ? w => w.toUpperCase()
+        : rawWord.charAt(0) !== lower.charAt(0)
+          ? w => w.charAt(0).toUpperCase() + w.substring(1)
+          : w => w;
+      const alphabet = [...new Set(aff.tryChars.toLowerCase())].join('') || 'abcdefghijklmnopqrstuvwxyz';
+      const found = new Map();
+
+      const consider = (candidate, source) => {
+        if (!candidate || candidate === lower || found.has(candidate)) return;
+        const cased = caseLike(candidate);
+        const valid = candidate.includes(' ')
+          ? candidate.split(' ').every(part => check(caseLike(part)) || check(part))
+          : check(cased) || check(candidate);
+        if (valid && isSuggestible(candidate)) found.set(candidate, source);
+      };
+
+      const edits = (word) => {
+        const results = [];
+        for (let i = 0; i <= word.length; i++) {
+          const head = word.substring(0, i);
+          const tail = word.substring(i);
+          if (tail) results.push(head + tail.substring(1));
+          if (tail.length > 1) results.push(head + tail[1] + tail[0] + tail.substring(2));
+          for (const ch of alphabet) {
+            if (tail) results.push(head + ch + tail.substring(1));
+            results.push(head + ch + tail);
+          }
+        }
+        return results;
+      };
+
+      const likelyEdits = (word) => {
+        const results = [];
+        for (let i = 0; i <= word.length; i++) {
+          const head = word.substring(0, i);
+          const tail = word.substring(i);
+          if (tail) {
+            results.push(head + tail.substring(1));
+            results.push(head + tail[0] + tail);
+          }
+          if (tail.length > 1) results.push(head + tail[1] + tail[0] + tail.substring(2));
+          for (const vowel of 'aeiouy') {
+            if (/^[aeiouy]/.test(tail)) results.push(head + vowel + tail.substring(1));
+            results.push(head + vowel + tail);
+          }
+        }
+        return results;
+      };
+
+      aff.rep.forEach(([from, to]) => {
+        let index = lower.indexOf(from);
+        while (index !== -1) {
+          consider(lower.substring(0, index) + to + lower.substring(index + from.length), 'rep');
+          index = lower.indexOf(from, index + 1);
+        }
+      });
+
+      const firstEdits = edits(lower);
+      firstEdits.forEach(candidate => consider(candidate, 'edit'));
+
+      // Run-together words ("everytime") only when no single word is one
+      // edit away: nearly any word splits into two shorter ones ("col our")
+      if (found.size === 0) {
+        for (let i = 1; i < lower.length; i++) {
+          const head = lower.substring(0, i);
+          const tail = lower.substring(i);
+          if ([head, tail].every(part => part.length > 1 || part === 'a' || part === 'i')) consider(`${head} ${tail}`, 'split');
+        }
+      }
+
+      // Two edits away only when nothing closer turned up, and only the
+      // slips people make twice in one word: doubled or dropped letters,
+      // swaps and vowel mix-ups ("tommorow", "reccomend"). Every edit of
+      // every edit is hundreds of thousands of lookups per word.
+      if (found.size === 0 && lower.length <= 12) {
+        const seconds = new Set(likelyEdits(lower).flatMap(likelyEdits));
+        seconds.forEach(candidate => consider(candidate, 'edit'));
+      }
+
+      // Closest first; common slips (REP pairs, swapped or missing
+      // apostrophes) beat unrelated words at the same distance
+      const letters = w => [...w.replace(/['\s]/g, '')].sort().join('');
+      const ranked = [...found.entries()]
+        .map(([candidate, source]) => ({
+          candidate,
+          distance: editDistance(lower, candidate)
+            - (source === 'rep' ? 0.5 : 0)
+            + (source === 'split' ? 0.5 : 0)
+            - (letters(candidate) === letters(lower) ? 0.25 : 0),
+          lengthChange: Math.abs(candidate.length - lower.length),
+          sameStart: candidate.charAt(0) === lower.charAt(0) ? 0 : 1
+        }))
+        .sort((a, b) => a.distance - b.distance || a.lengthChange - b.lengthChange || a.sameStart - b.sameStart)
+        .slice(0, MAX_SPELLING_SUGGESTIONS)
+        .map(({ candidate }) => (check(caseLike(candidate)) ? caseLike(candidate) : candidate));
+
+      suggestionCache.set(rawWord, ranked);
+      return ranked;
+    }
+
+    return { check, suggest };
+  }
+
+  // Optimal string alignment distance: insertions, deletions,
+  // substitutions and adjacent transpositions each cost 1.
+  function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+      rows.push([i]);
+      for (let j = 1; j <= b.length; j++) {
+        if (i === 0) {
+          rows[i][j] = j;
+          continue;
+        }
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  // Spans that are not prose: inline code, URLs, email addresses, file
+  // paths and identifiers such as camelCase or snake_case names.
+  const NON_PROSE_PATTERN = /`[^`\n]*`|\b(?:https?:\/\/|www\.)\S+|\S+@\S+\.\w+|\S*[\\/]\S+|\S*[a-z][A-Z]\S*|\S*_\S*|\S+\.(?:js|ts|json|html|css|md|py|txt)\b/g;
+
+  function matchSpelling(text) {
+    if (!speller) return [];
+    const prose = text.replace(NON_PROSE_PATTERN, span => ' '.repeat(span.length));
+    const matches = [];
+    tokenize(prose).words.forEach(token => {
+      // Model numbers, abbreviations and addresses are not prose
+      if (/[\d.@]/.test(token.text)) return;
+      // Hyphenated compounds are checked part by part
+      let offset = token.start;
+      token.text.split('-').forEach(word => {
+        const index = offset;
+        offset += word.length + 1;
+        if (word.length < 2 || isKnownWord(word) || speller.check(word)) return;
+        const suggestions = speller.suggest(word);
+        matches.push({
+          index,
+          length: word.length,
+          text: word,
+          values: {
+            suggestions: suggestions.length ? `Did you mean ${suggestions.slice(0, 3).map(s => `"${s}"`).join(', ')}?` : 'No suggestions found.'
+          },
+          replacement: suggestions[0]
+        });
+      });
+    });
+    return matches;
+  }
+
+  async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: ${response.status}`);
+    return response.text();
+  }
+
+  async function loadSpeller() {
+    try {
+      const [aff, dic] = await Promise.all([fetchText(SPELLING_DICTIONARY.aff), fetchText(SPELLING_DICTIONARY.dic)]);
+      speller = createSpeller(aff, dic);
+      spellerState = 'ready';
+    } catch (e) {
+      // Pages opened straight from disk can't fetch the dictionary;
+      // everything else keeps working without spelling results
+      spellerState = 'unavailable';
+      return;
+    }
+    paragraphCache.clear();
+    if (lastAnalysis) runLiveAnalysis();
+  }
+
+  // ─── Grammar Checker ───────────────────────────────────────
+  // A small lexicon-and-suffix part-of-speech tagger feeds pattern rules
+  // for agreement, confusable words and comma use. Tags loosely follow the
+  // Penn Treebank names (DT, PRP, NN, VBZ, ...).
+  const SUBJECT_PRONOUNS = { i: 'first', you: 'plural', we: 'plural', they: 'plural', he: 'singular', she: 'singular', it: 'singular' };
+  const SINGULAR_DETERMINERS = ['a', 'an', 'this', 'that', 'each', 'every', 'another'];
+  const PLURAL_DETERMINERS = ['these', 'those', 'many', 'several', 'both', 'few', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+  const SUBORDINATORS = ['if', 'when', 'because', 'although', 'though', 'while', 'since', 'unless', 'until', 'whereas', 'once', 'whenever', 'after', 'before'];
+  const INTRODUCTORY_ADVERBS = ['however', 'therefore', 'moreover', 'meanwhile', 'furthermore', 'consequently', 'nevertheless', 'nonetheless', 'additionally', 'unfortunately', 'fortunately', 'finally', 'instead', 'otherwise', 'similarly', 'likewise', 'overall', 'hence'];
+  const SINGULAR_S_NOUNS = ['news', 'series', 'species', 'physics', 'mathematics', 'economics', 'politics', 'ethics', 'lens', 'means'];
+  // Plural without an -s: "the children play", "the police are"
+  const IRREGULAR_PLURALS = ['children', 'people', 'men', 'women', 'feet', 'teeth', 'mice', 'geese', 'oxen', 'police', 'cattle', 'criteria', 'phenomena'];
+  const COMMON_VERBS = ['ask', 'become', 'begin', 'believe', 'bring', 'build', 'buy', 'call', 'change', 'come', 'create', 'decide', 'depend', 'expect', 'feel', 'find', 'follow', 'get', 'give', 'go', 'grow', 'happen', 'hear', 'help', 'hold', 'include', 'keep', 'know', 'lead', 'learn', 'leave', 'like', 'live', 'look', 'love', 'make', 'mean', 'meet', 'move', 'need', 'offer', 'open', 'pay', 'play', 'prefer', 'provide', 'put', 'reach', 'read', 'remember', 'require', 'run', 'say', 'see', 'seem', 'send', 'show', 'sit', 'speak', 'stand', 'start', 'stay', 'support', 'take', 'talk', 'teach', 'tell', 'think', 'try', 'turn', 'understand', 'use', 'wait', 'walk', 'want', 'watch', 'win', 'work', 'write'];
+
+  function thirdPersonForm(base) {
+    if (base === 'have') return 'has';
+    if (/(?:s|sh|ch|x|z|o)$/.test(base)) return `${base}es`;
+    if (/[^aeiou]y$/.test(base)) return `${base.slice(0, -1)}ies`;
+    return `${base}s`;
+  }
+
+  // "barks" → "bark", "watches" → "watch", "flies" → "fly"
+  function baseForm(thirdPerson) {
+    if (/[^aeiou]ies$/.test(thirdPerson)) return `${thirdPerson.slice(0, -3)}y`;
+    if (/(?:ss|sh|ch|x|zz|o)es$/.test(thirdPerson)) return thirdPerson.slice(0, -2);
+    return thirdPerson.slice(0, -1);
+  }
+
+  const THIRD_PERSON = new Map(COMMON_VERBS.map(base => [thirdPersonForm(base), base]));
+
+  const POS_LEXICON = new Map();
+  const addToLexicon = (tag, words) => words.split(' ').forEach(word => POS_LEXICON.set(word, tag));
+  addToLexicon('DT', 'the a an this that these those every each some any no another either neither all both many several few much');
+  addToLexicon('PRP', 'i you he she it we they me him us them');
+  addToLexicon('PRP$', 'my your his her its our their');
+  addToLexicon('IN', 'of in on at by for with from about into over under between through during without within upon across against among around behind beyond toward towards near per via like than');
+  addToLexicon('SUB', SUBORDINATORS.join(' '));
+  addToLexicon('CC', 'and but or nor yet so');
+  addToLexicon('TO', 'to');
+  addToLexicon('MD', 'can could will would shall should may might must');
+  addToLexicon('VBZ', "is has does isn't hasn't doesn't");
+  addToLexicon('VBP', "am are have do aren't haven't don't");
+  addToLexicon('VBD', "was were had did wasn't weren't hadn't didn't");
+  addToLexicon('VB', 'be');
+  addToLexicon('VBN', 'been');
+  addToLexicon('VBG', 'being');
+  addToLexicon('RB', 'not very really too also just only always never often still already quite rather even ever usually sometimes probably more most less');
+  addToLexicon('JJ', 'good bad new old great big small high low long short hard easy large important different clear simple sure able ready free full real best better worse whole early late happy fast slow');
+  addToLexicon('WDT', 'which who whom whose what where why how');
+  addToLexicon('EX', 'there');
+  addToLexicon('NNS', IRREGULAR_PLURALS.join(' '));
+  addToLexicon('RB', INTRODUCTORY_ADVERBS.join(' '));
+  COMMON_VERBS.forEach(base => POS_LEXICON.set(base, 'VB'));
+  THIRD_PERSON.forEach((base, form) => POS_LEXICON.set(form, 'VBZ'));
+
+  function guessTag(token) {
+    const { lower } = token;
+    if (/^\d/.test(lower)) return 'CD';
+    if (/ly$/.test(lower)) return 'RB';
+    if (/ing$/.test(lower)) return 'VBG';
+    if (/ed$/.test(lower)) return 'VBD';
+    if (/(?:ous|ful|ive|able|ible|ical|less)$/.test(lower)) return 'JJ';
+    // Comparatives of known adjectives: "harder", "easier"
+    const base = lower.replace(/ier$/, 'y').replace(/(?:er|est)$/, '');
+    if (base !== lower && POS_LEXICON.get(base) === 'JJ') return 'JJ';
+    if (/^[A-Z]/.test(token.text) && !token.sentenceStart) return 'NNP';
+    if (/[^s]s$/.test(lower) && !/(?:us|is)$/.test(lower) && !SINGULAR_S_NOUNS.includes(lower)) return 'NNS';
+    return 'NN';
+  }
+
+  // Tags one sentence's tokens in place, then fixes up the tags that
+  // depend on the previous word.
+  function tagTokens(tokens) {
+    tokens.forEach((token, i) => {
+      if (token.punct) {
+        token.tag = token.text;
+        return;
+      }
+      token.sentenceStart = i === 0;
+      token.tag = POS_LEXICON.get(token.lower) || guessTag(token);
+    });
+    tokens.forEach((token, i) => {
+      const prev = tokens[i - 1];
+      if (!prev || token.punct) return;
+      const next = tokens[i + 1];
+      const isNounGuess = !POS_LEXICON.has(token.lower) && /^NNS?$/.test(token.tag);
+      if (/^(?:that|which|who)$/.test(token.lower) && /^NN/.test(prev.tag)) {
+        // "teams that measure": a relative pronoun, not a determiner
+        token.tag = 'WDT';
+      } else if ((prev.tag === 'WDT' || (/^NN/.test(prev.tag) && next && (/^(?:DT|PRP\$|RB)$/.test(next.tag) || (prev.tag === 'NN' && next.tag === 'IN' && /s$/.test(token.lower))))) && isNounGuess) {
+        // A noun followed by an unknown word and then an object is most
+        // likely subject + verb: "teams juggle more", "retention depends on"
+        token.tag = token.tag === 'NNS' ? 'VBZ' : 'VBP';
+      } else if (prev.tag === 'PRP' && SUBJECT_PRONOUNS[prev.lower] && isNounGuess) {
+        token.tag = token.tag === 'NNS' ? 'VBZ' : 'VBP';
+      } else if (prev.tag === 'RB' && !/^(?:more|most|less)$/.test(prev.lower) && token.tag === 'NNS' && isNounGuess && i > 1 && /^(?:NNS?|NNP|VBP?)$/.test(tokens[i - 2].tag)) {
+        // "work always improves", but "juggle more meetings"
+        token.tag = 'VBZ';
+      } else if ((prev.tag === 'MD' || prev.tag === 'TO') && isNounGuess) {
+        token.tag = 'VB';
+      } else if ((prev.tag === 'DT' || prev.tag === 'PRP$' || prev.tag === 'JJ') && /^VB[PZ]?$/.test(token.tag) && !/^(?:is|are|am|be|has|have|do|does)$/.test(token.lower)) {
+        // "the work", "a need", "their needs"
+        token.tag = /s$/.test(token.lower) ? 'NNS' : 'NN';
+      } else if (prev.lower === 'there' && /^(?:VB[ZPD]|MD)$/.test(token.tag)) {
+        prev.tag = 'EX';
+      }
+      if (token.lower === 'her' && prev.tag === 'DT') token.tag = 'PRP';
+    });
+    tokens.forEach((token, i) => {
+      // A base verb right before the main verb heads the subject: "remote work makes"
+      const next = tokens[i + 1] && tokens[i + 1].tag === 'RB' ? tokens[i + 2] : tokens[i + 1];
+      const prev = tokens[i - 1];
+      if (token.tag === 'VB' && next && /^(?:VBZ|VBD|MD)$/.test(next.tag) && (!prev || /^(?:NNS?|JJ|DT|PRP\$)$/.test(prev.tag))) {
+        token.tag = 'NN';
+      }
+    });
+    return tokens;
+  }
+
+  // Sentences as token lists with offsets into the text
+  function tokenizeForGrammar(text) {
+    const sentences = [];
+    tokenize(text).sentences.forEach(sentence => {
+      const tokens = [];
+      const tokenPattern = /[A-Za-z0-9]+(?:['’][A-Za-z]+)*|[,;:.!?]/g;
+      let token;
+      while ((token = tokenPattern.exec(sentence.text)) !== null) {
+        const word = token[0].replace(/’/g, "'");
+        tokens.push({
+          text: token[0],
+          lower: word.toLowerCase(),
+          index: sentence.start + token.index,
+          punct: /^[,;:.!?]$/.test(word)
+        });
+      }
+      if (tokens.length) sentences.push(tagTokens(tokens));
+    });
+    return sentences;
+  }
+
+  const isVerbTag = (tag) => /^(?:VB[ZPD]|MD)$/.test(tag);
+  const wordMatch = (token, replacement) => ({ index: token.index, length: token.text.length, text: token.text, values: { replacement }, replacement });
+
+  const AGREEMENT_FIXES = {
+    singular: { are: 'is', were: 'was', have: 'has', do: 'does', "don't": "doesn't", "aren't": "isn't", "weren't": "wasn't", "haven't": "hasn't", am: 'is' },
+    plural: { is: 'are', am: 'are', was: 'were', has: 'have', does: 'do', "doesn't": "don't", "isn't": "aren't", "wasn't": "weren't", "hasn't": "haven't" },
+    first: { is: 'am', are: 'am', were: 'was', has: 'have', does: 'do', "doesn't": "don't", "isn't": "am not", "aren't": 'am not', "hasn't": "haven't" }
+  };
+
+  function agreementFix(number, verb) {
+    const fixed = AGREEMENT_FIXES[number][verb.lower];
+    if (fixed) return fixed;
+    if (number === 'singular' && verb.tag === 'VB' && COMMON_VERBS.includes(verb.lower)) return thirdPersonForm(verb.lower);
+    if (number !== 'singular' && THIRD_PERSON.has(verb.lower)) return THIRD_PERSON.get(verb.lower);
+    if (number !== 'singular' && verb.tag === 'VBZ' && /[^s]s$/.test(verb.lower)) return baseForm(verb.lower);
+    return null;
+  }
+
+  // Finds "subject verb" pairs: a subject pronoun or a determiner + noun
+  // phrase, optionally followed by adverbs before the verb.
+  function matchAgreement(text) {
+    const matches = [];
+    tokenizeForGrammar(text).forEach(tokens => {
+      tokens.forEach((token, i) => {
+        let number = null;
+        let verbIndex = i + 1;
+        const before = tokens[i - 1];
+        // "if it were", "I wish they were": subjunctive, not agreement
+        if (before && /^(?:if|wish|though)$/.test(before.lower)) return;
+        // "my friends and I are", "one of the writers has": the subject
+        // starts earlier than this word
+        if (before && (before.tag === 'CC' || before.tag === 'IN')) return;
+
+        if (token.tag === 'PRP' && SUBJECT_PRONOUNS[token.lower]) {
+          // "you" and "it" are also objects: "what I told you is true"
+          if (before && /^(?:VB|IN|TO)/.test(before.tag) && token.lower !== 'i') return;
+          number = SUBJECT_PRONOUNS[token.lower];
+        } else if (token.lower === 'the' || token.tag === 'PRP$' || SINGULAR_DETERMINERS.includes(token.lower) || PLURAL_DETERMINERS.includes(token.lower)) {
+          let j = i + 1;
+          while (tokens[j] && tokens[j].tag === 'JJ') j++;
+          const noun = tokens[j];
+          if (!noun || !/^NNS?$/.test(noun.tag)) return;
+          // "the" and "their" take their number from the noun
+          const plural = PLURAL_DETERMINERS.includes(token.lower) || (!SINGULAR_DETERMINERS.includes(token.lower) && noun.tag === 'NNS');
+          if (plural !== (noun.tag === 'NNS')) return;
+          number = plural ? 'plural' : 'singular';
+          verbIndex = j + 1;
+        }
+        if (!number) return;
+
+        while (tokens[verbIndex] && tokens[verbIndex].tag === 'RB') verbIndex++;
+        let verb = tokens[verbIndex];
+        if (!verb) return;
+        // An unknown -s word ending a plural subject's clause is its verb,
+        // not a second noun: "the dogs barks.", "the dogs barks at night"
+        const after = tokens[verbIndex + 1];
+        if (number === 'plural' && verb.tag === 'NNS' && !POS_LEXICON.has(verb.lower) &&
+            (!after || after.punct || /^(?:RB|IN|DT|PRP\$)$/.test(after.tag))) {
+          verb = { ...verb, tag: 'VBZ' };
+        }
+        if (!/^VB[ZPD]?$/.test(verb.tag)) return;
+        const fixed = agreementFix(number, verb);
+        if (fixed) matches.push(wordMatch(verb, fixed));
+      });
+    });
+    return matches;
+  }
+
+  // Letters whose spoken name starts with a vowel sound: "an FBI agent"
+  const VOWEL_SOUND_LETTERS = 'AEFHILMNORSX';
+  const AN_EXCEPTIONS = /^(?:hour|honest|honou?r|heir|herb)/;
+  const A_EXCEPTIONS = /^(?:uni(?!nt|mp|nf|nd|nv)|use|usu|uti|ure|uro|eu|ewe|one\b|once|ubiq|uk\b)/;
+
+  function expectsAn(word) {
+    if (/^[A-Z]{2,}$/.test(word) || /^[A-Z]$/.test(word)) return VOWEL_SOUND_LETTERS.includes(word.charAt(0));
+    if (/^\d/.test(word)) return /^(?:8|11|18)/.test(word);
+    const lower = word.toLowerCase();
+    if (AN_EXCEPTIONS.test(lower)) return true;
+    if (A_EXCEPTIONS.test(lower)) return false;
+    return /^[aeiou]/.test(lower);
+  }
+
+  // Pairs of neighbouring words with only whitespace between them
+  function adjacentWords(text) {
+    const { words } = tokenize(text);
+    return words.slice(1)
+      .map((word, i) => [words[i], word])
+      .filter(([first, second]) => !text.substring(first.end, second.start).trim());
+  }
+
+  function matchArticles(text) {
+    const matches = [];
+    adjacentWords(text).forEach(([article, word]) => {
+      if (!/^an?$/i.test(article.text) || !/^[A-Za-z0-9]/.test(word.text)) return;
+      const wantsAn = expectsAn(word.text);
+      if (wantsAn === (article.text.toLowerCase() === 'an')) return;
+      // "a" on its own as a list letter or variable: "option a or b"
+      if (/^[a-z]$/.test(word.text) && word.text !== 'a') return;
+      const fixed = wantsAn ? 'an' : 'a';
+      matches.push({ index: article.start, length: article.text.length, text: article.text, values: { replacement: fixed, next: word.text }, replacement: fixed });
+    });
+    return matches;
+  }
+
+  const ALLOWED_REPEATS = ['had', 'that', 'is', 'do', 'very', 'bye', 'ha', 'no', 'so'];
+
+  function matchRepeatedWords(text) {
+    const matches = [];
+    adjacentWords(text).forEach(([first, second]) => {
+      const word = first.text.toLowerCase();
+      if (word !== second.text.toLowerCase() || /\d/.test(word) || ALLOWED_REPEATS.includes(word)) return;
+      const repeated = text.substring(first.start, second.end);
+      matches.push({ index: first.start, length: repeated.length, text: repeated, values: { word: first.text }, replacement: first.text });
+    });
+    return matches;
+  }
+
+  // [wrong word, words that may follow it, right word]
+  const CONFUSABLES = [
+    ['its', ['a', 'an', 'the', 'been', 'not', 'going', 'getting', 'gotten', 'got', 'because', 'about', 'all', 'just', 'time'], "it's"],
+    ["it's", ['own', 'self'], 'its'],
+    ['your', ['a', 'an', 'the', 'not', 'going', 'doing', 'being', 'welcome', 'right', 'wrong', 'sure', 'so', 'very', 'too', 'probably', 'always', 'never', 'able', 'ready', 'correct', 'done'], "you're"],
+    ["you're", ['own', 'self'], 'your'],
+    ['their', ['is', 'are', 'was', 'were', "isn't", "aren't", "wasn't", "weren't", 'will', 'has', 'have', 'seems', 'may', 'might', 'must'], 'there'],
+    ['their', ['going', 'doing', 'coming', 'trying', 'getting', 'making', 'being', 'not', 'always', 'never', 'probably'], "they're"],
+    ['there', ['going', 'doing', 'coming', 'trying', 'getting', 'making', 'being', 'always', 'probably'], "they're"],
+    ['there', ['own', 'team', 'work', 'home', 'house', 'car', 'friends', 'family', 'parents', 'children', 'kids', 'job', 'jobs', 'company', 'customers', 'products', 'money', 'names', 'name', 'way'], 'their'],
+    ["they're", ['own', 'team', 'work', 'home', 'house', 'car', 'friends', 'family', 'parents', 'children', 'kids', 'job', 'jobs', 'company', 'customers', 'products', 'money', 'names', 'name'], 'their'],
+    ["they're", ['is', 'are', 'was', 'were'], 'there']
+  ];
+
+  // Verbs that take a whole clause: "I think it's time"
+  const CLAUSE_VERBS = ['think', 'thought', 'know', 'knew', 'say', 'said', 'says', 'believe', 'believed', 'hope', 'hoped', 'guess', 'guessed', 'feel', 'felt', 'mean', 'meant', 'see', 'saw', 'hear', 'heard', 'realize', 'realized', 'suppose', 'supposed', 'bet', 'seems', 'seemed'];
+  // Nouns that read fine after "it is": "it's time", "it's fun"
+  const PREDICATE_NOUNS = ['time', 'fun', 'okay', 'ok', 'nothing', 'something', 'everything', 'anything', 'worth'];
+
+  // "wagged it's tail", "in it's place": after a verb's object slot or a
+  // preposition, "it's" + (adjectives) + noun is the possessive
+  function isPossessiveIts(tokens, i) {
+    const prev = tokens[i - 1];
+    if (!prev) return false;
+    const objectSlot = (prev.tag === 'IN' && !/^(?:than|like)$/.test(prev.lower)) ||
+      (/^VB[DZP]?$/.test(prev.tag) && !CLAUSE_VERBS.includes(prev.lower) && !/^(?:is|are|am|was|were)$/.test(prev.lower));
+    if (!objectSlot) return false;
+    let j = i + 1;
+    while (tokens[j] && tokens[j].tag === 'JJ') j++;
+    const noun = tokens[j];
+    if (!noun || !/^NNS?$/.test(noun.tag) || PREDICATE_NOUNS.includes(noun.lower)) return false;
+    // "found it's cheaper to rent": an unknown adjective, not a noun
+    return !tokens[j + 1] || !/^(?:to|than)$/.test(tokens[j + 1].lower);
+  }
+
+  function matchConfusables(text) {
+    const matches = [];
+    tokenizeForGrammar(text).forEach(tokens => {
+      tokens.forEach((token, i) => {
+        const next = tokens[i + 1];
+        if (!next || next.punct) return;
+        if (token.lower === "it's" && isPossessiveIts(tokens, i)) {
+          matches.push(wordMatch(token, 'its'));
+          return;
+        }
+        const entry = CONFUSABLES.find(([wrong, followers]) => token.lower === wrong && followers.includes(next.lower));
+        if (!entry) return;
+        // "over there is" and "there, their way" read fine
+        if (token.lower === 'there' && tokens[i - 1] && /^(?:over|in|out|up|down|back|from)$/.test(tokens[i - 1].lower)) return;
+        matches.push(wordMatch(token, entry[2]));
+      });
+    });
+    return matches;
+  }
+
+  function hasFiniteVerb(tokens) {
+    return tokens.some(token => isVerbTag(token.tag));
+  }
+
+  // "The draft is done, it goes out today." Two independent clauses
+  // joined by a bare comma.
+  function matchCommaSplices(text) {
+    const matches = [];
+    tokenizeForGrammar(text).forEach(tokens => {
+      if (tokens[0] && /^(?:SUB|WDT)$/.test(tokens[0].tag)) return;
+      tokens.forEach((token, i) => {
+        if (token.text !== ',') return;
+        const subject = tokens[i + 1];
+        const verb = tokens[i + 2];
+        if (!subject || !verb || subject.tag !== 'PRP' || !SUBJECT_PRONOUNS[subject.lower]) return;
+        if (!isVerbTag(verb.tag)) return;
+        const clause = tokens.slice(0, i);
+        if (!hasFiniteVerb(clause) || clause.some(t => t.tag === 'SUB' || t.text === ',')) return;
+        if (!clause.some(t => (t.tag === 'PRP' && SUBJECT_PRONOUNS[t.lower]) || /^NN/.test(t.tag))) return;
+        matches.push({ index: token.index, length: 1, text: ',', values: {}, replacement: ';' });
+      });
+    });
+    return matches;
+  }
+
+  // "When the draft is ready we send it." and "However the plan works."
+  function matchIntroductoryCommas(text) {
+    const matches = [];
+    tokenizeForGrammar(text).forEach(tokens => {
+      const first = tokens[0];
+      if (!first || tokens.some(t => t.text === ',' || t.text === ';')) return;
+
+      if (INTRODUCTORY_ADVERBS.includes(first.lower)) {
+        const next = tokens[1];
+        // "However hard you try" uses it as a degree adverb
+        if (!next || next.punct || /^(?:JJ|RB)$/.test(next.tag) || /^(?:much|many|long|far)$/.test(next.lower)) return;
+        matches.push(wordMatch(first, `${first.text},`));
+        return;
+      }
+
+      if (first.tag !== 'SUB') return;
+      for (let k = 3; k < tokens.length - 1; k++) {
+        const subject = tokens[k];
+        const prev = tokens[k - 1];
+        if (subject.tag !== 'PRP' || !SUBJECT_PRONOUNS[subject.lower]) continue;
+        if (!isVerbTag(tokens[k + 1].tag) && tokens[k + 1].tag !== 'VB') continue;
+        if (/^(?:IN|TO|DT|CC|SUB|PRP\$|WDT)$/.test(prev.tag) || isVerbTag(prev.tag) || prev.tag === 'VB') continue;
+        const intro = tokens.slice(1, k);
+        if (!intro.some(t => isVerbTag(t.tag) || t.tag === 'VB')) continue;
+        matches.push(wordMatch(prev, `${prev.text},`));
+        return;
+      }
+    });
+    return matches;
+  }
+
+  // The tokenizer only lets a full stop before a lowercase word end a
+  // sentence when it isn't an abbreviation, so these are real misses.
+  function matchSentenceCapitals(text) {
+    const matches = [];
+    const { paragraphs, sentences } = tokenize(text);
+    const paragraphStarts = new Set(paragraphs.map(paragraph => paragraph.start));
+    sentences.forEach(sentence => {
+      const first = sentence.text.charAt(0);
+      if (paragraphStarts.has(sentence.start) || !/[a-z]/.test(first)) return;
+      if (!/[.]["'”’)\]]*$/.test(text.substring(0, sentence.start).trimEnd())) return;
+      matches.push({ index: sentence.start, length: 1, text: first, values: {}, replacement: first.toUpperCase() });
+    });
+    return matches;
+  }
+
+  // ─── Style Profiles ────────────────────────────────────────
+  // A profile bundles a house style: terminology substitutions, punctuation
+  // conventions and rule toggles. Each document picks one; its rules join
+  // the analysis through a rule layer and tag their suggestions.
+  const PROFILES_KEY = 'draftwise_profiles';
+  const profileSelect = document.getElementById('profileSelect');
+  const btnProfiles = document.getElementById('btnProfiles');
+  const profilesModal = document.getElementById('profilesModal');
+  const closeProfilesModal = document.getElementById('closeProfilesModal');
+  const profilesList = document.getElementById('profilesList');
+  const profileForm = document.getElementById('profileForm');
+  const btnNewProfile = document.getElementById('btnNewProfile');
+  const btnImportProfile = document.getElementById('btnImportProfile');
+  const profileImportFile = document.getElementById('profileImportFile');
+  const profilesStatus = document.getElementById('profilesStatus');
+
+  const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+  const PROFILE_TEMPLATE = {
+    name: 'House style',
+    terminology: [
+      { from: 'e-mail', to: 'email' },
+      { from: 'DraftWise', to: 'DraftWise' }
+    ],
+    punctuation: { oxfordComma: 'require', exclamationMarks: 'avoid', numerals: 'spell-under-ten' },
+    rules: {}
+  };
+
+  function loadProfiles() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+      if (Array.isArray(saved)) return saved;
+    } catch (e) {
+      // Ignore parse errors
+    }
+    return [];
+  }
+
+  let profiles = loadProfiles();
+  let activeProfileId = '';
+  let editingProfileId = null;
+
+  function saveProfiles() {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (e) {
+      // localStorage might be full or unavailable
+    }
+    invalidateRules();
+  }
+
+  function getActiveProfile() {
+    return profiles.find(p => p.id === activeProfileId) || null;
+  }
+
+  function normalizeProfile(data) {
+    const punctuation = data.punctuation || {};
+    return {
+      id: data.id || createId('profile'),
+      name: String(data.name || 'Untitled profile'),
+      terminology: (Array.isArray(data.terminology) ? data.terminology : [])
+        .filter(t => t && t.from && t.to)
+        .map(t => ({ from: String(t.from), to: String(t.to) })),
+      punctuation: {
+        oxfordComma: ['require', 'avoid'].includes(punctuation.oxfordComma) ? punctuation.oxfordComma : 'off',
+        exclamationMarks: punctuation.exclamationMarks === 'avoid' ? 'avoid' : 'allow',
+        numerals: punctuation.numerals === 'spell-under-ten' ? 'spell-under-ten' : 'off'
+      },
+      rules: data.rules && typeof data.rules === 'object' ? { ...data.rules } : {}
+    };
+  }
+
+  // Product names keep their exact casing; anything else may also start
+  // with a capital at the beginning of a sentence.
+  function terminologyMatcher(term) {
+    const regex = new RegExp(`(?<![\\w-])${escapeRegExp(term.from)}(?![\\w-])`, 'gi');
+    const accepted = new Set([term.to, term.to.charAt(0).toUpperCase() + term.to.slice(1)]);
+    return (text) => {
+      const matches = [];
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (accepted.has(match[0])) continue;
+        matches.push({ index: match.index, length: match[0].length, text: match[0], replacement: term.to, values: { replacement: term.to } });
+      }
+      return matches;
+    };
+  }
+
+  // Words that start a clause rather than name a list item
+  const CLAUSE_TAG_PATTERN = /^(?:VB[ZP]|MD|PRP|SUB|WDT|EX|TO)$/;
+  const SALUTATIONS = ['dear', 'hi', 'hello', 'hey'];
+
+  // A list of three or more: "a, b and c" / "a, b, and c". Every item
+  // after the first must be a short phrase with no finite verb or
+  // pronoun, and the first must end on a noun or modifier, so "Yesterday,
+  // I went home and slept" and "Dear Sam, thanks and regards" are not
+  // lists.
+  function matchOxfordComma(text, rule) {
+    const matches = [];
+    tokenizeForGrammar(text).forEach(tokens => {
+      tokens.forEach((conjunction, c) => {
+        if (!/^(?:and|or)$/.test(conjunction.lower) || !tokens[c + 1] || tokens[c + 1].punct) return;
+        const hasComma = tokens[c - 1] && tokens[c - 1].text === ',';
+        let end = hasComma ? c - 1 : c;
+        let items = 0;
+        for (;;) {
+          let start = end;
+          while (start > 0 && !tokens[start - 1].punct) start--;
+          const item = tokens.slice(start, end);
+          if (!item.length) return;
+          const afterComma = start > 0 && tokens[start - 1].text === ',';
+          if (afterComma && item.length <= 3 && !item.some(t => CLAUSE_TAG_PATTERN.test(t.tag))) {
+            items++;
+            end = start - 1;
+            continue;
+          }
+          // The first item: only its last word belongs to the list
+          if (items === 0 || !/^(?:NN|JJ|CD|VB[DGN])/.test(item[item.length - 1].tag)) return;
+          if (SALUTATIONS.includes(item[0].lower)) return;
+          break;
+        }
+        if (hasComma === (rule.mode === 'require')) return;
+
+        const lastItem = tokens[hasComma ? c - 2 : c - 1];
+        const original = text.slice(lastItem.index, conjunction.index + conjunction.text.length);
+        const replacement = hasComma ? `${lastItem.text} ${conjunction.text}` : `${lastItem.text}, ${conjunction.text}`;
+        matches.push({ index: lastItem.index, length: original.length, text: original, replacement, values: { replacement } });
+      });
+    });
+    return matches;
+  }
+
+  function matchExclamationMarks(text) {
+    const matches = [];
+    const regex = /!+/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      matches.push({ index: match.index, length: match[0].length, text: match[0], replacement: '.', values: { replacement: '.' } });
+    }
+    return matches;
+  }
+
+  function matchSmallNumerals(text) {
+    const matches = [];
+    // Single digits that are not part of a larger number, decimal or percentage
+    const regex = /(?<![\d.,$£€])\b(\d)\b(?![.,:]?\d|%)/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const word = NUMBER_WORDS[Number(match[1])];
+      matches.push({ index: match.index, length: 1, text: match[0], replacement: word, values: { replacement: word } });
+    }
+    return matches;
+  }
+
+  function buildProfileRules(profile) {
+    const base = { category: 'House Style', type: 'style', severity: 'warning', builtin: false, enabled: true, profile: true };
+    const rules = profile.terminology.map((term, i) => ({
+      ...base,
+      id: `profile-term-${i}`,
+      name: `Terminology: ${term.from} → ${term.to}`,
+      tag: `${profile.name} · use "${term.to}"`,
+      matcher: terminologyMatcher(term),
+      message: 'House style uses "{replacement}" instead of "{match}".'
+    }));
+
+    const { oxfordComma, exclamationMarks, numerals } = profile.punctuation;
+    if (oxfordComma !== 'off') {
+      rules.push({
+        ...base,
+        id: 'profile-oxford-comma',
+        name: 'Oxford comma',
+        tag: `${profile.name} · Oxford comma`,
+        mode: oxfordComma,
+        matcher: matchOxfordComma,
+        message: oxfordComma === 'require'
+          ? 'House style puts a comma before the last item in a list: "{replacement}".'
+          : 'House style leaves out the comma before the last item in a list: "{replacement}".'
+      });
+    }
+    if (exclamationMarks === 'avoid') {
+      rules.push({
+        ...base,
+        id: 'profile-exclamation',
+        name: 'No exclamation marks',
+        tag: `${profile.name} · no exclamation marks`,
+        matcher: matchExclamationMarks,
+        message: 'House style avoids exclamation marks. End the sentence with a full stop.'
+      });
+    }
+    if (numerals === 'spell-under-ten') {
+      rules.push({
+        ...base,
+        id: 'profile-numerals',
+        name: 'Spell out numbers under ten',
+        tag: `${profile.name} · numbers under ten`,
+        matcher: matchSmallNumerals,
+        message: 'House style spells out numbers under ten: write "{replacement}".'
+      });
+    }
+    return rules;
+  }
+
+  ruleLayers.push(rules => {
+    const profile = getActiveProfile();
+    if (!profile) return rules;
+    const toggled = rules.map(rule => (rule.id in profile.rules ? { ...rule, enabled: profile.rules[rule.id] && !rule.error } : rule));
+    return [...toggled, ...buildProfileRules(profile)];
+  });
+
+  function renderProfileSelect() {
+    profileSelect.innerHTML = [
+      '<option value="">No style profile</option>',
+      ...profiles.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    ].join('');
+    profileSelect.value = getActiveProfile() ? activeProfileId : '';
+  }
+
+  function setActiveProfile(id) {
+    activeProfileId = profiles.some(p => p.id === id) ? id : '';
+    invalidateRules();
+    renderProfileSelect();
+  }
+
+  function setProfilesStatus(message) {
+    profilesStatus.textContent = message;
+  }
+
+  function renderProfilesList() {
+    profilesList.innerHTML = profiles.length === 0
+      ? '<p class="px-4 py-6 text-xs text-surface-400 text-center">No style profiles yet</p>'
+      : profiles.map(p => `
+        <div class="profile-item px-4 py-2.5 cursor-pointer hover:bg-surface-50 ${p.id === editingProfileId ? 'bg-brand-50' : ''}" data-profile-id="${escapeHtml(p.id)}">
+          <p class="text-xs font-medium text-surface-800 truncate">${escapeHtml(p.name)}</p>
+          <p class="text-xs text-surface-400">${p.terminology.length} term${p.terminology.length !== 1 ? 's' : ''} · ${Object.keys(p.rules).length} rule toggle${Object.keys(p.rules).length !== 1 ? 's' : ''}</p>
+        </div>`).join('');
+  }
+
+  function renderProfileForm(profile) {
+    const data = profile || normalizeProfile(PROFILE_TEMPLATE);
+    const inputClass = 'w-full text-xs text-surface-800 bg-surface-50 border border-surface-200 rounded-md px-2 py-1.5 outline-none focus:border-brand-400';
+    const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+    const ruleState = (rule) => (rule.id in data.rules ? (data.rules[rule.id] ? 'on' : 'off') : 'default');
+
+    profileForm.innerHTML = `
+      <form class="space-y-3" data-profile-form>
+        <label class="block text-xs text-surface-600">Name<input name="profileName" required class="${inputClass} mt-1" value="${escapeHtml(data.name)}"></label>
+        <label class="block text-xs text-surface-600">Terminology <span class="text-surface-400">— one per line, "avoid => use"</span>
+          <textarea name="terminology" rows="4" class="${inputClass} font-mono mt-1" placeholder="e-mail => email">${escapeHtml(data.terminology.map(t => `${t.from} => ${t.to}`).join('\n'))}</textarea>
+        </label>
+        <div class="grid grid-cols-3 gap-3">
+          <label class="block text-xs text-surface-600">Oxford comma<select name="oxfordComma" class="${inputClass} mt-1">
+            ${option('off', 'No preference', data.punctuation.oxfordComma)}${option('require', 'Require', data.punctuation.oxfordComma)}${option('avoid', 'Avoid', data.punctuation.oxfordComma)}
+          </select></label>
+          <label class="block text-xs text-surface-600">Exclamation marks<select name="exclamationMarks" class="${inputClass} mt-1">
+            ${option('allow', 'Allow', data.punctuation.exclamationMarks)}${option('avoid', 'Avoid', data.punctuation.exclamationMarks)}
+          </select></label>
+          <label class="block text-xs text-surface-600">Numbers under ten<select name="numerals" class="${inputClass} mt-1">
+            ${option('off', 'No preference', data.punctuation.numerals)}${option('spell-under-ten', 'Spell out', data.punctuation.numerals)}
+          </select></label>
+        </div>
+        <div>
+          <p class="text-xs text-surface-600 mb-1">Rules in this profile</p>
+          <div class="border border-surface-100 rounded-lg divide-y divide-surface-100 max-h-40 overflow-y-auto">
+            ${getRules().map(rule => `
+              <label class="flex items-center justify-between gap-2 px-3 py-1.5 text-xs text-surface-700">
+                <span class="truncate">${escapeHtml(rule.name || rule.id)}</span>
+                <select data-profile-rule="${escapeHtml(rule.id)}" class="text-xs bg-surface-50 border border-surface-200 rounded px-1 py-0.5">
+                  ${option('default', 'Default', ruleState(rule))}${option('on', 'On', ruleState(rule))}${option('off', 'Off', ruleState(rule))}
+                </select>
+              </label>`).join('')}
+          </div>
+        </div>
+        <div class="flex items-center gap-2 pt-1">
+          <button type="submit" class="text-xs bg-brand-600 text-white hover:bg-brand-700 px-3 py-1.5 rounded-lg transition-colors font-medium">${profile ? 'Save profile' : 'Add profile'}</button>
+          ${profile ? `
+          <button type="button" data-profile-export class="text-xs text-surface-600 hover:text-surface-800 px-3 py-1.5 rounded-lg hover:bg-surface-100">Export</button>
+          <button type="button" data-profile-delete class="text-xs text-red-600 hover:text-red-700 px-3 py-1.5 rounded-lg hover:bg-red-50">Delete</button>` : ''}
+        </div>
+      </form>`;
+  }
+
+  function readProfileForm(form) {
+    const el = form.elements;
+    const rules = {};
+    form.querySelectorAll('[data-profile-rule]').forEach(select => {
+      if (select.value !== 'default') rules[select.dataset.profileRule] = select.value === 'on';
+    });
+    return {
+      name: el.profileName.value.trim(),
+      terminology: el.terminology.value.split('\n')
+        .map(line => line.split('=>').map(part => part.trim()))
+        .filter(([from, to]) => from && to)
+        .map(([from, to]) => ({ from, to })),
+      punctuation: {
+        oxfordComma: el.oxfordComma.value,
+        exclamationMarks: el.exclamationMarks.value,
+        numerals: el.numerals.value
+      },
+      rules
+    };
+  }
+
+  function exportProfile(profile) {
+    const { id, ...shared } = profile;
+    const file = { type: 'draftwise-style-profile', version: 1, profile: shared };
+    downloadFile(`${slugify(profile.name)}.style.json`, JSON.stringify(file, null, 2), 'application/json');
+  }
+
+  function importProfile(data) {
+    const source = data && data.type === 'draftwise-style-profile' ? data.profile : data;
+    if (!source || !source.name || (!source.terminology && !source.punctuation)) {
+      throw new Error('This file is not a DraftWise style profile.');
+    }
+    const profile = normalizeProfile({ ...source, id: undefined });
+    profiles.push(profile);
+    saveProfiles();
+    return profile;
+  }
+
+  function refreshProfilesModal() {
+    renderProfilesList();
+    renderProfileForm(profiles.find(p => p.id === editingProfileId) || null);
+    renderProfileSelect();
+  }
+
+  profileSelect.addEventListener('change', () => {
+    setActiveProfile(profileSelect.value);
+    scheduleSave(500);
+    if (liveToggle.checked) runLiveAnalysis();
+  });
+
+  btnProfiles.addEventListener('click', () => {
+    profilesModal.classList.remove('hidden');
+    editingProfileId = activeProfileId || null;
+    setProfilesStatus('');
+    refreshProfilesModal();
+  });
+
+  closeProfilesModal.addEventListener('click', () => {
+    profilesModal.classList.add('hidden');
+  });
+
+  profilesModal.addEventListener('click', (e) => {
+    if (e.target === profilesModal) {
+      profilesModal.classList.add('hidden');
+    }
+  });
+
+  profilesList.addEventListener('click', (e) => {
+    const item = e.target.closest('.profile-item');
+    if (!item) return;
+    editingProfileId = item.dataset.profileId;
+    setProfilesStatus('');
+    refreshProfilesModal();
+  });
+
+  profileForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const fields = readProfileForm(e.target);
+    const existing = profiles.find(p => p.id === editingProfileId);
+    if (existing) {
+      Object.assign(existing, normalizeProfile({ ...fields, id: existing.id }));
+    } else {
+      const profile = normalizeProfile(fields);
+      profiles.push(profile);
+      editingProfileId = profile.id;
+    }
+    saveProfiles();
+    setProfilesStatus('Profile saved. Run Analyze to apply it.');
+    refreshProfilesModal();
+  });
+
+  profileForm.addEventListener('click', (e) => {
+    const profile = profiles.find(p => p.id === editingProfileId);
+    if (!profile) return;
+    if (e.target.matches('[data-profile-export]')) {
+      exportProfile(profile);
+    } else if (e.target.matches('[data-profile-delete]')) {
+      if (!confirm(`Delete the "${profile.name}" profile?`)) return;
+      profiles = profiles.filter(p => p.id !== profile.id);
+      editingProfileId = null;
+      saveProfiles();
+      if (activeProfileId === profile.id) setActiveProfile('');
+      setProfilesStatus('Profile deleted.');
+      refreshProfilesModal();
+    }
+  });
+
+  btnNewProfile.addEventListener('click', () => {
+    editingProfileId = null;
+    setProfilesStatus('');
+    refreshProfilesModal();
+  });
+
+  btnImportProfile.addEventListener('click', () => profileImportFile.click());
+
+  profileImportFile.addEventListener('change', async () => {
+    const file = profileImportFile.files[0];
+    profileImportFile.value = '';
+    if (!file) return;
+    try {
+      const profile = importProfile(JSON.parse(await readFileAsText(file)));
+      editingProfileId = profile.id;
+      setProfilesStatus(`Imported "${profile.name}".`);
+    } catch (e) {
+      setProfilesStatus(`Import failed: ${e.message}`);
+    }
+    refreshProfilesModal();
+  });
+
+  renderProfileSelect();
+
+  // ─── Document Goals ────────────────────────────────────────
+  // Each document can name its audience, a target grade level, a formality
+  // and an intended length. Goals adjust the rules through a rule layer,
+  // score readability against the target grade and add a goal report to the
+  // score card.
+  const goalsModal = document.getElementById('goalsModal');
+  const btnGoals = document.getElementById('btnGoals');
+  const closeGoalsModal = document.getElementById('closeGoalsModal');
+  const goalsForm = document.getElementById('goalsForm');
+  const goalsStatus = document.getElementById('goalsStatus');
+  const goalReport = document.getElementById('goalReport');
+
+  const AUDIENCES = {
+    general: { name: 'General public', grade: 8, maxWords: 25 },
+    expert: { name: 'Experts', grade: 12, maxWords: 40, complexWords: 'off' },
+    child: { name: 'Children', grade: 4, maxWords: 15, complexWords: 'warning' }
+  };
+
+  const DEFAULT_GOALS = { audience: '', grade: null, formality: '', length: null };
+
+  const INFORMAL_MARKERS = {
+    gonna: 'going to', wanna: 'want to', gotta: 'have to', kinda: 'somewhat', sorta: 'somewhat',
+    yeah: 'yes', nope: 'no', okay: 'acceptable', ok: 'acceptable', stuff: 'material', awesome: 'excellent',
+    cool: 'good', btw: 'incidentally', fyi: 'for your information', lots: 'many', tons: 'many'
+  };
+  const CONTRACTION_PATTERN = /\b(?:\w+n['’]t|(?:I|you|we|they|he|she|it|that|there|what|let)['’](?:re|ve|ll|d|m|s))\b/gi;
+  const FORMAL_MARKERS = {
+    furthermore: 'also', moreover: 'also', therefore: 'so', consequently: 'so', accordingly: 'so',
+    nevertheless: 'still', nonetheless: 'still', regarding: 'about', hereby: '', whereas: 'while',
+    thus: 'so', henceforth: 'from now on', shall: 'will', commence: 'start', endeavour: 'try', endeavor: 'try'
+  };
+
+  let documentGoals = { ...DEFAULT_GOALS };
+
+  function normalizeGoals(data) {
+    const goals = data || {};
+    const grade = Number(goals.grade);
+    const length = Number(goals.length);
+    return {
+      audience: goals.audience in AUDIENCES ? goals.audience : '',
+      grade: grade >= 1 && grade <= 18 ? Math.round(grade) : null,
+      formality: ['formal', 'informal'].includes(goals.formality) ? goals.formality : '',
+      length: length > 0 ? Math.round(length) : null
+    };
+  }
+
+  function hasGoals(goals = documentGoals) {
+    return Boolean(goals.audience || goals.grade || goals.formality || goals.length);
+  }
+
+  // An explicit grade wins over the audience's default
+  function goalGrade(goals = documentGoals) {
+    const audience = AUDIENCES[goals.audience];
+    return goals.grade || (audience ? audience.grade : null);
+  }
+
+  function setDocumentGoals(goals) {
+    documentGoals = normalizeGoals(goals);
+    invalidateRules();
+  }
+
+  // Readability against a target grade: full marks at or a little below
+  // the target, losing points for every grade above it
+  function gradeFitScore(grade, target) {
+    const over = grade - target;
+    const penalty = over > 0 ? over * 12 : Math.max(0, -over - 4) * 5;
+    return Math.max(0, Math.min(100, Math.round(100 - penalty)));
+  }
+
+  function matchSentencesAboveGrade(text, rule) {
+    return tokenize(text).sentences
+      .filter(sentence => sentence.wordCount >= 5)
+      .map(sentence => ({ sentence, grade: gradeLevel(sentence.text) }))
+      .filter(({ grade }) => Math.round(grade) > rule.target)
+      .map(({ sentence, grade }) => sentenceMatch(sentence, { grade: Math.round(grade), target: rule.target }));
+  }
+
+  function markerMatcher(markers, extraPattern) {
+    const pattern = new RegExp(`\\b(?:${Object.keys(markers).map(escapeRegExp).join('|')})\\b${extraPattern ? `|${extraPattern.source}` : ''}`, 'gi');
+    return (text) => {
+      const matches = [];
+      const regex = new RegExp(pattern.source, pattern.flags);
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const replacement = markers[match[0].toLowerCase()];
+        matches.push({
+          index: match.index,
+          length: match[0].length,
+          text: match[0],
+          values: { replacement: replacement || '' },
+          ...(replacement !== undefined ? { replacement } : {})
+        });
+      }
+      return matches;
+    };
+  }
+
+  function buildGoalRules(goals) {
+    const base = { type: 'clarity', severity: 'info', builtin: false, enabled: true, goal: true };
+    const rules = [];
+    const target = goalGrade(goals);
+    if (target) {
+      rules.push({
+        ...base,
+        id: 'goal-grade-level',
+        name: `Sentences above grade ${target}`,
+        category: 'Reading Level',
+        tag: `Goal · grade ${target}`,
+        target,
+        matcher: matchSentencesAboveGrade,
+        message: 'This sentence reads at about grade {grade}; your goal is grade {target}. Split it or use shorter words.'
+      });
+    }
+    if (goals.formality === 'formal') {
+      rules.push({
+        ...base,
+        type: 'style',
+        id: 'goal-formality',
+        name: 'Informal wording',
+        category: 'Formality',
+        tag: 'Goal · formal',
+        matcher: markerMatcher(INFORMAL_MARKERS, CONTRACTION_PATTERN),
+        message: '"{match}" reads as informal for this document\'s formal goal.'
+      });
+    } else if (goals.formality === 'informal') {
+      rules.push({
+        ...base,
+        type: 'style',
+        id: 'goal-formality',
+        name: 'Stiff wording',
+        category: 'Formality',
+        tag: 'Goal · informal',
+        matcher: markerMatcher(FORMAL_MARKERS),
+        message: '"{match}" sounds stiff for this document\'s informal goal.'
+      });
+    }
+    return rules;
+  }
+
+  ruleLayers.push(rules => {
+    if (!hasGoals()) return rules;
+    const audience = AUDIENCES[documentGoals.audience];
+    const adjusted = !audience ? rules : rules.map(rule => {
+      if (rule.id === 'long-sentences') return { ...rule, maxWords: audience.maxWords };
+      // Experts expect precise vocabulary; children need the plainest words
+      if (rule.id === 'complex-words' && audience.complexWords === 'off') return { ...rule, enabled: false };
+      if (rule.id === 'complex-words' && audience.complexWords) return { ...rule, severity: audience.complexWords };
+      return rule;
+    });
+    return [...adjusted, ...buildGoalRules(documentGoals)];
+  });
+
+  // How the text measures up to the goals, for the score card
+  function buildGoalReport(text, issues) {
+    if (!hasGoals()) return null;
+    const target = goalGrade();
+    const report = {
+      audience: documentGoals.audience ? AUDIENCES[documentGoals.audience].name : '',
+      words: getWords(text).length,
+      length: documentGoals.length
+    };
+    if (target) {
+      const above = issues.filter(issue => issue.ruleId === 'goal-grade-level');
+      Object.assign(report, {
+        target,
+        grade: Math.round(gradeLevel(text) * 10) / 10,
+        above: above.map(issue => {
+          const sentence = text.substr(issue.position, issue.length);
+          return { text: sentence, start: issue.position, grade: Math.round(gradeLevel(sentence)) };
+        })
+      });
+    }
+    if (documentGoals.formality) {
+      const tones = analyzeTone(text) || { Formal: 0, Casual: 0 };
+      report.formality = documentGoals.formality;
+      report.formal = tones.Formal;
+      report.casual = tones.Casual;
+      report.markers = issues.filter(issue => issue.ruleId === 'goal-formality').length;
+    }
+    return report;
+  }
+
+  function renderGoalReport(report) {
+    if (!report) {
+      goalReport.classList.add('hidden');
+      goalReport.innerHTML = '';
+      return;
+    }
+    const mark = (ok) => (ok ? '<span class="text-emerald-600">✓</span>' : '<span class="text-amber-600">✗</span>');
+    const rows = [];
+    if (report.target) {
+      rows.push(`
+        <div class="flex items-center justify-between text-xs">
+          <span class="text-surface-600">Reading grade</span>
+          <span class="text-surface-500 font-mono">${report.grade} / goal ${report.target} ${mark(report.grade <= report.target + 0.5)}</span>
+        </div>`);
+    }
+    if (report.length) {
+      const percent = Math.round((report.words / report.length) * 100);
+      rows.push(`
+        <div>
+          <div class="flex items-center justify-between text-xs mb-1">
+            <span class="text-surface-600">Length</span>
+            <span class="text-surface-500 font-mono">${report.words} of ${report.length} words ${mark(percent >= 80 && percent <= 120)}</span>
+          </div>
+          <div class="h-1 bg-surface-100 rounded-full overflow-hidden">
+            <div class="h-full ${percent > 120 ? 'bg-amber-500' : 'bg-brand-500'} rounded-full" style="width: ${Math.min(100, percent)}%"></div>
+          </div>
+        </div>`);
+    }
+    if (report.formality) {
+      const ok = report.markers === 0 && (report.formality === 'formal' ? report.formal >= report.casual : report.casual >= report.formal);
+      rows.push(`
+        <div class="flex items-center justify-between text-xs">
+          <span class="text-surface-600">Formality</span>
+          <span class="text-surface-500">${report.formality === 'formal' ? 'Formal' : 'Informal'} goal · ${report.markers} to change ${mark(ok)}</span>
+        </div>`);
+    }
+    if (report.above && report.above.length > 0) {
+      rows.push(`
+        <details class="text-xs">
+          <summary class="cursor-pointer text-amber-700 font-medium">${report.above.length} sentence${report.above.length !== 1 ? 's' : ''} above grade ${report.target}</summary>
+          <ul class="mt-1.5 space-y-1">
+            ${report.above.map(sentence => `
+              <li class="text-surface-600 leading-relaxed cursor-pointer hover:text-surface-900" data-goal-start="${sentence.start}" data-goal-end="${sentence.start + sentence.text.length}"><span class="font-mono text-surface-400">${sentence.grade}</span> ${escapeHtml(sentence.text)}</li>`).join('')}
+          </ul>
+        </details>`);
+    }
+    goalReport.innerHTML = `
+      <div class="flex items-center justify-between mb-2">
+        <p class="text-xs font-semibold text-surface-700">Goals${report.audience ? ` · ${escapeHtml(report.audience)}` : ''}</p>
+        <button type="button" data-open-goals class="text-xs text-brand-600 hover:text-brand-700">Edit</button>
+      </div>
+      <div class="space-y-2">${rows.join('')}</div>`;
+    goalReport.classList.remove('hidden');
+  }
+
+  function fillGoalsForm() {
+    const fields = goalsForm.elements;
+    fields.audience.value = documentGoals.audience;
+    fields.grade.value = documentGoals.grade || '';
+    fields.grade.placeholder = AUDIENCES[documentGoals.audience] ? `${AUDIENCES[documentGoals.audience].grade} (from audience)` : 'None';
+    fields.formality.value = documentGoals.formality;
+    fields.words.value = documentGoals.length || '';
+  }
+
+  function openGoalsModal() {
+    fillGoalsForm();
+    goalsStatus.textContent = '';
+    goalsModal.classList.remove('hidden');
+  }
+
+  btnGoals.addEventListener('click', openGoalsModal);
+
+  closeGoalsModal.addEventListener('click', () => {
+    goalsModal.classList.add('hidden');
+  });
+
+  goalsModal.addEventListener('click', (e) => {
+    if (e.target === goalsModal) {
+      goalsModal.classList.add('hidden');
+    }
+  });
+
+  goalsForm.elements.audience.addEventListener('change', () => {
+    const audience = AUDIENCES[goalsForm.elements.audience.value];
+    goalsForm.elements.grade.placeholder = audience ? `${audience.grade} (from audience)` : 'None';
+  });
+
+  goalsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const fields = goalsForm.elements;
+    setDocumentGoals({
+      audience: fields.audience.value,
+      grade: fields.grade.value,
+      formality: fields.formality.value,
+      length: fields.words.value
+    });
+    scheduleSave(500);
+    goalsModal.classList.add('hidden');
+    if (lastAnalysis || liveToggle.checked) runLiveAnalysis();
+  });
+
+  goalReport.addEventListener('click', (e) => {
+    if (e.target.closest('[data-open-goals]')) {
+      openGoalsModal();
+      return;
+    }
+    // Select the sentence in the editor
+    const item = e.target.closest('[data-goal-start]');
+    if (item) selectEditorRange(Number(item.dataset.goalStart), Number(item.dataset.goalEnd));
+  });
+
+  // ─── Document Storage ──────────────────────────────────────
+  // Documents live in IndexedDB so large drafts don't hit the localStorage
+  // quota. If IndexedDB is unavailable, the same API falls back to
+  // localStorage.
+  const STORAGE_KEY = 'draftwise_document';
+  const CURRENT_DOC_KEY = 'draftwise_current_document';
+  const UNSAVED_KEY = 'draftwise_unsaved_document';
+  const DB_NAME = 'draftwise';
+  const DB_VERSION = 2;
+
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('documents')) {
+            db.createObjectStore('documents', { keyPath: 'id' }).createIndex('modified', 'modified');
+          }
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots', { keyPath: 'id' }).createIndex('docId', 'docId');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  function createLocalStore(name) {
+    const key = `draftwise_${name}`;
+    const read = () => {
+      try {
+        return JSON.parse(localStorage.getItem(key)) || {};
+      } catch (e) {
+        return {};
+      }
+    };
+    const write = (records) => localStorage.setItem(key, JSON.stringify(records));
+    return {
+      getAll: async () => Object.values(read()),
+      getAllBy: async (index, value) => Object.values(read()).filter(r => r[index] === value),
+      get: async (id) => read()[id],
+      put: async (record) => {
+        const records = read();
+        records[record.id] = record;
+        write(records);
+      },
+      delete: async (id) => {
+        const records = read();
+        delete records[id];
+        write(records);
+      }
+    };
+  }
+
+  function createStore(name) {
+    const fallback = createLocalStore(name);
+    const run = async (mode, fn, fallbackFn) => {
+      let db;
+      try {
+        db = await openDatabase();
+      } catch (e) {
+        return fallbackFn();
+      }
+      return promisifyRequest(fn(db.transaction(name, mode).objectStore(name)));
+    };
+    return {
+      getAll: () => run('readonly', store => store.getAll(), () => fallback.getAll()),
+      getAllBy: (index, value) => run('readonly', store => store.index(index).getAll(value), () => fallback.getAllBy(index, value)),
+      get: (id) => run('readonly', store => store.get(id), () => fallback.get(id)),
+      put: (record) => run('readwrite', store => store.put(record), () => fallback.put(record)),
+      delete: (id) => run('readwrite', store => store.delete(id), () => fallback.delete(id))
+    };
+  }
+
+  const documentStore = createStore('documents');
+
+  function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return hash.toString(36);
+  }
+
+  // ─── Document Library ──────────────────────────────────────
+  const btnLibrary = document.getElementById('btnLibrary');
+  const libraryDrawer = document.getElementById('libraryDrawer');
+  const closeLibrary = document.getElementById('closeLibrary');
+  const librarySearch = document.getElementById('librarySearch');
+  const librarySort = document.getElementById('librarySort');
+  const libraryList = document.getElementById('libraryList');
+  const libraryNewDoc = document.getElementById('libraryNewDoc');
+  const libraryOpenFile = document.getElementById('libraryOpenFile');
+  const libraryFileInput = document.getElementById('libraryFileInput');
+
+  let currentDoc = null;
+  let lastAnalysis = null;
+
+  function createDocument(fields = {}) {
+    const now = Date.now();
+    return {
+      id: createId('doc'),
+      title: 'Untitled Document',
+      content: '',
+      markdown: '',
+      tone: 'professional',
+      profileId: '',
+      goals: { ...DEFAULT_GOALS },
+      ignore: { words: [], rules: [] },
+      provenance: emptyProvenance(now),
+      analysis: null,
+      created: now,
+      modified: now,
+      ...fields
+    };
+  }
+
+  // Remembers the latest analysis so it can be shown again when the
+  // document is reopened.
+  function recordAnalysis(text, scores, tones, issues) {
+    lastAnalysis = {
+      scores,
+      tones,
+      issues: issues.map(issue => ({ ...issue })),
+      textHash: hashText(text),
+      timestamp: Date.now()
+    };
+    scheduleSave(1000);
+  }
+
+  function resetAnalysisPanels() {
+    currentIssues = [];
+    scoreEmpty.classList.remove('hidden');
+    scoreDetails.classList.add('hidden');
+    toneAnalysis.innerHTML = '<div class="text-center py-4"><p class="text-sm text-surface-400">Analyze your text to see tone breakdown</p></div>';
+    sentimentAnalysis.innerHTML = SENTIMENT_EMPTY_HTML;
+    suggestionsPanel.innerHTML = '<div class="px-5 py-6 text-center"><p class="text-sm text-surface-400">Click Analyze to get writing suggestions</p></div>';
+    suggestionCount.textContent = '0 items';
+    toolOutput.innerHTML = `
+      <div class="text-center py-8">
+        <div class="w-12 h-12 rounded-2xl bg-surface-100 flex items-center justify-center mx-auto mb-3">
+          <svg class="w-6 h-6 text-surface-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z"/>
+          </svg>
+        </div>
+        <p class="text-sm text-surface-500 mb-1">Select text in the editor, then choose a tool</p>
+        <p class="text-xs text-surface-400">Or write some content and click Analyze for full feedback</p>
+      </div>`;
+  }
+
+  function restoreAnalysis(analysis) {
+    resetAnalysisPanels();
+    if (!analysis) return;
+    const text = buildTextIndex().text;
+    // Highlights and the tone timeline are only valid for the exact text
+    // they were computed on
+    const current = analysis.textHash === hashText(text);
+    renderScores(analysis.scores);
+    renderTone(analysis.tones, { timeline: current ? toneTimeline(text) : null });
+    currentIssues = analysis.issues.map(issue => ({ ...issue }));
+    renderSuggestions(currentIssues);
+    if (current) {
+      applyHighlights(currentIssues);
+    }
+  }
+
+  function showDocument(doc) {
+    clearTimeout(saveTimer);
+    currentDoc = doc;
+    lastAnalysis = doc.analysis || null;
+    editor.innerHTML = doc.content || '';
+    if (markdownMode) syncMarkdownSource(doc.markdown);
+    clearEditHistory();
+    docTitle.value = doc.title || 'Untitled Document';
+    toneSelect.value = doc.tone || 'professional';
+    setActiveProfile(doc.profileId || '');
+    setDocumentGoals(doc.goals);
+    docIgnore = { words: [], rules: [], ...doc.ignore };
+    // Documents from before tracking began are tracked from now on
+    docProvenance = { ...emptyProvenance(), ...doc.provenance };
+    paragraphCache.clear();
+    updateStats();
+    restoreAnalysis(lastAnalysis);
+    try {
+      localStorage.setItem(CURRENT_DOC_KEY, doc.id);
+    } catch (e) {
+      // Reopening the last document is a convenience only
+    }
+  }
+
+  function syncCurrentDocument() {
+    Object.assign(currentDoc, {
+      title: docTitle.value,
+      content: getCleanHTML(),
+      markdown: markdownMode ? markdownSource.value : currentDoc.markdown || '',
+      tone: toneSelect.value,
+      profileId: activeProfileId,
+      goals: documentGoals,
+      ignore: docIgnore,
+      provenance: docProvenance,
+      analysis: lastAnalysis,
+      modified: Date.now()
+    });
+  }
+
+  async function saveToStorage() {
+    if (!currentDoc) return;
+    clearTimeout(saveTimer);
+    syncCurrentDocument();
+    try {
+      await documentStore.put(currentDoc);
+      await snapshotOnSave();
+      localStorage.removeItem(UNSAVED_KEY);
+    } catch (e) {
+      // Storage might be full or unavailable
+    }
+    if (!libraryDrawer.classList.contains('hidden')) renderLibrary();
+  }
+
+  async function openDocument(id) {
+    if (currentDoc && currentDoc.id === id) return;
+    await saveToStorage();
+    const doc = await documentStore.get(id);
+    if (doc) showDocument(doc);
+  }
+
+  async function newDocument() {
+    await saveToStorage();
+    const doc = createDocument();
+    await documentStore.put(doc);
+    showDocument(doc);
+  }
+
+  // Opens a Markdown or plain-text file as a new document. A top-level
+  // heading at the start of a Markdown file becomes the title.
+  async function openTextFile(name, text) {
+    await saveToStorage();
+    let title = name.replace(/\.[^.]+$/, '') || 'Untitled Document';
+    let markdown = '';
+    let content;
+    if (/\.txt$/i.test(name)) {
+      content = plainTextToHtml(text);
+    } else {
+      markdown = text.replace(/\r\n?/g, '\n');
+      const heading = markdown.match(/^\s*# +(.+?)(?: +#+)? *(?:\n|$)/);
+      if (heading) {
+        title = heading[1];
+        markdown = markdown.slice(heading[0].length).replace(/^\n+/, '');
+      }
+      content = markdownToHtml(markdown);
+    }
+    const doc = createDocument({ title, content, markdown });
+    await documentStore.put(doc);
+    showDocument(doc);
+    renderLibrary();
+  }
+
+  async function renameDocument(id) {
+    const doc = currentDoc && currentDoc.id === id ? currentDoc : await documentStore.get(id);
+    if (!doc) return;
+    const title = prompt('Rename document', doc.title);
+    if (title === null || !title.trim()) return;
+    doc.title = title.trim();
+    doc.modified = Date.now();
+    if (doc === currentDoc) docTitle.value = doc.title;
+    await documentStore.put(doc);
+    renderLibrary();
+  }
+
+  async function duplicateDocument(id) {
+    if (currentDoc && currentDoc.id === id) await saveToStorage();
+    const doc = await documentStore.get(id);
+    if (!doc) return;
+    const { id: _id, ...fields } = doc;
+    const copy = createDocument({ ...fields, title: `${doc.title} (copy)`, created: Date.now(), modified: Date.now() });
+    await documentStore.put(copy);
+    renderLibrary();
+  }
+
+  async function deleteDocument(id) {
+    const doc = await documentStore.get(id);
+    if (!doc || !confirm(`Delete "${doc.title}"? This cannot be undone.`)) return;
+    await documentStore.delete(id);
+    const snapshots = await getSnapshots(id);
+    await Promise.all(snapshots.map(s => snapshotStore.delete(s.id)));
+    if (currentDoc && currentDoc.id === id) {
+      currentDoc = null;
+      const remaining = await documentStore.getAll();
+      remaining.sort((a, b) => b.modified - a.modified);
+      if (remaining.length > 0) {
+        showDocument(remaining[0]);
+      } else {
+        await newDocument();
+      }
+    }
+    renderLibrary();
+  }
+
+  function formatRelativeTime(timestamp) {
+    const seconds = Math.round((Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+    return new Date(timestamp).toLocaleDateString();
+  }
+
+  async function renderLibrary() {
+    const query = librarySearch.value.trim().toLowerCase();
+    const docs = (await documentStore.getAll())
+      .filter(doc => !query || (doc.title || '').toLowerCase().includes(query));
+
+    if (librarySort.value === 'title') {
+      docs.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+    } else {
+      docs.sort((a, b) => b.modified - a.modified);
+    }
+
+    if (docs.length === 0) {
+      libraryList.innerHTML = `<div class="px-5 py-8 text-center"><p class="text-sm text-surface-400">${query ? 'No documents match your search' : 'No documents yet'}</p></div>`;
+      return;
+    }
+
+    libraryList.innerHTML = docs.map(doc => {
+      const isCurrent = currentDoc && currentDoc.id === doc.id;
+      return `
+        <div class="library-item px-5 py-3 hover:bg-surface-50 cursor-pointer ${isCurrent ? 'bg-brand-50' : ''}" data-doc-id="${doc.id}">
+          <div class="flex items-start justify-between gap-2">
+            <div class="min-w-0">
+              <p class="text-sm font-medium ${isCurrent ? 'text-brand-700' : 'text-surface-800'} truncate">${escapeHtml(doc.title || 'Untitled Document')}</p>
+              <p class="text-xs text-surface-400 mt-0.5">Edited ${formatRelativeTime(doc.modified)}${doc.analysis && doc.analysis.scores ? ` · Score ${doc.analysis.scores.overall}` : ''}</p>
+            </div>
+            <div class="flex items-center gap-0.5 flex-shrink-0">
+              <button data-doc-action="rename" class="text-xs text-surface-500 hover:text-surface-800 px-1.5 py-0.5 rounded hover:bg-surface-100" title="Rename">Rename</button>
+              <button data-doc-action="duplicate" class="text-xs text-surface-500 hover:text-surface-800 px-1.5 py-0.5 rounded hover:bg-surface-100" title="Duplicate">Copy</button>
+              <button data-doc-action="delete" class="text-xs text-red-500 hover:text-red-700 px-1.5 py-0.5 rounded hover:bg-red-50" title="Delete">Delete</button>
+            </div>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  btnLibrary.addEventListener('click', () => {
+    libraryDrawer.classList.remove('hidden');
+    librarySearch.focus();
+    // Saving first lists the open document with its latest title; the save
+    // re-renders the list once it lands.
+    saveToStorage();
+  });
+
+  closeLibrary.addEventListener('click', () => {
+    libraryDrawer.classList.add('hidden');
+  });
+
+  libraryDrawer.addEventListener('click', (e) => {
+    if (e.target === libraryDrawer) {
+      libraryDrawer.classList.add('hidden');
+    }
+  });
+
+  librarySearch.addEventListener('input', renderLibrary);
+  librarySort.addEventListener('change', renderLibrary);
+
+  libraryList.addEventListener('click', (e) => {
+    const item = e.target.closest('.library-item');
+    if (!item) return;
+    const id = item.dataset.docId;
+    const action = e.target.closest('[data-doc-action]');
+
+    if (!action) {
+      openDocument(id).then(() => libraryDrawer.classList.add('hidden'));
+      return;
+    }
+
+    switch (action.dataset.docAction) {
+      case 'rename':
+        renameDocument(id);
+        break;
+      case 'duplicate':
+        duplicateDocument(id);
+        break;
+      case 'delete':
+        deleteDocument(id);
+        break;
+    }
+  });
+
+  libraryNewDoc.addEventListener('click', () => {
+    newDocument().then(() => libraryDrawer.classList.add('hidden'));
+  });
+
+  libraryOpenFile.addEventListener('click', () => libraryFileInput.click());
+
+  libraryFileInput.addEventListener('change', async () => {
+    const file = libraryFileInput.files[0];
+    libraryFileInput.value = '';
+    if (!file) return;
+    await openTextFile(file.name, await readFileAsText(file));
+    libraryDrawer.classList.add('hidden');
+  });
+
+  // Moves the old single-slot localStorage draft into the library
+  async function migrateLegacyDocument() {
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+      // Ignore parse errors
+    }
+    if (!data || !data.content) return null;
+
+    const doc = createDocument({
+      title: data.title || 'Untitled Document',
+      content: data.content,
+      tone: data.tone || 'professional',
+      created: data.timestamp || Date.now(),
+      modified: data.timestamp || Date.now()
+    });
+    await documentStore.put(doc);
+    localStorage.removeItem(STORAGE_KEY);
+    return doc;
+  }
+
+  // The browser won't wait for IndexedDB while the page is going away, so
+  // the latest state is also written synchronously to localStorage
+  function flushToStorage() {
+    if (!currentDoc) return;
+    syncCurrentDocument();
+    try {
+      localStorage.setItem(UNSAVED_KEY, JSON.stringify(currentDoc));
+    } catch (e) {
+      // Storage might be full or unavailable
+    }
+    saveToStorage();
+  }
+
+  // Brings back a copy left by flushToStorage when IndexedDB never got it
+  async function recoverUnsavedDocument() {
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(UNSAVED_KEY));
+    } catch (e) {
+      // Ignore parse errors
+    }
+    if (!data || !data.id) return;
+    const stored = await documentStore.get(data.id);
+    if (!stored || stored.modified < data.modified) {
+      await documentStore.put(data);
+    }
+    localStorage.removeItem(UNSAVED_KEY);
+  }
+
+  async function loadFromStorage() {
+    try {
+      const migrated = await migrateLegacyDocument();
+      await recoverUnsavedDocument();
+      const docs = await documentStore.getAll();
+      let lastId = null;
+      try {
+        lastId = localStorage.getItem(CURRENT_DOC_KEY);
+      } catch (e) {
+        // Fall back to the most recent document
+      }
+      docs.sort((a, b) => b.modified - a.modified);
+      const doc = migrated || docs.find(d => d.id === lastId) || docs[0];
+      if (doc) {
+        showDocument(doc);
+      } else {
+        await newDocument();
+      }
+    } catch (e) {
+      // Keep working with an unsaved document if storage fails entirely
+      currentDoc = createDocument();
+    }
+  }
+
+  // ─── Word Diff ─────────────────────────────────────────────
+  // Roughly a quarter of a second's work
+  const DIFF_STEP_LIMIT = 5000000;
+
+  // Myers' O(ND) diff over word and whitespace tokens, in its linear-space
+  // form: find the middle snake of the edit path, then solve each half
+  // the same way. Memory stays proportional to the text even when two
+  // versions have little in common. Each search spends from a shared
+  // budget and gives up, returning null, once it runs out.
+  function middleSnake(a, aLo, aHi, b, bLo, bHi, budget) {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+          x++;
+          y++;
+        }
+        forward[offset + k] = x;
+        budget.steps -= 1 + x - startX;
+        if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) &&
+            x + backward[offset + delta - k] >= n) {
+          return { x: startX, y: startY, u: x, v: y };
+        }
+      }
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+        let y = x - k;
+        const startX = x;
+        const startY = y;
+        while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+          x++;
+          y++;
+        }
+        backward[offset + k] = x;
+        budget.steps -= 1 + x - startX;
+        if (!odd && delta - k >= -d && delta - k <= d &&
+            x + forward[offset + delta - k] >= n) {
+          return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+        }
+      }
+      if (budget.steps < 0) return null;
+    }
+    return { x: 0, y: 0, u: 0, v: 0 };
+  }
+
+  function diffTokens(a, aLo, aHi, b, bLo, bHi, ops, budget) {
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+      ops.push({ type: 'equal', text: a[aLo] });
+      aLo++;
+      bLo++;
+    }
+    let suffix = 0;
+    while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+      aHi--;
+      bHi--;
+      suffix++;
+    }
+
+    if (aLo === aHi) {
+      for (let i = bLo; i < bHi; i++) ops.push({ type: 'insert', text: b[i] });
+    } else if (bLo === bHi) {
+      for (let i = aLo; i < aHi; i++) ops.push({ type: 'delete', text: a[i] });
+    } else {
+      // Both ends differ here, so the path takes at least two edits and
+      // each half is strictly smaller than the whole
+      const snake = middleSnake(a, aLo, aHi, b, bLo, bHi, budget);
+      if (!snake) return false;
+      if (!diffTokens(a, aLo, aLo + snake.x, b, bLo, bLo + snake.y, ops, budget)) return false;
+      for (let i = snake.x; i < snake.u; i++) ops.push({ type: 'equal', text: a[aLo + i] });
+      if (!diffTokens(a, aLo + snake.u, aHi, b, bLo + snake.v, bHi, ops, budget)) return false;
+    }
+
+    for (let i = aHi; i < aHi + suffix; i++) ops.push({ type: 'equal', text: a[i] });
+    return true;
+  }
+
+  // The edit operations turning one token list into the other, or null
+  // when that takes more than DIFF_STEP_LIMIT steps
+  function diffSequence(a, b) {
+    const ops = [];
+    return diffTokens(a, 0, a.length, b, 0, b.length, ops, { steps: DIFF_STEP_LIMIT }) ? ops : null;
+  }
+
+  // Versions that share little are compared by paragraph instead, and
+  // failing that replaced wholesale, so the History dialog never stalls
+  function diffWords(before, after) {
+    const ops = diffSequence(before.split(/(\s+)/).filter(Boolean), after.split(/(\s+)/).filter(Boolean))
+      || diffSequence(before.split(/(\n+)/).filter(Boolean), after.split(/(\n+)/).filter(Boolean))
+      || [{ type: 'delete', text: before }, { type: 'insert', text: after }].filter(op => op.text);
+
+    // Merge each stretch of changes into one deleted and one inserted run
+    const runs = [];
+    let deleted = null;
+    let inserted = null;
+    const flush = () => {
+      if (deleted) runs.push(deleted);
+      if (inserted) runs.push(inserted);
+      deleted = null;
+      inserted = null;
+    };
+    for (const op of ops) {
+      if (op.type === 'delete') {
+        if (deleted) deleted.text += op.text;
+        else deleted = { ...op };
+      } else if (op.type === 'insert') {
+        if (inserted) inserted.text += op.text;
+        else inserted = { ...op };
+      } else {
+        flush();
+        const last = runs[runs.length - 1];
+        if (last && last.type === 'equal') last.text += op.text;
+        else runs.push({ ...op });
+      }
+    }
+    flush();
+    return runs;
+  }
+
+  // ─── Version History ───────────────────────────────────────
+  const snapshotStore = createStore('snapshots');
+  const MAX_SNAPSHOTS = 50;
+  const AUTOSAVE_SNAPSHOT_INTERVAL = 60000;
+
+  const btnHistory = document.getElementById('btnHistory');
+  const historyModal = document.getElementById('historyModal');
+  const closeHistoryModal = document.getElementById('closeHistoryModal');
+  const btnSaveVersion = document.getElementById('btnSaveVersion');
+  const historyList = document.getElementById('historyList');
+  const historyFrom = document.getElementById('historyFrom');
+  const historyTo = document.getElementById('historyTo');
+  const historyDiff = document.getElementById('historyDiff');
+
+  const SNAPSHOT_REASONS = {
+    autosave: 'Autosave',
+    insert: 'Before AI insertion',
+    manual: 'Saved version',
+    restore: 'Before restore'
+  };
+
+  let snapshotCache = [];
+
+  async function getSnapshots(docId) {
+    const snapshots = await snapshotStore.getAllBy('docId', docId);
+    return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // Drops the oldest snapshots past the limit, autosaves before anything
+  // the user asked for explicitly.
+  async function pruneSnapshots(docId) {
+    const snapshots = await getSnapshots(docId);
+    const excess = snapshots.length - MAX_SNAPSHOTS;
+    if (excess <= 0) return;
+    const oldestFirst = [...snapshots].reverse();
+    const victims = [
+      ...oldestFirst.filter(s => s.reason === 'autosave'),
+      ...oldestFirst.filter(s => s.reason !== 'autosave')
+    ].slice(0, excess);
+    await Promise.all(victims.map(s => snapshotStore.delete(s.id)));
+  }
+
+  // The content is captured synchronously so callers can snapshot right
+  // before they change the editor.
+  function takeSnapshot(reason) {
+    if (!currentDoc) return Promise.resolve(null);
+    const scores = calculateScores(buildTextIndex().text);
+    const snapshot = {
+      id: createId('snap'),
+      docId: currentDoc.id,
+      reason,
+      title: docTitle.value,
+      content: getCleanHTML(),
+      text: buildTextIndex(null, { literal: true }).text,
+      score: scores ? scores.overall : null,
+      timestamp: Date.now()
+    };
+    return snapshotStore.put(snapshot)
+      .then(() => pruneSnapshots(snapshot.docId))
+      .then(() => snapshot)
+      .catch(() => null);
+  }
+
+  async function snapshotOnSave() {
+    const [latest] = await getSnapshots(currentDoc.id);
+    if (latest && latest.content === currentDoc.content) return;
+    if (latest && latest.reason === 'autosave' && Date.now() - latest.timestamp < AUTOSAVE_SNAPSHOT_INTERVAL) return;
+    await takeSnapshot('autosave');
+  }
+
+  function snapshotLabel(snapshot) {
+    return `${new Date(snapshot.timestamp).toLocaleString()} — ${SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason}`;
+  }
+
+  function textForVersion(value) {
+    if (value === 'current') return buildTextIndex(null, { literal: true }).text;
+    const snapshot = snapshotCache.find(s => s.id === value);
+    return snapshot ? snapshot.text : '';
+  }
+
+  function renderDiff() {
+    if (!historyFrom.value || !historyTo.value) {
+      historyDiff.innerHTML = '<p class="text-sm text-surface-400 text-center py-6">Save a version to start comparing</p>';
+      return;
+    }
+    const runs = diffWords(textForVersion(historyFrom.value), textForVersion(historyTo.value));
+    const changes = runs.filter(r => r.type !== 'equal').length;
+    historyDiff.innerHTML = `
+      <p class="text-xs text-surface-500 mb-2">${changes === 0 ? 'No differences' : `${changes} change${changes !== 1 ? 's' : ''}`}</p>
+      <div class="text-sm text-surface-700 leading-relaxed whitespace-pre-wrap">${runs.map(run => {
+        if (run.type === 'insert') return `<ins class="bg-emerald-100 text-emerald-800 no-underline rounded px-0.5">${escapeHtml(run.text)}</ins>`;
+        if (run.type === 'delete') return `<del class="bg-red-100 text-red-700 rounded px-0.5">${escapeHtml(run.text)}</del>`;
+        return escapeHtml(run.text);
+      }).join('')}</div>`;
+  }
+
+  async function renderHistory() {
+    if (!currentDoc) return;
+    snapshotCache = await getSnapshots(currentDoc.id);
+    const currentScores = calculateScores(buildTextIndex().text);
+
+    historyList.innerHTML = `
+      <div class="px-4 py-2.5 flex items-center justify-between bg-surface-50">
+        <div>
+          <p class="text-xs font-medium text-surface-800">Current text</p>
+          <p class="text-xs text-surface-400">Score ${currentScores ? currentScores.overall : '—'}</p>
+        </div>
+      </div>
+      ${snapshotCache.length === 0 ? '<p class="px-4 py-6 text-xs text-surface-400 text-center">No versions saved yet</p>' : ''}
+      ${snapshotCache.map(snapshot => `
+        <div class="px-4 py-2.5 flex items-center justify-between gap-2" data-snapshot-id="${snapshot.id}">
+          <div class="min-w-0">
+            <p class="text-xs font-medium text-surface-800 truncate">${escapeHtml(SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason)}</p>
+            <p class="text-xs text-surface-400">${new Date(snapshot.timestamp).toLocaleString()} · Score ${snapshot.score !== null ? snapshot.score : '—'} · ${getWords(snapshot.text).length} words</p>
+          </div>
+          <button data-snapshot-action="restore" class="text-xs text-brand-600 hover:text-brand-700 font-medium px-2 py-0.5 hover:bg-brand-50 rounded transition-colors flex-shrink-0">Restore</button>
+        </div>`).join('')}`;
+
+    const options = [
+      '<option value="current">Current text</option>',
+      ...snapshotCache.map(s => `<option value="${s.id}">${escapeHtml(snapshotLabel(s))}</option>`)
+    ].join('');
+    historyFrom.innerHTML = options;
+    historyTo.innerHTML = options;
+    historyFrom.value = snapshotCache.length > 0 ? snapshotCache[0].id : '';
+    historyTo.value = snapshotCache.length > 0 ? 'current' : '';
+    renderDiff();
+  }
+
+  async function restoreSnapshot(id) {
+    const snapshot = snapshotCache.find(s => s.id === id);
+    if (!snapshot) return;
+    if (!confirm(`Restore the version from ${new Date(snapshot.timestamp).toLocaleString()}? The current text will be kept in history.`)) return;
+    await takeSnapshot('restore');
+    recordEdit('Version restore', () => {
+      editor.innerHTML = snapshot.content;
+    });
+    docTitle.value = snapshot.title || docTitle.value;
+    lastAnalysis = null;
+    resetAnalysisPanels();
+    updateStats();
+    await saveToStorage();
+    renderHistory();
+  }
+
+  btnHistory.addEventListener('click', () => {
+    historyModal.classList.remove('hidden');
+    renderHistory();
+  });
+
+  closeHistoryModal.addEventListener('click', () => {
+    historyModal.classList.add('hidden');
+  });
+
+  historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) {
+      historyModal.classList.add('hidden');
+    }
+  });
+
+  btnSaveVersion.addEventListener('click', async () => {
+    await takeSnapshot('manual');
+    await saveToStorage();
+    renderHistory();
+  });
+
+  historyFrom.addEventListener('change', renderDiff);
+  historyTo.addEventListener('change', renderDiff);
+
+  historyList.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-snapshot-action="restore"]');
+    if (!action) return;
+    restoreSnapshot(action.closest('[data-snapshot-id]').dataset.snapshotId);
+  });
+
+  // ─── Auto-save ─────────────────────────────────────────────
+  let saveTimer;
+  function scheduleSave(delay) {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveToStorage, delay);
+  }
+
+  editor.addEventListener('input', () => scheduleSave(5000));
+  docTitle.addEventListener('input', () => scheduleSave(2000));
+  toneSelect.addEventListener('change', saveToStorage);
+  window.addEventListener('pagehide', flushToStorage);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushToStorage();
+  });
+
+  // ─── Test Hooks ────────────────────────────────────────────
+  // The internals tests/index.html checks directly. Nothing in the app
+  // reads this object.
+  window.DraftWise = {
+    getSyllableCount,
+    markdownToHtml,
+    updateMarkdownSource,
+    tokenize,
+    tokenizeForGrammar,
+    extractKeyphrases,
+    sentenceTopic,
+    disclosureStatement,
+    toActiveVoice,
+    diffWords,
+    matchAgreement,
+    matchConfusables,
+    matchOxfordComma
+  };
 
   // Load saved content on start
   loadFromStorage();
+  loadSpeller();
+  loadFamiliarWords();
 
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,70 @@
+/**
+ * DraftWise — grammar checker tests
+ */
+
+'use strict';
+
+suite('Oxford comma', ({ matchOxfordComma }, { equal }) => {
+  const flagged = (text, mode) => matchOxfordComma(text, { mode }).map(m => m.replacement);
+
+  // Commas that belong to an introductory phrase, a clause or a
+  // salutation, with "and" joining two verbs or nouns
+  [
+    'Yesterday, I went home and slept.',
+    'However, we went and ate.',
+    'Dear Sam, thanks and regards.',
+    'If it rains, we stay in and read.'
+  ].forEach(text => {
+    equal(flagged(text, 'require'), [], text);
+  });
+
+  [
+    ['We bought apples, pears and plums.', 'require', ['pears, and']],
+    ['Red, green or blue.', 'require', ['green, or']],
+    ['Yesterday, we bought bread, milk and eggs.', 'require', ['milk, and']],
+    ['She was tired, hungry and cold.', 'require', ['hungry, and']],
+    ['We bought apples, pears, and plums.', 'omit', ['pears and']],
+    ['We bought apples, pears and plums.', 'omit', []],
+    ['We bought apples, pears, and plums.', 'require', []]
+  ].forEach(([text, mode, expected]) => {
+    equal(flagged(text, mode), expected, `${text} (${mode})`);
+  });
+});
+
+suite('Confusable words', ({ matchConfusables }, { equal }) => {
+  const fixes = (text) => matchConfusables(text).map(m => `${m.text} → ${m.replacement}`);
+
+  [
+    ["The dog wagged it's tail.", ["it's → its"]],
+    ["The company changed it's name.", ["it's → its"]],
+    ["In it's place we built a park.", ["it's → its"]],
+    ["The plan has it's own risks.", ["it's → its"]],
+    ["I think it's time to go.", []],
+    ["It's nice outside.", []],
+    ["I know it's hard work.", []],
+    ["We found it's cheaper to rent.", []],
+    ["It costs more than it's worth.", []]
+  ].forEach(([text, expected]) => {
+    equal(fixes(text), expected, text);
+  });
+});
+
+suite('Subject-verb agreement', ({ matchAgreement }, { equal }) => {
+  const fixes = (text) => matchAgreement(text).map(m => `${m.text} → ${m.replacement}`);
+
+  [
+    ['The children play outside.', []],
+    ['The police are here.', []],
+    ['The people is here.', ['is → are']],
+    ['The women works hard.', ['works → work']],
+    ['The dogs barks.', ['barks → bark']],
+    ['The dogs barks at night.', ['barks → bark']],
+    ['The cats flies.', ['flies → fly']],
+    ['The teams watches the game.', ['watches → watch']],
+    ['The sales reports are ready.', []],
+    ['The child plays outside.', []],
+    ['My friends and I are here.', []]
+  ].forEach(([text, expected]) => {
+    equal(fixes(text), expected, text);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * DraftWise — version history tests
+ */
+
+'use strict';
+
+suite('Word diff', ({ diffWords }, { equal }) => {
+  // The deleted and equal runs spell the old text, the inserted and equal
+  // runs the new one
+  const rebuild = (runs, skip) => runs.filter(run => run.type !== skip).map(run => run.text).join('');
+  const tokens = text => text.split(/(\s+)/).filter(Boolean);
+  // Longest common subsequence of two token lists, the most a diff can keep
+  const common = (a, b) => {
+    let row = new Array(b.length + 1).fill(0);
+    a.forEach((token) => {
+      const next = [0];
+      b.forEach((other, j) => next.push(token === other ? row[j] + 1 : Math.max(row[j + 1], next[j])));
+      row = next;
+    });
+    return row[b.length];
+  };
+
+  // A fixed seed keeps failures reproducible
+  let seed = 7;
+  const random = (n) => {
+    seed = (seed * 16807) % 2147483647;
+    return seed % n;
+  };
+  const sentence = () => Array.from({ length: random(14) }, () => 'abcde'[random(5)]).join(' ');
+
+  let broken = 0;
+  let longer = 0;
+  for (let i = 0; i < 300; i++) {
+    const before = sentence();
+    const after = sentence();
+    const runs = diffWords(before, after);
+    if (rebuild(runs, 'insert') !== before || rebuild(runs, 'delete') !== after) broken++;
+    const kept = runs.filter(run => run.type === 'equal').reduce((sum, run) => sum + tokens(run.text).length, 0);
+    if (kept !== common(tokens(before), tokens(after))) longer++;
+  }
+  equal(broken, 0, 'random pairs rebuild both versions');
+  equal(longer, 0, 'random pairs keep every common word');
+
+  equal(diffWords('The quick brown fox jumps.', 'The quick red fox jumps.'), [
+    { type: 'equal', text: 'The quick ' },
+    { type: 'delete', text: 'brown' },
+    { type: 'insert', text: 'red' },
+    { type: 'equal', text: ' fox jumps.' }
+  ], 'one word changed');
+  equal(diffWords('Same text.', 'Same text.'), [{ type: 'equal', text: 'Same text.' }], 'no change');
+
+  // Versions with almost nothing in common fall back to whole paragraphs
+  // instead of searching for the word-level minimum
+  const essay = (prefix) => Array.from({ length: 100 }, (_, p) => Array.from({ length: 200 }, (_, w) => `${prefix}${(p * 200 + w) % 997}`).join(' ')).join('\n\n');
+  const before = essay('a');
+  const after = `${essay('b')}\n\nShared ending.`;
+  const started = Date.now();
+  const runs = diffWords(before, after);
+  equal(Date.now() - started < 2000, true, '20k-word rewrite finishes');
+  equal([rebuild(runs, 'insert') === before, rebuild(runs, 'delete') === after], [true, true], '20k-word rewrite rebuilds both versions');
+});
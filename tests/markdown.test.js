@@ -0,0 +1,58 @@
+/**
+ * DraftWise — Markdown import tests
+ */
+
+'use strict';
+
+suite('Markdown paragraphs', ({ markdownToHtml }, { equal }) => {
+  [
+    // Two trailing spaces or a backslash end a line with a hard break
+    ['Hello  \nworld', '<p>Hello<br>world</p>'],
+    ['One\ntwo  \nthree', '<p>One two<br>three</p>'],
+    ['Hello\\\nworld', '<p>Hello<br>world</p>'],
+    // Trailing spaces at the end of a paragraph are not a break
+    ['Hello  ', '<p>Hello</p>'],
+    ['   Indented', '<p>Indented</p>'],
+    ['Title  \n===', '<h1>Title</h1>']
+  ].forEach(([markdown, html]) => {
+    equal(markdownToHtml(markdown), html, JSON.stringify(markdown));
+  });
+});
+
+suite('Markdown source after an edit', ({ markdownToHtml, updateMarkdownSource }, { equal }) => {
+  const source = [
+    'Notes',
+    '=====',
+    '',
+    '> quote line',
+    '> second',
+    '',
+    '* one',
+    '* two',
+    '',
+    '1) first',
+    '2) second',
+    '',
+    'See [the docs][docs] for more.',
+    'A soft break.',
+    '',
+    '[docs]: https://example.com',
+    ''
+  ].join('\n');
+  const html = markdownToHtml(source);
+  // The editor HTML after an edit, and the one source line it changes
+  const edit = (from, to) => updateMarkdownSource(source, html.replace(from, to));
+  const changed = (updated) => {
+    const before = source.split('\n');
+    const after = updated.split('\n');
+    return [after.filter(line => !before.includes(line)), before.filter(line => !after.includes(line))];
+  };
+
+  equal(updateMarkdownSource(source, html), source, 'unchanged');
+  equal(changed(edit('for more.', 'for details.')), [['See [the docs][docs] for details.'], ['See [the docs][docs] for more.']], 'word in a paragraph');
+  equal(changed(edit('quote line', 'quoted line')), [['> quoted line'], ['> quote line']], 'word in a quote');
+  equal(changed(edit('<li>two</li>', '<li>three</li>')), [['* three'], ['* two']], 'list item');
+  equal(changed(edit('<li>first</li>', '<li>one</li>')), [['1) one'], ['1) first']], 'ordered list item');
+  equal(changed(edit(/<ul>.*?<\/ul>/, '')), [[], ['* one', '* two']], 'deleted list');
+  equal(markdownToHtml(edit('</ul>', '</ul><p>Between.</p>')), html.replace('</ul>', '</ul><p>Between.</p>'), 'inserted paragraph');
+});
@@ -0,0 +1,72 @@
+/**
+ * DraftWise — test runner
+ * Loads the app in a hidden frame and runs every suite registered with
+ * suite() against the internals the app exposes as window.DraftWise.
+ * There is nothing to install: serve the repository and open the page.
+ *
+ *   node mock-server.js               → http://localhost:8787/tests/
+ */
+
+'use strict';
+
+const suites = [];
+
+// Registers a suite. fn receives the app internals and the assertions.
+function suite(name, fn) {
+  suites.push({ name, fn });
+}
+
+function runSuites(app) {
+  return suites.map(({ name, fn }) => {
+    const failures = [];
+    let passed = 0;
+    const equal = (actual, expected, label) => {
+      if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        passed++;
+      } else {
+        failures.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    };
+    try {
+      fn(app, { equal });
+    } catch (e) {
+      failures.push(`threw ${e.message}`);
+    }
+    return { name, passed, failures };
+  });
+}
+
+function renderResults(results) {
+  const failed = results.reduce((sum, r) => sum + r.failures.length, 0);
+  const passed = results.reduce((sum, r) => sum + r.passed, 0);
+  document.title = `${failed ? '✗' : '✓'} DraftWise — Tests`;
+  const summary = document.getElementById('summary');
+  summary.textContent = `${passed} passed, ${failed} failed`;
+  summary.className = `text-sm mb-6 ${failed ? 'text-red-600' : 'text-emerald-600'}`;
+
+  const container = document.getElementById('results');
+  results.forEach(({ name, passed: count, failures }) => {
+    const section = document.createElement('section');
+    section.className = 'bg-white border border-slate-200 rounded-lg p-4';
+    const heading = document.createElement('h2');
+    heading.className = 'text-sm font-semibold';
+    heading.textContent = `${failures.length ? '✗' : '✓'} ${name} — ${count} passed`;
+    section.appendChild(heading);
+    failures.forEach(failure => {
+      const line = document.createElement('p');
+      line.className = 'text-xs font-mono text-red-600 mt-2';
+      line.textContent = failure;
+      section.appendChild(line);
+    });
+    container.appendChild(section);
+  });
+}
+
+document.getElementById('app').addEventListener('load', (e) => {
+  const app = e.target.contentWindow.DraftWise;
+  if (!app) {
+    document.getElementById('summary').textContent = 'The app did not load. Open this page through node mock-server.js.';
+    return;
+  }
+  renderResults(runSuites(app));
+});
@@ -0,0 +1,32 @@
+/**
+ * DraftWise — text statistics tests
+ * Syllable counts follow the CMU Pronouncing Dictionary, which the
+ * reference readability tools use, except that "-ian" after "l" or "n"
+ * counts as two syllables ("It-al-i-an"), as their syllable counters do.
+ */
+
+'use strict';
+
+suite('Syllable counts', ({ getSyllableCount }, { equal }) => {
+  [
+    // "-ious" and "-eous"
+    ['serious', 3], ['various', 3], ['obvious', 3], ['previous', 3], ['curious', 3],
+    ['delicious', 3], ['precious', 2], ['anxious', 2], ['religious', 3], ['gorgeous', 2], ['famous', 2],
+    // Vowel pairs that split into two syllables
+    ['chaos', 2], ['react', 2], ['reaction', 3], ['ruin', 2], ['fluid', 2], ['naive', 2],
+    ['poetry', 3], ['poetic', 3], ['radio', 3], ['studio', 3], ['being', 2], ['actual', 3],
+    ['museum', 3], ['linoleum', 4], ['neon', 2], ['pantheon', 3], ['chameleon', 4],
+    ['Italian', 4], ['Australian', 4], ['reptilian', 4], ['Armenian', 4], ['guardian', 3],
+    // ...and those that don't
+    ['rain', 1], ['reach', 1], ['ready', 2], ['realm', 1], ['suit', 1], ['build', 1],
+    ['fruit', 1], ['guide', 1], ['shoe', 1], ['does', 1], ['pigeon', 2], ['luncheon', 2],
+    ['Christian', 2], ['Russian', 2],
+    // Silent endings
+    ['statement', 2], ['sometimes', 2], ['wanted', 2], ['jumped', 1], ['boxes', 2], ['table', 2],
+    // Contractions and short words
+    ["didn't", 2], ["wasn't", 2], ['the', 1], ['cat', 1],
+    ['extraordinary', 6], ['readability', 5]
+  ].forEach(([word, syllables]) => {
+    equal(getSyllableCount(word), syllables, word);
+  });
+});
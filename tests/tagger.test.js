@@ -0,0 +1,49 @@
+/**
+ * DraftWise — part-of-speech tagger tests
+ * The tagger is shared by the grammar rules, keyphrases and topics, so
+ * each retagging rule is pinned here with the sentence it exists for.
+ */
+
+'use strict';
+
+suite('Part-of-speech tagger', ({ tokenizeForGrammar }, { equal }) => {
+  const tagOf = (sentence, word) => {
+    const token = tokenizeForGrammar(sentence).flat().find(t => t.text === word);
+    return token ? token.tag : null;
+  };
+
+  [
+    // Lexicon
+    ['The plan works fast.', 'fast', 'JJ'],
+    ['Teams juggle more meetings.', 'more', 'RB'],
+    ['However, the plan works.', 'However', 'RB'],
+    ['The children play outside.', 'children', 'NNS'],
+    // Comparatives of known adjectives
+    ['This task is harder than that one.', 'harder', 'JJ'],
+    ['That route is easier.', 'easier', 'JJ'],
+    // "teams that measure": a relative pronoun, not a determiner
+    ['Teams that measure output ship faster.', 'that', 'WDT'],
+    // Noun + unknown word + object is subject + verb
+    ['Teams juggle more meetings.', 'juggle', 'VBP'],
+    ['Retention depends on trust.', 'depends', 'VBZ'],
+    // ...but a plural after "more" stays the object
+    ['Teams juggle more meetings.', 'meetings', 'NNS'],
+    ['They sent more reports.', 'reports', 'NNS'],
+    // Subject pronoun + unknown word
+    ['They juggle meetings.', 'juggle', 'VBP'],
+    // Noun + adverb + unknown -s word
+    ['Remote work always improves productivity.', 'improves', 'VBZ'],
+    // After a modal or "to", the base verb
+    ['Writers can publish daily.', 'publish', 'VB'],
+    // After a determiner, possessive or adjective, a noun
+    ['They have a need for help.', 'need', 'NN'],
+    ['Their work matters.', 'work', 'NN'],
+    // "There is": existential, not a place
+    ['There is a problem.', 'There', 'EX'],
+    // A base verb right before the main verb heads the subject
+    ['Remote work makes teams happier.', 'work', 'NN'],
+    ['Remote work makes teams happier.', 'makes', 'VBZ']
+  ].forEach(([sentence, word, tag]) => {
+    equal(tagOf(sentence, word), tag, `${word} in "${sentence}"`);
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * DraftWise — tokenizer tests
+ */
+
+'use strict';
+
+suite('Sentence segmentation', ({ tokenize }, { equal }) => {
+  const sentences = (text) => tokenize(text).sentences.map(s => s.text);
+
+  [
+    ['J. K. Rowling wrote it.', ['J. K. Rowling wrote it.']],
+    ['J. R. R. Tolkien wrote it. It sold well.', ['J. R. R. Tolkien wrote it.', 'It sold well.']],
+    ['1. Draft the outline.', ['Draft the outline.']],
+    ['a) Draft the outline.', ['Draft the outline.']],
+    ['- Draft the outline.', ['Draft the outline.']],
+    ['Dr. Smith arrived. She sat down.', ['Dr. Smith arrived.', 'She sat down.']]
+  ].forEach(([text, expected]) => {
+    equal(sentences(text), expected, text);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * DraftWise — writing tool tests
+ */
+
+'use strict';
+
+suite('Keyphrases', ({ extractKeyphrases }, { equal }) => {
+  const text = 'Remote work is changing how teams operate. Managers worry about productivity, but remote work gives workers flexibility. Many companies now offer remote work to attract talent. Managers worry that collaboration suffers.';
+  const keys = extractKeyphrases(text).map(phrase => phrase.key);
+
+  equal(keys[0], 'remote work', 'top phrase');
+  // Phrases end on their noun head, not on the verb after it
+  ['managers worry', 'workers flexibility', 'companies now'].forEach(key => {
+    equal(keys.includes(key), false, key);
+  });
+  ['managers', 'flexibility', 'productivity'].forEach(key => {
+    equal(keys.includes(key), true, key);
+  });
+});
+
+suite('Sentence topics', ({ extractKeyphrases, sentenceTopic }, { equal }) => {
+  const text = 'Remote work is changing how teams operate. Managers worry about productivity, but remote work gives workers flexibility. Teams ship faster. We moved the office to Berlin. Berlin is big.';
+  const keyphrases = extractKeyphrases(text);
+
+  [
+    // A capital that only starts the sentence is dropped, a name keeps it
+    ['Remote work is changing how teams operate.', 'remote work'],
+    ['Teams ship faster.', 'teams'],
+    ['Berlin is big.', 'Berlin'],
+    // Noun phrases only: the subject, not the subject and its verb
+    ['Flexibility matters.', 'flexibility'],
+    ['Gives workers flexibility.', 'workers']
+  ].forEach(([sentence, expected]) => {
+    equal(sentenceTopic(sentence, keyphrases), expected, sentence);
+  });
+});
+
+suite('AI disclosure', ({ disclosureStatement }, { equal }) => {
+  const report = {
+    since: Date.UTC(2026, 2, 14),
+    partial: false,
+    paragraphs: 3,
+    aiParagraphs: 0,
+    words: 120,
+    aiWords: 0,
+    percent: 0,
+    tools: [],
+    suggestions: 0,
+    passages: []
+  };
+
+  equal(disclosureStatement(report, 'general'), 'AI disclosure: This document contains no AI-suggested text.', 'tracked from the start');
+  // A document older than tracking can only speak for the time since
+  equal(
+    disclosureStatement({ ...report, partial: true }, 'general'),
+    'AI disclosure: No AI-suggested text has been inserted with DraftWise since tracking began on 2026-03-14. Earlier edits are not covered.',
+    'tracked since later'
+  );
+  equal(disclosureStatement({ ...report, partial: true }, 'none'), '', 'no disclosure');
+});
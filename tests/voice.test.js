@@ -0,0 +1,35 @@
+/**
+ * DraftWise — active voice tests
+ */
+
+'use strict';
+
+suite('Active voice', ({ toActiveVoice }, { equal }) => {
+  const rewrite = (sentence) => {
+    const result = toActiveVoice(sentence);
+    return result && (result.active || (result.missingAgent && 'missing agent'));
+  };
+
+  [
+    ['The report was written by Sara.', 'Sara wrote the report.'],
+    ['The patch was written by Sara and Tom.', 'Sara and Tom wrote the patch.'],
+    ['The ball was thrown by the boy or his sister.', 'The boy or his sister threw the ball.'],
+    ['The paper will be reviewed by experts and editors.', 'Experts and editors will review the paper.'],
+    ['The house was cleaned by Tom and Mary yesterday.', 'Tom and Mary cleaned the house yesterday.'],
+    ['Last year, the bridge was built by engineers.', 'Last year, engineers built the bridge.'],
+    ['The bugs were fixed by the team, and we shipped.', 'The team fixed the bugs, and we shipped.'],
+    ['The letter was sent.', 'missing agent'],
+    ['The work must be finished by Friday.', 'missing agent'],
+    // Passives inside a subordinate or relative clause
+    ['If the form is signed by the manager, we proceed.', null],
+    ['The book that was written by Sara is great.', null],
+    ['The decision was made by the board which met on Monday.', null],
+    // A second verb after "and" belongs to another clause
+    ['The patch was written by Sara and reviewed by Tom.', null],
+    ['The form was signed by the manager and then filed.', null],
+    ['The bridge was built by engineers and the town paid for it.', null],
+    ['Sara wrote the report.', null]
+  ].forEach(([sentence, expected]) => {
+    equal(rewrite(sentence), expected, sentence);
+  });
+});